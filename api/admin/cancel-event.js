@@ -0,0 +1,48 @@
+// api/admin/cancel-event.js
+// Cancel / refund every order for a canceled or postponed event (lib/event-cancellations.js).
+//   POST /api/admin/cancel-event?key=ADMIN_SECRET  { eventId | listingIds: [...], reason, maxOps }
+//        -> start the job (or resume the unfinished one for the same event) and run one batch
+//   POST /api/admin/cancel-event?key=ADMIN_SECRET  { jobId, maxOps }  -> run the next batch
+//   GET  /api/admin/cancel-event?key=ADMIN_SECRET&jobId=...         -> progress report
+// or send Authorization: Bearer ADMIN_SECRET
+// Each batch moves money for at most `maxOps` orders (default CRON_MAX_OPS); keep
+// calling with the jobId until `done` is true.
+
+import { requireAdmin } from "../../lib/admin-auth.js";
+import {
+  startEventCancellation,
+  runEventCancellation,
+  eventCancellationReport,
+  EventCancellationError,
+  DEFAULT_MAX_OPS
+} from "../../lib/event-cancellations.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    if (req.method === "GET") {
+      const report = await eventCancellationReport(req.query?.jobId);
+      if (!report) return res.status(404).json({ error: "Event cancellation not found" });
+      return res.status(200).json({ ok: true, ...report });
+    }
+
+    const { jobId, eventId, listingIds, reason } = req.body || {};
+    const maxOps = Math.max(1, Math.min(Number(req.body?.maxOps || DEFAULT_MAX_OPS), 1000));
+
+    const id = jobId ? String(jobId) : (await startEventCancellation({ eventId, listingIds, reason })).id;
+    const result = await runEventCancellation(id, { maxOps });
+    return res.status(200).json({ ok: true, maxOps, ...result });
+  } catch (e) {
+    if (e instanceof EventCancellationError) return res.status(e.statusCode).json({ error: e.message });
+    console.error("admin/cancel-event error:", e);
+    return res.status(500).json({ error: e?.message || "Failed to cancel event orders" });
+  }
+}
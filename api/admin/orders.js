@@ -0,0 +1,94 @@
+// api/admin/orders.js
+// Orders that need an admin: issue reported, on hold, or disputed.
+//   GET /api/admin/orders?key=ADMIN_SECRET                 -> all three
+//   GET /api/admin/orders?key=ADMIN_SECRET&status=dispute  -> one state
+//   GET /api/admin/orders?key=ADMIN_SECRET&pi=pi_...       -> one order + ledger history
+// or send Authorization: Bearer ADMIN_SECRET
+
+import Stripe from "stripe";
+import { requireAdmin } from "../../lib/admin-auth.js";
+import { getOrderHistory } from "../../lib/orders.js";
+import { stateOf, HOLD_STATES } from "../../lib/order-state.js";
+import { isDeadlineFrozen } from "../../lib/deadlines.js";
+
+export const config = { runtime: "nodejs" };
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+function summarize(pi) {
+  const meta = pi.metadata || {};
+  return {
+    payment_intent: pi.id,
+    status: pi.status,
+    fep_status: stateOf(pi),
+    amount: pi.amount,
+    amount_capturable: pi.amount_capturable,
+    amount_received: pi.amount_received,
+    currency: pi.currency,
+    created: pi.created,
+    listingId: meta.listingId || null,
+    group: meta.group || null,
+    qty: Number(meta.qty || 0) || null,
+    buyerEmail: meta.buyerEmail || null,
+    sellerEmail: meta.sellerEmail || null,
+    sellerAccountId: meta.sellerAccountId || null,
+    deadline: Number(meta.fep_confirm_deadline || 0) || null,
+    deadline_frozen: isDeadlineFrozen(meta),
+    issue: meta.fep_issue_reason
+      ? {
+          reason: meta.fep_issue_reason,
+          description: meta.fep_issue_description || "",
+          reported_at: Number(meta.fep_issue_reported_at || 0) || null,
+          respond_by: Number(meta.fep_issue_respond_by || 0) || null,
+          seller_response: meta.fep_seller_response || null
+        }
+      : null,
+    last_admin_action: meta.fep_admin_action
+      ? { action: meta.fep_admin_action, reason: meta.fep_admin_reason || "", at: Number(meta.fep_admin_at || 0) }
+      : null
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const piId = String(req.query?.pi || "").trim();
+    if (piId) {
+      const pi = await stripe.paymentIntents.retrieve(piId);
+      const history = await getOrderHistory({ paymentIntentId: pi.id }).catch(() => null);
+      return res.status(200).json({ ok: true, order: summarize(pi), history });
+    }
+
+    const wanted = String(req.query?.status || "");
+    if (wanted && !HOLD_STATES.includes(wanted)) {
+      return res.status(400).json({ error: "Invalid status", statuses: HOLD_STATES });
+    }
+    const statuses = wanted ? [wanted] : HOLD_STATES;
+    const limit = Math.max(1, Math.min(Number(req.query?.limit || 50), 200));
+
+    // Stripe search can't mix AND with OR, so query one fep_status at a time
+    const orders = [];
+    for (const status of statuses) {
+      const query = `metadata['fep']:'1' AND metadata['fep_status']:'${status}'`;
+      for await (const pi of stripe.paymentIntents.search({ query, limit: 100 })) {
+        orders.push(summarize(pi));
+        if (orders.length >= limit) break;
+      }
+      if (orders.length >= limit) break;
+    }
+
+    // Oldest first: those have been waiting longest
+    orders.sort((a, b) => (a.issue?.reported_at || a.created) - (b.issue?.reported_at || b.created));
+    return res.status(200).json({ ok: true, count: orders.length, orders });
+  } catch (e) {
+    console.error("admin/orders error:", e);
+    if (e?.statusCode === 404) return res.status(404).json({ error: "Not found" });
+    return res.status(500).json({ error: "Failed to list orders" });
+  }
+}
@@ -0,0 +1,43 @@
+// api/admin/promo-codes.js
+// Promo code management.
+//   GET   /api/admin/promo-codes?key=ADMIN_SECRET          -> every code with usage
+//   POST  /api/admin/promo-codes?key=ADMIN_SECRET          -> create
+//         { code, kind: "percent" | "fixed" | "waive_fee", value, currency, eventId, group,
+//           startsAt, expiresAt, maxRedemptions, maxPerBuyer, note }
+//   PATCH /api/admin/promo-codes?key=ADMIN_SECRET          -> { code, active, expiresAt, maxRedemptions }
+// or send Authorization: Bearer ADMIN_SECRET
+
+import { requireAdmin } from "../../lib/admin-auth.js";
+import { createPromo, updatePromo, listPromos, PromoError } from "../../lib/promos.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (!["GET", "POST", "PATCH"].includes(req.method)) {
+    res.setHeader("Allow", "GET, POST, PATCH");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const codes = await listPromos();
+      return res.status(200).json({ count: codes.length, codes });
+    }
+
+    if (req.method === "POST") {
+      const promo = await createPromo(req.body || {});
+      return res.status(201).json({ ok: true, promo });
+    }
+
+    const { code, ...changes } = req.body || {};
+    if (!code) return res.status(400).json({ error: "Missing code" });
+    const promo = await updatePromo(code, changes);
+    if (!promo) return res.status(404).json({ error: "Promo code not found" });
+    return res.status(200).json({ ok: true, promo });
+  } catch (err) {
+    if (err instanceof PromoError) return res.status(err.statusCode).json({ error: err.message });
+    console.error("promo-codes error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to manage promo codes" });
+  }
+}
@@ -0,0 +1,218 @@
+// api/admin/resolve-order.js
+// Admin decisions on held / disputed orders. POST JSON (Authorization: Bearer ADMIN_SECRET):
+//   { paymentIntentId | sessionId, action, reason, ... }
+// Actions:
+//   release          capture and pay the seller
+//   refund           cancel the authorization, or fully refund a captured charge
+//   partial_refund   { amount } cents back to the buyer; the rest is captured / kept
+//   extend_deadline  { hours } or { deadline } (unix secs); also lifts a hold
+// Every action requires a reason, stored on the PaymentIntent and in the order history.
+
+import Stripe from "stripe";
+import { requireAdmin } from "../../lib/admin-auth.js";
+import { breakdownFromMeta } from "../../lib/fees.js";
+import { recordOrderEvent, ORDER_EVENTS } from "../../lib/orders.js";
+import { stateOf, transition, isHoldState, ACTORS, ORDER_STATES, OrderStateError } from "../../lib/order-state.js";
+import { releaseFunds, cancelAuthorization, refundPayment, inEscrow, isFundsHeld, escrowAmount } from "../../lib/escrow.js";
+import { clampToAuth, DEADLINE_POLICIES } from "../../lib/deadlines.js";
+
+export const config = { runtime: "nodejs" };
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const ACTIONS = ["release", "refund", "partial_refund", "extend_deadline"];
+const MAX_EXTEND_HOURS = 7 * 24;
+
+async function resolveIntent({ paymentIntentId, sessionId }) {
+  if (paymentIntentId) return stripe.paymentIntents.retrieve(String(paymentIntentId));
+  if (sessionId) {
+    const cs = await stripe.checkout.sessions.retrieve(String(sessionId), { expand: ["payment_intent"] });
+    return typeof cs.payment_intent === "string"
+      ? stripe.paymentIntents.retrieve(cs.payment_intent)
+      : cs.payment_intent;
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const { paymentIntentId, sessionId, action, amount, hours, deadline } = req.body || {};
+    const reason = String(req.body?.reason || "").trim();
+
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({ error: "Invalid action", actions: ACTIONS });
+    }
+    if (!reason) return res.status(400).json({ error: "A reason is required" });
+    if (reason.length > 500) return res.status(400).json({ error: "Reason must be 500 characters or less" });
+
+    const pi = await resolveIntent({ paymentIntentId, sessionId });
+    if (!pi?.id) return res.status(404).json({ error: "PaymentIntent not found" });
+
+    const now = Math.floor(Date.now() / 1000);
+    // Funds held on the platform (auth-expiry guard) are still in escrow
+    const authorized = inEscrow(pi);
+    const captured = pi.status === "succeeded" && !isFundsHeld(pi);
+    const adminMeta = { fep_admin_action: action, fep_admin_reason: reason, fep_admin_at: String(now) };
+    const common = { actor: ACTORS.ADMIN, sessionId, extraMeta: adminMeta, data: { reason } };
+
+    // ---- release: capture + payout ----
+    if (action === "release") {
+      if (!authorized) return res.status(409).json({ error: "Nothing to release", status: pi.status });
+      const result = await releaseFunds(pi, {
+        ...common,
+        action: "admin_release",
+        eventType: ORDER_EVENTS.ADMIN_RELEASED,
+        idempotencyKey: `admin-release:${pi.id}`
+      });
+      return res.status(200).json({
+        ok: true, action, payment_intent: pi.id, fep_status: result.next,
+        amount_captured: result.captured.amount_captured, payout: result.payout
+      });
+    }
+
+    // ---- refund: cancel auth, or refund captured charge in full ----
+    if (action === "refund") {
+      if (authorized) {
+        const result = await cancelAuthorization(pi, {
+          ...common,
+          action: "admin_cancel",
+          eventType: ORDER_EVENTS.ADMIN_CANCELED,
+          idempotencyKey: `admin-cancel:${pi.id}`
+        });
+        return res.status(200).json({ ok: true, action, payment_intent: pi.id, fep_status: result.next });
+      }
+      if (captured) {
+        const result = await refundPayment(pi, {
+          ...common,
+          action: "admin_refund",
+          eventType: ORDER_EVENTS.ADMIN_REFUNDED
+        });
+        return res.status(200).json({
+          ok: true, action, payment_intent: pi.id, fep_status: result.next,
+          refund_id: result.refund.id, amount_refunded: result.refund.amount
+        });
+      }
+      return res.status(409).json({ error: "Nothing to refund", status: pi.status });
+    }
+
+    // ---- partial_refund ----
+    if (action === "partial_refund") {
+      const cents = Number(amount);
+      if (!Number.isInteger(cents) || cents <= 0) {
+        return res.status(400).json({ error: "amount must be a positive integer (cents)" });
+      }
+      const data = { reason, amount_refunded: cents };
+
+      if (authorized) {
+        // Capture what's left; Stripe releases the uncaptured remainder to the buyer
+        const captureAmount = escrowAmount(pi) - cents;
+        if (captureAmount <= 0) {
+          return res.status(400).json({ error: "amount must be less than amount_capturable", amount_capturable: escrowAmount(pi) });
+        }
+        // Platform fee shrinks in proportion to what's kept (stored checkout breakdown)
+        const fees = breakdownFromMeta(pi.metadata);
+        const scaledFee = Math.min(captureAmount - 1, Math.round((fees.application_fee * captureAmount) / Math.max(1, fees.total)));
+        const result = await releaseFunds(pi, {
+          ...common,
+          data,
+          action: "partial_refund",
+          eventType: ORDER_EVENTS.ADMIN_PARTIAL_REFUND,
+          idempotencyKey: `admin-partial:${pi.id}:${cents}`,
+          amountToCapture: captureAmount,
+          applicationFeeAmount: Math.max(0, scaledFee),
+          payoutCents: captureAmount - Math.max(0, scaledFee)
+        });
+        return res.status(200).json({
+          ok: true, action, payment_intent: pi.id, fep_status: result.next,
+          amount_captured: result.captured.amount_captured, amount_released: cents, payout: result.payout
+        });
+      }
+      if (captured) {
+        const refundable = pi.amount_received - Number(pi.metadata?.fep_refunded_cents || 0);
+        if (cents > refundable) return res.status(400).json({ error: "amount exceeds refundable balance", refundable });
+        const result = await refundPayment(pi, {
+          ...common,
+          data,
+          action: "partial_refund",
+          eventType: ORDER_EVENTS.ADMIN_PARTIAL_REFUND,
+          amount: cents
+        });
+        return res.status(200).json({
+          ok: true, action, payment_intent: pi.id, fep_status: result.next,
+          refund_id: result.refund.id, amount_refunded: result.refund.amount
+        });
+      }
+      return res.status(409).json({ error: "Nothing to refund", status: pi.status });
+    }
+
+    // ---- extend_deadline (also lifts a hold) ----
+    if (!authorized) return res.status(409).json({ error: "Order is not in escrow", status: pi.status });
+
+    let newDeadline;
+    if (deadline !== undefined && deadline !== null && deadline !== "") {
+      newDeadline = Math.floor(Number(deadline));
+    } else {
+      const h = Number(hours);
+      if (!Number.isFinite(h) || h <= 0) return res.status(400).json({ error: "Provide hours or deadline" });
+      newDeadline = now + Math.round(Math.min(h, MAX_EXTEND_HOURS) * 3600);
+    }
+    if (!Number.isFinite(newDeadline) || newDeadline <= now || newDeadline > now + MAX_EXTEND_HOURS * 3600) {
+      return res.status(400).json({ error: `deadline must be in the future and within ${MAX_EXTEND_HOURS}h` });
+    }
+
+    const state = stateOf(pi);
+    const meta = pi.metadata || {};
+    // Never past the authorization's validity: after that there's nothing to capture
+    const requestedDeadline = newDeadline;
+    newDeadline = clampToAuth(newDeadline, meta);
+    if (newDeadline <= now) {
+      return res.status(409).json({ error: "The card authorization expires too soon to extend; capture or re-authorize instead" });
+    }
+    const resumeTo = meta.fep_sent_at ? ORDER_STATES.SENT : ORDER_STATES.AUTHORIZED;
+    const next = isHoldState(state)
+      ? transition(state, "resume", ACTORS.ADMIN, resumeTo)
+      : transition(state, "extend_deadline", ACTORS.ADMIN, state);
+
+    await stripe.paymentIntents.update(pi.id, {
+      metadata: {
+        ...meta,
+        ...adminMeta,
+        fep_status: next,
+        fep_confirm_deadline: String(newDeadline),
+        fep_deadline_policy: newDeadline < requestedDeadline ? DEADLINE_POLICIES.AUTH_LIMIT : DEADLINE_POLICIES.ADMIN,
+        fep_deadline_frozen_at: "",
+        fep_frozen_remaining_secs: "",
+        fep_issue_respond_by: ""
+      }
+    });
+    await recordOrderEvent({
+      sessionId,
+      paymentIntentId: pi.id,
+      type: ORDER_EVENTS.DEADLINE_EXTENDED,
+      actor: ACTORS.ADMIN,
+      status: next,
+      data: { reason, previous_status: state, previous_deadline: Number(meta.fep_confirm_deadline || 0) || null, deadline: newDeadline }
+    });
+
+    return res.status(200).json({
+      ok: true,
+      action,
+      payment_intent: pi.id,
+      fep_status: next,
+      deadline: newDeadline,
+      clamped_to_auth: newDeadline < requestedDeadline
+    });
+  } catch (e) {
+    if (e instanceof OrderStateError) return res.status(e.statusCode).json(e.toJSON());
+    console.error("admin/resolve-order error:", e);
+    if (e?.statusCode === 404) return res.status(404).json({ error: "Not found" });
+    return res.status(500).json({ error: e?.message || "Failed to resolve order" });
+  }
+}
@@ -0,0 +1,47 @@
+// api/admin/sellers.js
+// Seller records.
+//   GET   /api/admin/sellers?key=ADMIN_SECRET&email=...   -> the seller row
+//   PATCH /api/admin/sellers?key=ADMIN_SECRET             -> { email, tier }  (tier: null clears it)
+// or send Authorization: Bearer ADMIN_SECRET
+// `tier` picks the seller's fee schedule (FEE_SCHEDULES match.sellerTier, lib/fees.js)
+// for checkouts from then on; orders already placed keep their stored breakdown.
+
+import db from "../../db.js";
+import { requireAdmin } from "../../lib/admin-auth.js";
+import { normalizeEmail } from "../../lib/seller-auth.js";
+
+export const config = { runtime: "nodejs" };
+
+const TIER_RE = /^[A-Za-z0-9_-]{1,40}$/;
+
+export default async function handler(req, res) {
+  if (!["GET", "PATCH"].includes(req.method)) {
+    res.setHeader("Allow", "GET, PATCH");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const email = normalizeEmail(req.query?.email);
+      if (!email) return res.status(400).json({ error: "Missing email" });
+      const seller = await db.getSeller(email);
+      if (!seller) return res.status(404).json({ error: "Seller not found" });
+      return res.status(200).json({ seller });
+    }
+
+    const { email: rawEmail, tier: rawTier } = req.body || {};
+    const email = normalizeEmail(rawEmail);
+    if (!email) return res.status(400).json({ error: "Missing email" });
+    if (rawTier === undefined) return res.status(400).json({ error: "Missing tier (null clears it)" });
+    const tier = rawTier === null || rawTier === "" ? null : String(rawTier).trim();
+    if (tier !== null && !TIER_RE.test(tier)) {
+      return res.status(400).json({ error: "tier must be 1–40 letters, digits, - or _" });
+    }
+    const seller = await db.setSellerTier(email, tier, Math.floor(Date.now() / 1000));
+    return res.status(200).json({ ok: true, seller });
+  } catch (err) {
+    console.error("admin sellers error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to update seller" });
+  }
+}
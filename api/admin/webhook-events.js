@@ -0,0 +1,120 @@
+// api/admin/webhook-events.js
+// Stripe webhook event log and replay.
+//   GET  /api/admin/webhook-events?key=ADMIN_SECRET                 -> latest events
+//   GET  /api/admin/webhook-events?key=ADMIN_SECRET&status=failed   -> one status
+//   GET  /api/admin/webhook-events?key=ADMIN_SECRET&id=evt_...      -> one event with payload
+//   POST /api/admin/webhook-events?key=ADMIN_SECRET                 -> replay failed events
+//   POST /api/admin/webhook-events?key=ADMIN_SECRET  { id, force }  -> replay one event
+// or send Authorization: Bearer ADMIN_SECRET. A scheduler may POST with CRON_SECRET
+// (failed events only) so a failure that Stripe stopped retrying still gets applied.
+
+import { requireAdmin, hasSecret } from "../../lib/admin-auth.js";
+import {
+  claimForReplay,
+  finishWebhookEvent,
+  listWebhookEvents,
+  getWebhookEvent,
+  WEBHOOK_EVENT_STATUS,
+  MAX_ATTEMPTS,
+} from "../../lib/webhook-events.js";
+import { processEvent } from "../webhooks/stripe.js";
+
+export const config = { runtime: "nodejs" };
+
+const CRON_SECRET = process.env.CRON_SECRET || null;
+
+// Safety cap on replays per run
+const DEFAULT_MAX_REPLAYS = Number(process.env.WEBHOOK_MAX_REPLAYS || 25);
+
+function summarize(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    last_error: row.last_error || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+async function replay(row) {
+  try {
+    await processEvent(row.payload);
+    await finishWebhookEvent(row.id);
+    return { ...summarize(row), status: WEBHOOK_EVENT_STATUS.PROCESSED, last_error: null };
+  } catch (err) {
+    console.error("[webhook-replay] failed:", row.type, row.id, err);
+    await finishWebhookEvent(row.id, err).catch(() => {});
+    return { ...summarize(row), status: WEBHOOK_EVENT_STATUS.FAILED, last_error: String(err?.message || err) };
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const viaCron = req.method === "POST" && hasSecret(req, CRON_SECRET);
+  if (!viaCron && !requireAdmin(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const id = String(req.query?.id || "");
+      if (id) {
+        const row = await getWebhookEvent(id);
+        if (!row) return res.status(404).json({ error: "Event not found" });
+        return res.status(200).json({ event: { ...summarize(row), payload: row.payload } });
+      }
+
+      const status = String(req.query?.status || "");
+      if (status && !Object.values(WEBHOOK_EVENT_STATUS).includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${Object.values(WEBHOOK_EVENT_STATUS).join(", ")}` });
+      }
+      const limit = Math.max(1, Math.min(Number(req.query?.limit || 50), 200));
+      const rows = await listWebhookEvents({ status, limit });
+      return res.status(200).json({ count: rows.length, events: rows.map(summarize) });
+    }
+
+    // ---- Replay one event (admin only; `force` re-runs one that already succeeded) ----
+    const { id, force } = req.body || {};
+    if (id) {
+      if (viaCron) return res.status(403).json({ error: "Replaying a single event requires the admin secret" });
+      const row = await claimForReplay(String(id), { force: force === true });
+      if (!row) {
+        const existing = await getWebhookEvent(String(id));
+        if (!existing) return res.status(404).json({ error: "Event not found" });
+        return res.status(409).json({ error: `Event is ${existing.status}; pass force: true to replay it`, event: summarize(existing) });
+      }
+      const result = await replay(row);
+      return res.status(200).json({ replayed: 1, results: [result] });
+    }
+
+    // ---- Replay failed events, oldest first ----
+    const maxReplays = Math.max(1, Math.min(Number(req.query?.max || DEFAULT_MAX_REPLAYS), 100));
+    const failed = await listWebhookEvents({ status: WEBHOOK_EVENT_STATUS.FAILED, limit: 200 });
+    const results = [];
+    let skipped = 0;
+    for (const candidate of failed) {
+      if (results.length >= maxReplays) break;
+      if (candidate.attempts >= MAX_ATTEMPTS) {
+        skipped++;
+        continue;
+      }
+      const row = await claimForReplay(candidate.id);
+      if (!row) continue; // picked up by a Stripe redelivery meanwhile
+      results.push(await replay(row));
+    }
+
+    return res.status(200).json({
+      replayed: results.length,
+      succeeded: results.filter((r) => r.status === WEBHOOK_EVENT_STATUS.PROCESSED).length,
+      skipped_max_attempts: skipped,
+      results,
+    });
+  } catch (err) {
+    console.error("webhook-events error:", err);
+    return res.status(500).json({ error: err?.message || "Internal error" });
+  }
+}
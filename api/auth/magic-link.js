@@ -0,0 +1,27 @@
+// api/auth/magic-link.js
+// Seller login, step 1: email a one-time login link (lib/seller-auth.js).
+//   POST { email, next }   `next` = app path to land on after login (default "/")
+// Always answers the same way for a well-formed address, so it can't be used to
+// find out who sells here.
+
+import { sendMagicLink, AuthError } from "../../lib/seller-auth.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const { email, next } = req.body || {};
+    await sendMagicLink(email, { next });
+    return res.status(200).json({ ok: true, sent: true });
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(err.statusCode).json({ error: err.message });
+    console.error("auth/magic-link error:", err);
+    return res.status(500).json({ error: "Failed to send login link" });
+  }
+}
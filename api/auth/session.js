@@ -0,0 +1,37 @@
+// api/auth/session.js
+// The signed-in seller.
+//   GET    -> { ok, seller: { email, connect_account_id, expires_at } | null }
+//   DELETE -> log out (clears the cookie)
+
+import { sellerSession, sellerAccountId, endSession } from "../../lib/seller-auth.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "DELETE") {
+    res.setHeader("Allow", "GET, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "DELETE") {
+    endSession(res);
+    return res.status(200).json({ ok: true, seller: null });
+  }
+
+  try {
+    const session = sellerSession(req);
+    if (!session) return res.status(200).json({ ok: true, seller: null });
+    return res.status(200).json({
+      ok: true,
+      seller: {
+        email: session.email,
+        connect_account_id: await sellerAccountId(session.email),
+        expires_at: session.exp
+      }
+    });
+  } catch (err) {
+    console.error("auth/session error:", err);
+    return res.status(500).json({ error: "Failed to read session" });
+  }
+}
@@ -0,0 +1,30 @@
+// api/auth/verify.js
+// Seller login, step 2: the emailed link lands here.
+//   GET ?token=...&next=/path  -> sets the session cookie, redirects to `next`
+// A used or expired link redirects to /?login=expired instead.
+
+import { verifyMagicLink, startSession, safeNextPath } from "../../lib/seller-auth.js";
+import { appUrl } from "../../lib/notify.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  const landing = safeNextPath(req.query?.next);
+
+  try {
+    const seller = await verifyMagicLink(String(req.query?.token || ""));
+    startSession(res, seller.email);
+    res.setHeader("Location", appUrl(landing));
+    return res.status(302).end();
+  } catch (err) {
+    if (err?.statusCode !== 401) console.error("auth/verify error:", err);
+    res.setHeader("Location", appUrl("/?login=expired"));
+    return res.status(302).end();
+  }
+}
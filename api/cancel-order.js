@@ -1,5 +1,11 @@
 // api/cancel-order.js
+// Buyer cancels before capture; needs the buyer-cancel link from the order email
+// (lib/action-tokens.js) as `token` or X-Action-Token.
 import Stripe from "stripe";
+import { ORDER_EVENTS } from "../lib/orders.js";
+import { ACTORS, OrderStateError } from "../lib/order-state.js";
+import { cancelAuthorization, inEscrow } from "../lib/escrow.js";
+import { verifyActionToken, actionTokenFrom, ActionTokenError, ACTIONS } from "../lib/action-tokens.js";
 export const config = { runtime: "nodejs" };
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -8,29 +14,26 @@ export default async function handler(req, res) {
     res.setHeader("Allow", "POST"); return res.status(405).json({ error: "Method not allowed" });
   }
   try {
-    const { sessionId } = await req.json?.() || req.body || {};
+    const body = await req.json?.() || req.body || {};
+    const { sessionId } = body;
     if (!sessionId) return res.status(400).json({ error: "Missing sessionId" });
+    verifyActionToken(actionTokenFrom(req, body), { action: ACTIONS.BUYER_CANCEL, sessionId });
 
     const cs = await stripe.checkout.sessions.retrieve(sessionId, { expand: ["payment_intent"] });
     const pi = cs.payment_intent;
     if (!pi) return res.status(404).json({ error: "PaymentIntent not found" });
 
-    const meta = pi.metadata || {};
-    if (pi.status !== "requires_capture") return res.status(400).json({ error: "Not cancelable" });
-    if (meta.fep_status === "sent")   return res.status(409).json({ error: "Already sent" });
-    if (meta.fep_status === "on_hold") return res.status(409).json({ error: "On hold" });
+    if (!inEscrow(pi)) return res.status(400).json({ error: "Not cancelable" });
 
-    await stripe.paymentIntents.cancel(
-      pi.id,
-      { cancellation_reason: "requested_by_customer" },
-      { idempotencyKey: `buyer-cancel:${pi.id}` }
-    );
-    await stripe.paymentIntents.update(pi.id, {
-      metadata: { ...meta, fep_status: "canceled", fep_canceled_at: String(Math.floor(Date.now()/1000)) }
+    await cancelAuthorization(pi, {
+      action: "cancel", actor: ACTORS.BUYER, eventType: ORDER_EVENTS.CANCELED,
+      sessionId: cs.id, idempotencyKey: `buyer-cancel:${pi.id}`
     });
 
     return res.status(200).json({ ok: true });
   } catch (e) {
+    if (e instanceof OrderStateError) return res.status(e.statusCode).json(e.toJSON());
+    if (e instanceof ActionTokenError) return res.status(e.statusCode).json({ error: e.message });
     console.error("cancel-order error:", e);
     return res.status(500).json({ error: "Failed to cancel" });
   }
@@ -1,10 +1,17 @@
 // /api/capture-order.js
-// Node.js Serverless friendly (CommonJS). CORS + timeout guards + client step for session-status refresh.
+// Node.js Serverless friendly (ESM, like the rest of api/). CORS + timeout guards + client step for session-status refresh.
+// A capture is a buyer confirmation, so it needs the buyer-confirm link token (lib/action-tokens.js).
+
+import Stripe from "stripe";
+import { recordOrderEvent, ORDER_EVENTS } from "../lib/orders.js";
+import { stateOf, transition, ACTORS, OrderStateError } from "../lib/order-state.js";
+import { ticketState, parseSelection, formatTickets, captureAmounts, TicketSelectionError } from "../lib/tickets.js";
+import { isFundsHeld } from "../lib/escrow.js";
+import { verifyActionToken, actionTokenFrom, ActionTokenError, ACTIONS } from "../lib/action-tokens.js";
 
-const Stripe = require("stripe");
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
-exports.config = { runtime: "nodejs" };
+export const config = { runtime: "nodejs" };
 
 // Helper timeout wrapper
 function withTimeout(promise, ms = 7000, errMsg = "Upstream timeout") {
@@ -15,17 +22,19 @@ function withTimeout(promise, ms = 7000, errMsg = "Upstream timeout") {
   ]);
 }
 
-module.exports = async function handler(req, res) {
+export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Action-Token");
   res.setHeader("Cache-Control", "no-store");
 
   if (req.method === "OPTIONS") return res.status(204).end();
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
   try {
-    const { sid, pi, amount_to_capture } = req.body || {};
+    // `tickets` (optional): ticket numbers received; captures that share (lib/tickets.js).
+    // Omit to capture the whole order. Raw amounts aren't accepted: the fee split follows the tickets.
+    const { sid, pi, tickets } = req.body || {};
 
     // ---- Resolve PaymentIntent ----
     let paymentIntentId = pi;
@@ -50,6 +59,11 @@ module.exports = async function handler(req, res) {
       7000,
       "Stripe PI retrieve timeout"
     );
+    verifyActionToken(actionTokenFrom(req), {
+      action: ACTIONS.BUYER_CONFIRM,
+      sessionId: sid ? String(sid) : undefined,
+      paymentIntentId: intent.id
+    });
 
     if (intent.capture_method !== "manual") {
       return res.status(409).json({
@@ -59,6 +73,14 @@ module.exports = async function handler(req, res) {
       });
     }
 
+    if (isFundsHeld(intent)) {
+      // Already captured and held on the platform; releasing it is a payout, not a capture
+      return res.status(409).json({
+        error: "Funds are held on the platform; confirm via /api/confirm-received instead.",
+        status: intent.status,
+      });
+    }
+
     if (intent.status !== "requires_capture") {
       return res.status(409).json({
         error: `Cannot capture: intent status is '${intent.status}'.`,
@@ -67,19 +89,27 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // ---- Capture ----
+    // Client-side release is a buyer confirmation; holds/disputes block it
+    const next = transition(stateOf(intent), "confirm", ACTORS.BUYER);
+
+    // ---- Capture: the whole order, or the share for the confirmed tickets ----
     const params = {};
-    if (typeof amount_to_capture === "number" && Number.isFinite(amount_to_capture)) {
-      if (amount_to_capture <= 0)
-        return res.status(400).json({ error: "amount_to_capture must be > 0 (in cents)" });
-      if (amount_to_capture > intent.amount_capturable) {
-        return res.status(400).json({
-          error: "amount_to_capture exceeds amount_capturable",
-          amount_to_capture,
-          amount_capturable: intent.amount_capturable,
-        });
+    let confirmed = null;
+    if (tickets !== undefined) {
+      const { qty } = ticketState(intent.metadata);
+      confirmed = parseSelection(tickets, qty);
+      if (!confirmed.length) return res.status(400).json({ error: "Confirm at least one ticket" });
+      const amounts = captureAmounts(intent.metadata, confirmed.length);
+      if (!amounts.full) {
+        if (amounts.amountToCapture > intent.amount_capturable) {
+          return res.status(409).json({
+            error: "Ticket share exceeds the authorized amount",
+            amount_capturable: intent.amount_capturable,
+          });
+        }
+        params.amount_to_capture = amounts.amountToCapture;
+        params.application_fee_amount = amounts.applicationFee;
       }
-      params.amount_to_capture = Math.floor(amount_to_capture);
     }
 
     const captured = await withTimeout(
@@ -88,11 +118,34 @@ module.exports = async function handler(req, res) {
       "Stripe capture timeout"
     );
 
+    // Mirror the confirm transition like confirm-received does (the money already moved,
+    // so a failed write is logged; the webhook's succeeded sync catches up)
+    await withTimeout(
+      stripe.paymentIntents.update(captured.id, {
+        metadata: {
+          ...(intent.metadata || {}),
+          fep_status: next,
+          ...(confirmed ? { fep_tickets_confirmed: formatTickets(confirmed) } : {})
+        }
+      }),
+      7000,
+      "Stripe PI update timeout"
+    ).catch((e) => console.warn("capture-order: fep_status update failed:", captured.id, e?.message || e));
+
     const charges = (captured.charges && captured.charges.data) || [];
     const latestCharge = charges.length ? charges[charges.length - 1] : null;
 
-    // ---- Client follow-up: trigger /api/session-status ----
-    // This makes a quick internal fetch so inventory updates automatically.
+    await recordOrderEvent({
+      sessionId: sid ? String(sid) : undefined,
+      paymentIntentId: captured.id,
+      type: ORDER_EVENTS.CAPTURED,
+      actor: ACTORS.BUYER,
+      status: next,
+      data: { amount_captured: captured.amount_captured, partial: params.amount_to_capture !== undefined }
+    });
+
+    // ---- Client follow-up: fetch /api/session-status ----
+    // Returns the refreshed order snapshot so the client doesn't need a second round-trip.
     let sessionStatus = null;
     if (sid) {
       try {
@@ -119,9 +172,12 @@ module.exports = async function handler(req, res) {
       },
       charge_id: latestCharge ? latestCharge.id : null,
       amount_captured: captured.amount_captured,
-      session_status: sessionStatus, // includes listing_update_applied flag if success
+      session_status: sessionStatus, // listing_update_applied reflects the webhook inventory ledger
     });
   } catch (err) {
+    if (err instanceof OrderStateError) return res.status(err.statusCode).json(err.toJSON());
+    if (err instanceof ActionTokenError) return res.status(err.statusCode).json({ error: err.message });
+    if (err instanceof TicketSelectionError) return res.status(err.statusCode).json({ error: err.message });
     console.error("capture-order error:", err);
     return res.status(400).json({
       error: err?.message || "Capture failed",
@@ -129,4 +185,4 @@ module.exports = async function handler(req, res) {
       code: err?.code || null,
     });
   }
-};
+}
@@ -1,13 +1,16 @@
 // /api/confirm-received.js
+// Buyer confirms tickets arrived; needs the buyer-confirm link from the order email
+// (lib/action-tokens.js) as `token` or X-Action-Token.
 import Stripe from "stripe";
+import { recordOrderEvent, ORDER_EVENTS } from "../lib/orders.js";
+import { stateOf, transition, ACTORS, OrderStateError } from "../lib/order-state.js";
+import { releaseFunds, inEscrow, isFundsHeld, escrowAmount } from "../lib/escrow.js";
+import { ticketState, parseSelection, formatTickets, captureAmounts, TicketSelectionError } from "../lib/tickets.js";
+import { verifyActionToken, actionTokenFrom, ActionTokenError, ACTIONS } from "../lib/action-tokens.js";
 export const config = { runtime: "nodejs" };
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
-// Flat buyer fee per order, keep in sync with create-checkout-session
-const BUYER_FEE_CENTS = 350;
-const CONFIRM_HOURS = Number(process.env.FEP_CONFIRM_HOURS || 72);
-
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     res.setHeader("Allow", "POST");
@@ -15,11 +18,14 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { sessionId } = req.body || {};
+    // `tickets` (optional): ticket numbers received; omit to confirm the whole order.
+    // `finalize`: capture now for the confirmed tickets only and release the rest.
+    const { sessionId, tickets, finalize = false } = req.body || {};
     if (!sessionId) return res.status(400).json({ error: "Missing sessionId" });
     if (!/^cs_(test|live)_[A-Za-z0-9]+$/.test(String(sessionId))) {
       return res.status(400).json({ error: "Invalid sessionId" });
     }
+    verifyActionToken(actionTokenFrom(req), { action: ACTIONS.BUYER_CONFIRM, sessionId });
 
     // Keep expands minimal for performance; no need to expand balance tx here
     const session = await stripe.checkout.sessions.retrieve(sessionId, {
@@ -39,8 +45,8 @@ export default async function handler(req, res) {
       return res.status(409).json({ error: "Payment not in escrow (manual capture required)" });
     }
 
-    // Already captured? Make this idempotent
-    if (pi.status === "succeeded") {
+    // Already captured? Make this idempotent (held funds are still in escrow)
+    if (pi.status === "succeeded" && !isFundsHeld(pi)) {
       return res.status(200).json({
         ok: true,
         alreadyCaptured: true,
@@ -49,7 +55,7 @@ export default async function handler(req, res) {
     }
 
     // Not ready to capture yet?
-    if (pi.status !== "requires_capture") {
+    if (!inEscrow(pi)) {
       return res.status(409).json({
         error: `Cannot capture: intent status is '${pi.status}'`,
         status: pi.status,
@@ -64,70 +70,69 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "Confirmation window expired" });
     }
 
-    // ---- Capture funds (idempotent) ----
-    const captured = await stripe.paymentIntents.capture(
-      pi.id,
-      {},
-      { idempotencyKey: `capture:${pi.id}` }
-    );
-
-    // ---- Compute payout (platform fee 5% + $0.75 per ticket) ----
-    const md = { ...(pi.metadata || {}) };
-    const price = Number(md.price || 0);     // per-ticket USD
-    const qty = Math.max(1, Number(md.qty || 1));
-    const sellerAccountId = String(md.sellerAccountId || "");
-
-    const platformFeePerTicket = price * 0.05 + 0.75;
-    const payoutPerTicket = Math.max(0, price - platformFeePerTicket);
-    const totalPayoutUSD = Math.max(0, payoutPerTicket * qty);
-    const totalPayoutCents = Math.round(totalPayoutUSD * 100);
-
-    // Last charge id to use as source_transaction (charge must be captured)
-    const chargeId =
-      captured?.charges?.data?.[0]?.id ||
-      pi.latest_charge ||
-      null;
-
-    // Try transfer, but don't fail the whole request if it errors
-    let transferResult = null;
-    let transferWarning = null;
-
-    if (sellerAccountId && totalPayoutCents > 0 && chargeId) {
-      try {
-        transferResult = await stripe.transfers.create({
-          amount: totalPayoutCents,
-          currency: "usd",
-          destination: sellerAccountId,
-          source_transaction: chargeId,
-          metadata: {
-            listingId: md.listingId || "",
-            reason: "FEP payout after buyer confirmation",
-            qty: String(qty),
-            price: String(price),
-            platformFeePerTicket: platformFeePerTicket.toFixed(2),
-            totalPayout: totalPayoutUSD.toFixed(2),
-          },
-        });
-      } catch (e) {
-        // Common reasons: destination not enabled for transfers, or not connected
-        transferWarning = e?.message || "Transfer failed";
-        // We still continue – funds are captured to the platform; you can reconcile later.
+    // ---- Per-ticket confirmation ----
+    const md = pi.metadata || {};
+    const current = ticketState(md);
+    let confirmed = current.confirmed;
+    if (tickets !== undefined) {
+      const selection = parseSelection(tickets, current.qty);
+      const unsent = selection.filter((n) => !current.sent.includes(n));
+      if (unsent.length) {
+        return res.status(400).json({ error: `Ticket(s) ${unsent.join(", ")} not marked sent yet`, tickets_sent: current.sent });
       }
+      confirmed = [...new Set([...confirmed, ...selection])];
+    } else {
+      confirmed = Array.from({ length: current.qty }, (_, i) => i + 1);
     }
 
-    // Update PI metadata to reflect capture (non-blocking if it fails)
-    try {
+    // Partial confirmation without finalizing: record it and keep the rest in escrow
+    if (confirmed.length < current.qty && !finalize) {
+      transition(stateOf(pi), "confirm", ACTORS.BUYER); // same guards as a capture
       await stripe.paymentIntents.update(pi.id, {
-        metadata: {
-          ...md,
-          fep_status: "captured",
-          fep_captured_at: String(now),
-        },
+        metadata: { ...md, fep_tickets_confirmed: formatTickets(confirmed) }
+      });
+      await recordOrderEvent({
+        sessionId: session.id,
+        paymentIntentId: pi.id,
+        type: ORDER_EVENTS.TICKETS_CONFIRMED,
+        actor: ACTORS.BUYER,
+        data: { tickets: confirmed, qty: current.qty },
+        details: { tickets_confirmed: confirmed }
+      });
+      return res.status(200).json({
+        ok: true,
+        captured: false,
+        payment_intent: { id: pi.id, status: pi.status },
+        tickets_confirmed: [...confirmed].sort((a, b) => a - b),
+        qty: current.qty
       });
-    } catch (_) {
-      // ignore
+    }
+    if (!confirmed.length) {
+      return res.status(400).json({ error: "Confirm at least one ticket, or report an issue instead" });
     }
 
+    // ---- Capture + payout from the stored fee breakdown (issue reported / on hold / disputed orders are rejected) ----
+    const amounts = captureAmounts(md, confirmed.length);
+    if (!amounts.full && amounts.amountToCapture > escrowAmount(pi)) {
+      return res.status(409).json({ error: "Ticket share exceeds the authorized amount", amount_capturable: escrowAmount(pi) });
+    }
+    const { captured, chargeId, payout } = await releaseFunds(pi, {
+      action: "confirm",
+      actor: ACTORS.BUYER,
+      eventType: ORDER_EVENTS.CONFIRMED,
+      sessionId: session.id,
+      idempotencyKey: amounts.full ? `capture:${pi.id}` : `capture:${pi.id}:${confirmed.length}`,
+      ...(amounts.full
+        ? {}
+        : {
+            amountToCapture: amounts.amountToCapture,
+            applicationFeeAmount: amounts.applicationFee,
+            payoutCents: amounts.payoutCents
+          }),
+      extraMeta: { fep_tickets_confirmed: formatTickets(confirmed) },
+      data: { tickets: confirmed, qty: current.qty, partial: !amounts.full }
+    });
+
     return res.status(200).json({
       ok: true,
       payment_intent: {
@@ -137,14 +142,14 @@ export default async function handler(req, res) {
         currency: captured.currency,
       },
       charge_id: chargeId,
-      payout: {
-        destination: sellerAccountId || null,
-        total_payout_cents: totalPayoutCents,
-        transfer_id: transferResult?.id || null,
-        warning: transferWarning || null,
-      },
+      tickets_confirmed: [...confirmed].sort((a, b) => a - b),
+      partial: !amounts.full,
+      payout,
     });
   } catch (err) {
+    if (err instanceof OrderStateError) return res.status(err.statusCode).json(err.toJSON());
+    if (err instanceof ActionTokenError) return res.status(err.statusCode).json({ error: err.message });
+    if (err instanceof TicketSelectionError) return res.status(err.statusCode).json({ error: err.message });
     console.error("confirm-received error:", err);
     return res.status(500).json({ error: err?.message || "Internal error" });
   }
@@ -1,5 +1,7 @@
 // api/connect/account-status.js
+// Onboarding status of the signed-in seller's Connect account (lib/seller-auth.js).
 import Stripe from "stripe";
+import { requireSeller, sellerAccountId } from "../../lib/seller-auth.js";
 
 export const config = { runtime: "nodejs" };
 
@@ -11,10 +13,16 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const account = (req.query?.account || req.query?.accountId || "").toString().trim();
-  if (!account) return res.status(400).json({ error: "Missing account" });
+  const session = requireSeller(req, res);
+  if (!session) return;
 
   try {
+    // The account on file for this seller; a different ?account= is someone else's
+    const account = await sellerAccountId(session.email);
+    if (!account) return res.status(404).json({ error: "No payout account connected yet" });
+    const asked = (req.query?.account || req.query?.accountId || "").toString().trim();
+    if (asked && asked !== account) return res.status(403).json({ error: "Not your account" });
+
     const acc = await stripe.accounts.retrieve(account);
 
     // Core flags your UI cares about
@@ -1,5 +1,10 @@
 // api/connect/create-link.js
+// Onboarding link for the signed-in seller's Stripe Express account. The account
+// is created on first use and tied to the seller's email (lib/seller-auth.js);
+// an `accountId` from the browser is only adopted when it was opened for this seller.
 import Stripe from "stripe";
+import { COUNTRY_CURRENCY } from "../../lib/currency.js";
+import { requireSeller, sellerAccountId, linkSellerAccount, normalizeEmail } from "../../lib/seller-auth.js";
 
 export const config = { runtime: "nodejs" };
 
@@ -15,16 +20,35 @@ export default async function handler(req, res) {
       res.setHeader("Allow", "POST, GET");
       return res.status(405).json({ ok: false, error: "Method not allowed" });
     }
+    const session = requireSeller(req, res);
+    if (!session) return;
 
     const body = req.method === "POST" ? (req.body || {}) : (req.query || {});
-    const sellerEmail = (body.sellerEmail || body.email || "").toString().trim();
+    const sellerEmail = session.email;
     const sellerName  = (body.sellerName || "").toString().trim();
-    let accountId     = (body.accountId || body.account || "").toString().trim();
+    const storedId    = await sellerAccountId(sellerEmail);
+    let accountId     = storedId || (body.accountId || body.account || "").toString().trim();
+    // Sellers list in their country's currency (lib/currency.js)
+    const country     = (body.country || "US").toString().trim().toUpperCase();
+    if (!COUNTRY_CURRENCY[country]) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unsupported country '${country}' (supported: ${Object.keys(COUNTRY_CURRENCY).join(", ")})`,
+      });
+    }
 
     // If we got an account id, verify it; otherwise create a new Express account.
-    if (accountId) {
+    let currency = COUNTRY_CURRENCY[country];
+    if (storedId) {
+      const existing = await stripe.accounts.retrieve(storedId);
+      currency = existing.default_currency || COUNTRY_CURRENCY[existing.country] || currency;
+    } else if (accountId) {
       try {
-        await stripe.accounts.retrieve(accountId);
+        const existing = await stripe.accounts.retrieve(accountId);
+        // An account from before seller logins: adopt it only if it was opened with this email
+        const owner = normalizeEmail(existing.metadata?.fep_seller_email || existing.email);
+        if (owner !== sellerEmail) throw new Error("Account belongs to another seller");
+        currency = existing.default_currency || COUNTRY_CURRENCY[existing.country] || currency;
       } catch {
         accountId = "";
       }
@@ -34,7 +58,7 @@ export default async function handler(req, res) {
       // ✅ Use legacy Express (NO `controller` block) to avoid the “fees.payer application” error
       const account = await stripe.accounts.create({
         type: "express",
-        country: "US", // change if you need a different country
+        country,
         email: sellerEmail || undefined,
         capabilities: {
           transfers: { requested: true },
@@ -52,6 +76,8 @@ export default async function handler(req, res) {
 
       accountId = account.id;
     }
+    // First account linked wins (two tabs onboarding at once end up on the same one)
+    accountId = (await linkSellerAccount(sellerEmail, accountId)) || accountId;
 
     // Create a hosted onboarding link the frontend can open
     const refresh_url = `${ORIGIN}/?account=${encodeURIComponent(accountId)}#stripe-refresh`;
@@ -68,6 +94,7 @@ export default async function handler(req, res) {
       ok: true,
       status: "onboarding",
       accountId,
+      currency, // what this seller's listings should be priced in
       url: link.url,
     });
   } catch (err) {
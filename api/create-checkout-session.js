@@ -1,35 +1,20 @@
 // api/create-checkout-session.js
 import Stripe from "stripe";
+import { getListing, remainingOf, isListingDeleted } from "../lib/listings-store.js";
+import { placeHold, attachSession, releaseHold, ReservationError, HOLD_GRACE_SECS } from "../lib/reservations.js";
+import { createOrder } from "../lib/orders.js";
+import { canAcceptCharges } from "../lib/connect-accounts.js";
+import { feeMetadata } from "../lib/fees.js";
+import { buildQuote, clampQty, QuoteError } from "../lib/quote.js";
+import { validatePromo, reservePromo, attachPromoRedemption, releasePromo, PromoError } from "../lib/promos.js";
+import { computeConfirmDeadline, eventTimeOf, AUTH_VALIDITY_DAYS } from "../lib/deadlines.js";
+import { sellerAccountId as sellerAccountIdFor, sellerTier } from "../lib/seller-auth.js";
 
 export const config = { runtime: "nodejs" };
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
-// ==== env / defaults (in cents where applicable) ====
+// ==== env / defaults (pricing and fees live in lib/quote.js + lib/fees.js) ====
 const APP_BASE_URL         = process.env.APP_BASE_URL || "";
-const BUYER_FEE_CENTS_ENV  = process.env.BUYER_FEE_CENTS;      // e.g. "350"
-const ESCROW_HOURS         = Number(process.env.ESCROW_HOURS ?? 72);
-const SELLER_FEE_FIXED_ENV = process.env.SELLER_FEE_FIXED;     // e.g. "75"
-const SELLER_FEE_PCT_ENV   = process.env.SELLER_FEE_PERCENT;   // e.g. "0.05" or "5"
-const MAX_QTY_PER_ORDER    = Number(process.env.MAX_QTY_PER_ORDER ?? 10);
-
-// sane defaults if env missing
-const BUYER_FEE_CENTS  = Number.isFinite(Number(BUYER_FEE_CENTS_ENV))  ? Number(BUYER_FEE_CENTS_ENV)  : 350;
-const SELLER_FEE_FIXED = Number.isFinite(Number(SELLER_FEE_FIXED_ENV)) ? Number(SELLER_FEE_FIXED_ENV) : 75;
-
-// "5" -> 0.05  // "0.05" -> 0.05
-function normalizePercent(p) {
-  const n = Number(p);
-  if (!Number.isFinite(n) || n <= 0) return 0;
-  return n >= 1 ? n / 100 : n;
-}
-const SELLER_FEE_PCT = normalizePercent(SELLER_FEE_PCT_ENV ?? 0.05);
-
-// helpers
-function toCents(n) {
-  const num = Number(n);
-  if (!Number.isFinite(num)) return null;
-  return Math.round(num * 100);
-}
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -41,66 +26,86 @@ export default async function handler(req, res) {
   res.setHeader("Cache-Control", "no-store");
 
   try {
-    const {
-      listingId, group, date, city, seat,
-      face, price, qty = 1,
-      sellerEmail, buyerEmail = "", sellerAccountId = ""
-    } = req.body || {};
+    // Only the listing id, quantity, buyer email and an optional promo code come from the
+    // client; price, face value, inventory and payout account are read from the listing.
+    const { listingId, qty = 1, buyerEmail = "", promoCode = "" } = req.body || {};
 
     if (!listingId) return res.status(400).json({ error: "Missing listingId" });
-    if (!sellerAccountId) {
-      return res.status(400).json({ error: "Missing sellerAccountId (no destination account for payout)" });
-    }
-
-    // qty – strictly clamp to sensible range
-    let qtyInt = Number(qty);
-    if (!Number.isFinite(qtyInt)) qtyInt = parseInt(String(qty), 10);
-    qtyInt = Math.max(1, Math.min(MAX_QTY_PER_ORDER, Number.isFinite(qtyInt) ? qtyInt : 1));
 
-    const unitAmount = toCents(price);
-    if (unitAmount === null || unitAmount <= 0) {
-      return res.status(400).json({ error: "Invalid price" });
+    const listing = await getListing(listingId);
+    if (!listing || isListingDeleted(listing)) {
+      return res.status(404).json({ error: "Listing not found" });
     }
 
-    // 15% cap vs face value (if provided)
-    if (face !== undefined && face !== null && String(face).trim() !== "") {
-      const faceCents = toCents(face);
-      if (faceCents && unitAmount > Math.round(faceCents * 1.15)) {
-        return res.status(400).json({ error: "Price exceeds +15% cap" });
-      }
+    const { group, face, price, sellerEmail } = listing;
+    // Payout goes to the account tied to the seller's login; older listings carry their own
+    const sellerAccountId = String((await sellerAccountIdFor(sellerEmail)) || listing.sellerAccountId || "");
+    if (!sellerAccountId) {
+      return res.status(409).json({ error: "Seller has not connected a payout account" });
+    }
+    if (!(await canAcceptCharges(sellerAccountId))) {
+      return res.status(409).json({ error: "Seller's payout account can't accept payments right now" });
     }
 
-    const name = String(group || "Ticket");
-    const descParts = [];
-    if (date) descParts.push(String(date));
-    if (city) descParts.push(String(city));
-    if (seat) descParts.push(String(seat));
-    const description = descParts.join(" • ");
+    const remaining = remainingOf(listing);
+    if (remaining <= 0) return res.status(409).json({ error: "Listing is sold out" });
+
+    const qtyInt = clampQty(qty);
+    if (qtyInt > remaining) {
+      return res.status(409).json({ error: `Only ${remaining} ticket(s) remaining`, remaining });
+    }
 
     const origin = APP_BASE_URL || req.headers.origin || "";
     if (!origin) return res.status(500).json({ error: "Missing APP_BASE_URL / origin for redirects" });
 
-    // ===== fee math (all cents) =====
-    const itemSubtotalCents   = unitAmount * qtyInt;             // tickets only
-    const buyerFeeTotalCents  = BUYER_FEE_CENTS * qtyInt;        // fee line item (visible to buyer)
-    const grossChargeCents    = itemSubtotalCents + buyerFeeTotalCents;
+    // ===== price checks + fee math (all cents) – same code as /api/fee-quote =====
+    const promo = promoCode
+      ? await validatePromo(promoCode, { eventId: listing.eventId, group, currency: listing.currency })
+      : null;
+    // The fee tier comes from the seller record, not from anything stored on the listing
+    const tier = await sellerTier(sellerEmail);
+    const { currency, unitAmount, fees, lineItems } = buildQuote({ ...listing, sellerTier: tier }, qtyInt, { promo });
+    const {
+      item_subtotal: itemSubtotalCents,               // tickets only
+      buyer_fee_per_ticket: buyerFeePerTicketCents,   // fee line item (visible to buyer)
+      buyer_fee_total: buyerFeeTotalCents,
+      seller_fee_per_ticket: sellerFeePerTicketCents, // seller platform fee per ticket
+      seller_fee_total: sellerFeeTotalCents,
+      application_fee: applicationFeeCents,           // platform keeps buyer fee + seller fee
+      total: grossChargeCents
+    } = fees;
 
-    // seller platform fee per ticket
-    const sellerFeePerTicketCents = Math.round(unitAmount * SELLER_FEE_PCT) + SELLER_FEE_FIXED;
-    const sellerFeeTotalCents     = sellerFeePerTicketCents * qtyInt;
+    // Provisional deadline from the event date; the webhook re-clamps it to the real
+    // authorization expiry once the card is authorized (lib/deadlines.js)
+    const nowSecs = Math.floor(Date.now() / 1000);
+    const eventAt = eventTimeOf(listing);
+    const { deadline: confirmDeadline, policy: deadlinePolicy } = computeConfirmDeadline({
+      authorizedAt: nowSecs,
+      eventAt,
+      authExpiresAt: nowSecs + AUTH_VALIDITY_DAYS * 24 * 3600
+    });
 
-    // platform keeps buyer fee + seller fee through application_fee_amount
-    let applicationFeeCents       = buyerFeeTotalCents + sellerFeeTotalCents;
+    // Hold the seats for as long as the Checkout Session stays open
+    const { holdId, sessionExpiresAt } = await placeHold({ listingId, qty: qtyInt, remaining });
 
-    // safety guard: app fee must be < total charge
-    if (applicationFeeCents >= grossChargeCents) {
-      applicationFeeCents = Math.max(0, grossChargeCents - 1);
+    // Reserve the promo use alongside the seats (same lifetime)
+    let promoRedemptionId = "";
+    if (promo) {
+      try {
+        promoRedemptionId = await reservePromo(promo, {
+          buyerEmail,
+          discountCents: fees.buyer_fee_discount_total,
+          expiresAt: sessionExpiresAt + HOLD_GRACE_SECS
+        });
+      } catch (err) {
+        await releaseHold(holdId).catch(() => {});
+        throw err;
+      }
     }
 
-    const confirmDeadline = Math.floor(Date.now() / 1000) + ESCROW_HOURS * 3600;
-
     const payload = {
       mode: "payment",
+      expires_at: sessionExpiresAt,
       payment_intent_data: {
         capture_method: "manual",
 
@@ -117,6 +122,11 @@ export default async function handler(req, res) {
           fep: "1",
           fep_status: "authorized",
           fep_confirm_deadline: String(confirmDeadline),
+          fep_deadline_policy: deadlinePolicy,
+          fep_event_at: eventAt ? String(eventAt) : "",
+          fep_hold_id: holdId,
+          fep_promo_redemption: promoRedemptionId,
+          promo_code: fees.promo_code || "",
           listingId,
           group: group || "",
           sellerEmail: sellerEmail || "",
@@ -125,12 +135,14 @@ export default async function handler(req, res) {
           face: face !== undefined && face !== null ? String(face) : "",
           price: String(price),
           qty: String(qtyInt),
+          currency,
+          ...feeMetadata(fees),
 
           // debug echoes
-          buyer_fee_cents_per_ticket: String(BUYER_FEE_CENTS),
+          buyer_fee_cents_per_ticket: String(buyerFeePerTicketCents),
           buyer_fee_total_cents: String(buyerFeeTotalCents),
-          seller_fee_pct: String(SELLER_FEE_PCT),
-          seller_fee_fixed_cents: String(SELLER_FEE_FIXED),
+          seller_fee_pct: String(fees.seller_fee_percent),
+          seller_fee_fixed_cents: String(fees.seller_fee_fixed),
           seller_fee_per_ticket_cents: String(sellerFeePerTicketCents),
           seller_fee_total_cents: String(sellerFeeTotalCents),
           application_fee_cents: String(applicationFeeCents),
@@ -138,27 +150,7 @@ export default async function handler(req, res) {
           gross_charge_cents: String(grossChargeCents)
         }
       },
-      line_items: [
-        {
-          price_data: {
-            currency: "usd",
-            unit_amount: unitAmount,
-            product_data: { name, description }
-          },
-          quantity: qtyInt
-        },
-        {
-          price_data: {
-            currency: "usd",
-            unit_amount: BUYER_FEE_CENTS,
-            product_data: {
-              name: "Service Fee (per ticket)",
-              description: "Covers escrow and platform services"
-            }
-          },
-          quantity: qtyInt
-        }
-      ],
+      line_items: lineItems,
       customer_email: buyerEmail || undefined,
       success_url: `${origin}/?success=1&sid={CHECKOUT_SESSION_ID}`,
       cancel_url: `${origin}/?canceled=1}`,
@@ -171,28 +163,72 @@ export default async function handler(req, res) {
         price: String(price),
         face: face !== undefined && face !== null ? String(face) : "",
         // duplicate the echoes outside PI for quick reads
-        buyer_fee_cents_per_ticket: String(BUYER_FEE_CENTS),
+        ...feeMetadata(fees),
+        buyer_fee_cents_per_ticket: String(buyerFeePerTicketCents),
         buyer_fee_total_cents: String(buyerFeeTotalCents),
         seller_fee_per_ticket_cents: String(sellerFeePerTicketCents),
         seller_fee_total_cents: String(sellerFeeTotalCents),
         application_fee_cents: String(applicationFeeCents),
         item_subtotal_cents: String(itemSubtotalCents),
         gross_charge_cents: String(grossChargeCents),
-        fep_confirm_deadline: String(confirmDeadline)
+        fep_confirm_deadline: String(confirmDeadline),
+        fep_hold_id: holdId,
+        fep_promo_redemption: promoRedemptionId,
+        promo_code: fees.promo_code || ""
       }
     };
 
-    const session = await stripe.checkout.sessions.create(payload, {
-      idempotencyKey: `checkout:${listingId}:${buyerEmail || "anon"}:${Date.now()}:${Math.random()
-        .toString(36)
-        .slice(2)}`
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create(payload, {
+        idempotencyKey: `checkout:${listingId}:${buyerEmail || "anon"}:${Date.now()}:${Math.random()
+          .toString(36)
+          .slice(2)}`
+      });
+    } catch (err) {
+      // No session means nobody can complete this hold – give the seats back now
+      await releaseHold(holdId).catch(() => {});
+      await releasePromo(promoRedemptionId).catch(() => {});
+      throw err;
+    }
+    await attachSession(holdId, session.id).catch((e) =>
+      console.warn("create-checkout-session: attach hold failed", e?.message || e)
+    );
+    await attachPromoRedemption(promoRedemptionId, { sessionId: session.id }).catch((e) =>
+      console.warn("create-checkout-session: attach promo failed", e?.message || e)
+    );
+
+    await createOrder({
+      sessionId: session.id,
+      listingId: String(listingId),
+      buyerEmail: buyerEmail || null,
+      sellerEmail: sellerEmail || null,
+      sellerAccountId,
+      qty: qtyInt,
+      amount: grossChargeCents,
+      currency,
+      details: {
+        holdId,
+        unitAmount,
+        applicationFeeCents,
+        confirmDeadline,
+        fees,
+        promo: promo
+          ? { code: promo.code, redemptionId: promoRedemptionId, discountCents: fees.buyer_fee_discount_total }
+          : null
+      }
     });
 
     return res.status(200).json({
       url: session.url,
       sessionId: session.id,
+      holdExpiresAt: sessionExpiresAt,
       qtyEcho: qtyInt,
       feeEcho: {
+        schedule: fees.schedule,
+        promoCode: fees.promo_code,
+        buyerFeeDiscountCents: fees.buyer_fee_discount_total,
+        scheduleVersion: fees.schedule_version,
         sellerFeePerTicketCents,
         sellerFeeTotalCents,
         buyerFeeTotalCents,
@@ -206,6 +242,15 @@ export default async function handler(req, res) {
       }))
     });
   } catch (err) {
+    if (err instanceof PromoError) {
+      return res.status(err.statusCode).json({ error: err.message, promoCode: err.code });
+    }
+    if (err instanceof QuoteError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    if (err instanceof ReservationError) {
+      return res.status(err.statusCode).json({ error: err.message, available: err.available });
+    }
     console.error("create-checkout-session error:", err);
     return res.status(500).json({ error: "Internal error creating session" });
   }
@@ -1,10 +1,30 @@
 // api/cron-auto-release.js
-// Scheduled task: capture or cancel authorized PaymentIntents after the 72h deadline.
+// Scheduled task: capture authorized PaymentIntents after their confirm deadline, and cancel
+// ones whose reported issue the seller never answered (fep_issue_respond_by).
+// Held and disputed orders are left for an admin.
+// Also guards card authorizations (~7 days): an order still in escrow when its
+// authorization is within AUTH_GUARD_HOURS of lapsing is captured and held on the
+// platform (lib/escrow.js holdOnPlatform), and every such order is listed in the
+// run's `auth_at_risk` report. AUTH_EXPIRY_ACTION=report only reports. Orders that
+// couldn't be secured are emailed to the admin, once per order.
+// Before the deadline it emails reminders to buyers and sellers (lib/reminders.js),
+// each sent once.
 // Trigger this from GitHub Actions (or any scheduler) with a secret:
 //   GET /api/cron-auto-release?key=YOUR_SECRET
 // or set header: Authorization: Bearer YOUR_SECRET
+// Add &dryRun=1 to get the per-order list of what would be captured, canceled,
+// held or reminded without touching Stripe or sending anything.
 
 import Stripe from "stripe";
+import db from "../db.js";
+import { ORDER_EVENTS } from "../lib/orders.js";
+import { stateOf, isHoldState, ACTORS, ORDER_STATES, OrderStateError } from "../lib/order-state.js";
+import { releaseFunds, cancelAuthorization, holdOnPlatform, inEscrow, escrowAmount } from "../lib/escrow.js";
+import { hasSecret } from "../lib/admin-auth.js";
+import { ticketState, captureAmounts } from "../lib/tickets.js";
+import { authRisk, DEADLINE_POLICIES } from "../lib/deadlines.js";
+import { sendEmail, ADMIN_EMAIL } from "../lib/notify.js";
+import { sendDueReminders } from "../lib/reminders.js";
 
 export const config = { runtime: "nodejs" };
 
@@ -13,9 +33,22 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-
 // Shared secret for external scheduler auth
 const CRON_SECRET = process.env.CRON_SECRET || null;
 
-// Safety cap on operations per run (capture+cancel combined)
+// Safety cap on operations per run (capture+cancel+hold combined)
 const DEFAULT_MAX_OPS = Number(process.env.CRON_MAX_OPS || 150);
 
+// "hold" (capture and hold on the platform) or "report" (list at-risk orders only)
+const AUTH_EXPIRY_ACTION = process.env.AUTH_EXPIRY_ACTION === "report" ? "report" : "hold";
+// Reminder kind that marks an order the admin was already alerted about
+const AUTH_ALERT_KIND = "admin:auth-expiry";
+
+// https://stripe.com/docs/search#search-query-language
+const QUERIES = [
+  // Authorized and awaiting capture
+  "status:'requires_capture' AND metadata['fep']:'1'",
+  // Captured early by the auth-expiry guard, still waiting on the buyer
+  "status:'succeeded' AND metadata['fep_funds_held']:'1'"
+];
+
 export default async function handler(req, res) {
   if (req.method !== "GET") {
     res.setHeader("Allow", "GET");
@@ -23,15 +56,13 @@ export default async function handler(req, res) {
   }
 
   // --- Auth: allow either query ?key= or Authorization: Bearer
-  const bearer = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
-  const qsKey = String(req.query?.key || "");
-  const provided = bearer || qsKey;
-  if (!CRON_SECRET || provided !== CRON_SECRET) {
+  if (!hasSecret(req, CRON_SECRET)) {
     return res.status(403).json({ error: "Forbidden – missing/invalid cron secret" });
   }
 
   // Optional: per-run cap override (?maxOps=50)
   const maxOps = Math.max(1, Math.min(Number(req.query?.maxOps || DEFAULT_MAX_OPS), 1000));
+  const dryRun = ["1", "true"].includes(String(req.query?.dryRun || "").toLowerCase());
 
   const now = Math.floor(Date.now() / 1000);
   const results = {
@@ -39,69 +70,167 @@ export default async function handler(req, res) {
     due: 0,
     captured: 0,
     canceled: 0,
+    held_on_platform: 0,
+    reminded: 0,
     skipped_on_hold: 0,
+    skipped_state: 0,
     already_final: 0,
     errors: 0,
-    maxOps
+    maxOps,
+    dry_run: dryRun,
+    auth_expiry_action: AUTH_EXPIRY_ACTION,
+    auth_at_risk: [],
+    // Per order: what this run did (or, in a dry run, would do)
+    orders: []
   };
+  const opsUsed = () => results.captured + results.canceled + results.held_on_platform;
 
   try {
-    // Search all PaymentIntents that belong to FEP and are authorized/awaiting capture
-    // https://stripe.com/docs/search#search-query-language
-    const query = "status:'requires_capture' AND metadata['fep']:'1'";
-
     // Iterate pages; stop if we hit the per-run operation cap
-    for await (const pi of stripe.paymentIntents.search({ query, limit: 100 })) {
-      if (results.captured + results.canceled >= maxOps) break;
+    for (const query of QUERIES) {
+      if (opsUsed() >= maxOps) break;
+      for await (const pi of stripe.paymentIntents.search({ query, limit: 100 })) {
+        if (opsUsed() >= maxOps) break;
 
-      results.checked++;
+        results.checked++;
 
-      if (pi.status !== "requires_capture") {
-        results.already_final++;
-        continue;
-      }
+        if (!inEscrow(pi)) {
+          results.already_final++;
+          continue;
+        }
 
-      const meta = pi.metadata || {};
-      const deadline = Number(meta.fep_confirm_deadline || 0);
-      const fepStatus = String(meta.fep_status || "");
-      const isOnHold =
-        fepStatus === "on_hold" || fepStatus === "issue_reported" || fepStatus === "dispute";
-
-      // No deadline? skip (defensive)
-      if (!deadline) continue;
-
-      // Not yet due
-      if (now < deadline) continue;
-
-      results.due++;
-
-      try {
-        if (isOnHold) {
-          // If issue was reported (or you marked on-hold), cancel after deadline.
-          await stripe.paymentIntents.cancel(
-            pi.id,
-            { cancellation_reason: "requested_by_customer" },
-            { idempotencyKey: `cron-cancel:${pi.id}` }
-          );
-          await stripe.paymentIntents.update(pi.id, {
-            metadata: { ...meta, fep_status: "canceled" }
-          });
-          results.canceled++;
+        const meta = pi.metadata || {};
+        const deadline = Number(meta.fep_confirm_deadline || 0);
+        const fepStatus = stateOf(pi);
+        const onHold = isHoldState(fepStatus);
+        const report = (action, extra = {}) =>
+          results.orders.push({ payment_intent: pi.id, fep_status: fepStatus, deadline: deadline || null, action, ...extra });
+
+        // Deadline is frozen while on hold. Only an unanswered issue report becomes due
+        // (at respond-by); on_hold / dispute wait for an admin decision.
+        let due = false;
+        if (onHold) {
+          const respondBy = Number(meta.fep_issue_respond_by || 0);
+          if (fepStatus !== ORDER_STATES.ISSUE_REPORTED || !respondBy) results.skipped_on_hold++;
+          else due = now >= respondBy;
         } else {
-          // Otherwise auto-capture after deadline
-          await stripe.paymentIntents.capture(pi.id, {}, { idempotencyKey: `cron-capture:${pi.id}` });
-          await stripe.paymentIntents.update(pi.id, {
-            metadata: { ...meta, fep_status: "captured" }
+          // No deadline? not due (defensive)
+          due = !!deadline && now >= deadline;
+        }
+
+        // ---- Auth-expiry guard ----
+        // A deadline the event policy put before the expiry releases in time on its own;
+        // one that was only clamped to the auth limit, or a frozen clock, needs the hold.
+        const risk = authRisk(pi, now);
+        if (!due && risk.at_risk) {
+          const releasesFirst =
+            !onHold && deadline > 0 && meta.fep_deadline_policy !== DEADLINE_POLICIES.AUTH_LIMIT && deadline <= risk.expires_at;
+          const row = {
+            payment_intent: pi.id,
+            fep_status: fepStatus,
+            amount: escrowAmount(pi),
+            currency: pi.currency,
+            auth_expires_at: risk.expires_at,
+            seconds_left: risk.seconds_left,
+            deadline: deadline || null,
+            action: releasesFirst ? "release_at_deadline" : AUTH_EXPIRY_ACTION === "hold" ? "held_on_platform" : "none"
+          };
+          results.auth_at_risk.push(row);
+          if (releasesFirst || AUTH_EXPIRY_ACTION !== "hold") continue;
+          if (dryRun) {
+            row.action = "would_hold_on_platform";
+            report("hold", { amount: row.amount, auth_expires_at: risk.expires_at });
+            continue;
+          }
+
+          try {
+            await holdOnPlatform(pi, {
+              actor: ACTORS.CRON,
+              data: { auth_expires_at: risk.expires_at, deadline: deadline || null, previous_status: fepStatus }
+            });
+            results.held_on_platform++;
+            report("hold", { amount: row.amount, auth_expires_at: risk.expires_at });
+          } catch (e) {
+            console.error("auth-expiry hold failed for", pi.id, e);
+            row.action = "error";
+            row.error = e?.message || String(e);
+            results.errors++;
+          }
+          continue;
+        }
+
+        if (!due) {
+          // Not due yet: warn the buyer / seller ahead of the deadline
+          try {
+            for (const r of await sendDueReminders(pi, now, { dryRun })) {
+              if (r.status === "sent") results.reminded++;
+              if (r.status !== "already_sent") report(`remind_${r.role}`, { to: r.to, reminders: r.kinds, hours_left: r.hours_left, status: r.status });
+            }
+          } catch (e) {
+            console.error("reminder failed for", pi.id, e);
+            results.errors++;
+          }
+          continue;
+        }
+        results.due++;
+
+        if (dryRun) {
+          const { qty, sent } = ticketState(meta);
+          const partial = !onHold && meta.fep_tickets_sent && sent.length > 0 && sent.length < qty;
+          report(onHold ? "cancel" : "capture", {
+            amount: onHold ? escrowAmount(pi) : partial ? captureAmounts(meta, sent.length).amountToCapture : escrowAmount(pi),
+            partial: !!partial
           });
-          results.captured++;
+          continue;
         }
-      } catch (e) {
-        // If state changed between search & action (e.g., manually paused), count as skipped
-        if (e?.code === "payment_intent_unexpected_state") {
-          results.skipped_on_hold++;
-        } else {
-          console.error("auto-release action failed for", pi.id, e);
-          results.errors++;
+
+        try {
+          // Unanswered issues get canceled (buyer refunded), active orders auto-release
+          if (onHold) {
+            // Seller didn't respond to the reported issue in time – release the buyer's funds.
+            await cancelAuthorization(pi, {
+              action: "auto_cancel",
+              actor: ACTORS.CRON,
+              eventType: ORDER_EVENTS.AUTO_CANCELED,
+              idempotencyKey: `cron-cancel:${pi.id}`,
+              data: { respond_by: Number(meta.fep_issue_respond_by || 0), previous_status: fepStatus }
+            });
+            results.canceled++;
+            report("cancel", { amount: escrowAmount(pi) });
+          } else {
+            // Otherwise auto-capture after deadline. If the seller marked only some
+            // tickets sent, capture just those and release the rest to the buyer.
+            const { qty, sent } = ticketState(meta);
+            const partial = meta.fep_tickets_sent && sent.length > 0 && sent.length < qty;
+            const amounts = partial ? captureAmounts(meta, sent.length) : null;
+            await releaseFunds(pi, {
+              action: "auto_release",
+              actor: ACTORS.CRON,
+              eventType: ORDER_EVENTS.AUTO_RELEASED,
+              idempotencyKey: `cron-capture:${pi.id}`,
+              ...(partial && amounts.amountToCapture <= escrowAmount(pi)
+                ? {
+                    amountToCapture: amounts.amountToCapture,
+                    applicationFeeAmount: amounts.applicationFee,
+                    payoutCents: amounts.payoutCents
+                  }
+                : {}),
+              data: { deadline, previous_status: fepStatus, tickets_sent: sent.length, qty }
+            });
+            results.captured++;
+            report("capture", { amount: partial ? amounts.amountToCapture : escrowAmount(pi), partial: !!partial });
+          }
+        } catch (e) {
+          if (e instanceof OrderStateError) {
+            // Metadata says this order isn't in a state the cron may act on
+            results.skipped_state++;
+          } else if (e?.code === "payment_intent_unexpected_state") {
+            // If state changed between search & action (e.g., manually paused), count as skipped
+            results.skipped_on_hold++;
+          } else {
+            console.error("auto-release action failed for", pi.id, e);
+            results.errors++;
+          }
         }
       }
     }
@@ -110,5 +239,38 @@ export default async function handler(req, res) {
     return res.status(500).json({ ok: false, now, ...results, error: e.message });
   }
 
+  // Orders whose money wasn't secured need a person before the authorization lapses.
+  // The admin hears about each order once (db.js `reminders`), not on every run.
+  const unsecured = results.auth_at_risk.filter((r) => r.action === "error" || r.action === "none");
+  if (unsecured.length && !dryRun) {
+    try {
+      const fresh = [];
+      for (const r of unsecured) {
+        if (await db.claimReminder({ paymentIntentId: r.payment_intent, kind: AUTH_ALERT_KIND, recipient: ADMIN_EMAIL, now })) {
+          fresh.push(r);
+        }
+      }
+      if (fresh.length) {
+        const sent = await sendEmail({
+          to: ADMIN_EMAIL,
+          subject: `FEP: ${fresh.length} card authorization(s) about to expire`,
+          text: [
+            "These escrow orders are close to their card authorization expiry and were not secured:",
+            "",
+            ...fresh.map(
+              (r) =>
+                `${r.payment_intent} (${r.fep_status}) expires ${new Date(r.auth_expires_at * 1000).toISOString()}` +
+                (r.error ? ` – ${r.error}` : "")
+            )
+          ].join("\n")
+        });
+        // Give the claims back so the next run tries again
+        if (!sent) for (const r of fresh) await db.deleteReminder(r.payment_intent, AUTH_ALERT_KIND);
+      }
+    } catch (e) {
+      console.error("cron auth-expiry alert failed:", e);
+    }
+  }
+
   return res.status(200).json({ ok: true, now, ...results });
 }
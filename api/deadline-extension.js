@@ -0,0 +1,105 @@
+// api/deadline-extension.js
+// Buyer and seller agree on more time before the escrow deadline (lib/extensions.js).
+//   POST { sessionId, role: "buyer" | "seller", deadline | hours, reason }
+//        -> propose; the other party is emailed an accept/decline link
+//   GET  ?id=...&token=...                          -> the request behind an emailed link
+//   POST { id, token, decision: "accept" | "decline" } -> answer it
+// The proposer never sees the token, so only the other party can accept.
+// A seller proposing needs their seller session (lib/seller-auth.js); a buyer needs
+// the buyer-extend link from their order email (lib/action-tokens.js).
+
+import Stripe from "stripe";
+import { OrderStateError, ACTORS } from "../lib/order-state.js";
+import { requireSeller, isSellerOf } from "../lib/seller-auth.js";
+import { verifyActionToken, actionTokenFrom, ActionTokenError, ACTIONS } from "../lib/action-tokens.js";
+import {
+  proposeExtension,
+  respondExtension,
+  extensionForToken,
+  extensionView,
+  extensionLimit,
+  ExtensionError,
+  EXTENSION_STATUS
+} from "../lib/extensions.js";
+
+export const config = { runtime: "nodejs" };
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    if (req.method === "GET") {
+      const { id, token } = req.query || {};
+      const row = await extensionForToken(id, token);
+      return res.status(200).json({ ok: true, extension: extensionView(row), can_respond: row.status === EXTENSION_STATUS.PENDING });
+    }
+
+    const body = req.body || {};
+
+    // ---- answer (emailed link) ----
+    if (body.decision !== undefined) {
+      const result = await respondExtension({ id: body.id, token: body.token, decision: String(body.decision) });
+      return res.status(200).json({ ok: true, ...result });
+    }
+
+    // ---- propose ----
+    const { sessionId, role, deadline, hours, reason } = body;
+    if (!sessionId) return res.status(400).json({ error: "Missing sessionId" });
+    if (!/^cs_(test|live)_[A-Za-z0-9]+$/.test(String(sessionId))) {
+      return res.status(400).json({ error: "Invalid sessionId" });
+    }
+    if (role !== ACTORS.BUYER && role !== ACTORS.SELLER) {
+      return res.status(400).json({ error: "role must be 'buyer' or 'seller'" });
+    }
+    // Credentials first: an unauthenticated caller learns nothing about the order
+    let sellerAuth = null;
+    if (role === ACTORS.SELLER) {
+      sellerAuth = requireSeller(req, res);
+      if (!sellerAuth) return;
+    } else {
+      verifyActionToken(actionTokenFrom(req), { action: ACTIONS.BUYER_EXTEND, sessionId });
+    }
+
+    const cs = await stripe.checkout.sessions.retrieve(sessionId, { expand: ["payment_intent"] });
+    if (!cs) return res.status(404).json({ error: "Session not found" });
+    const pi =
+      typeof cs.payment_intent === "string"
+        ? await stripe.paymentIntents.retrieve(cs.payment_intent)
+        : cs.payment_intent;
+    if (!pi?.id) return res.status(404).json({ error: "PaymentIntent not found" });
+    if (sellerAuth && !isSellerOf(sellerAuth, pi.metadata?.sellerEmail)) {
+      return res.status(403).json({ error: "Not your order" });
+    }
+
+    // `hours` counts from the current deadline ("two more days")
+    let proposed;
+    if (deadline !== undefined && deadline !== null && deadline !== "") {
+      proposed = Number(deadline);
+    } else {
+      const h = Number(hours);
+      if (!Number.isFinite(h) || h <= 0) return res.status(400).json({ error: "Provide hours or deadline" });
+      proposed = Number(pi.metadata?.fep_confirm_deadline || 0) + Math.round(h * 3600);
+    }
+
+    const result = await proposeExtension(pi, { sessionId: cs.id, by: role, deadline: proposed, reason });
+    return res.status(200).json({
+      ok: true,
+      payment_intent: pi.id,
+      ...result,
+      max_deadline: extensionLimit(pi.metadata || {})
+    });
+  } catch (e) {
+    if (e instanceof ExtensionError) return res.status(e.statusCode).json(e.toJSON());
+    if (e instanceof ActionTokenError) return res.status(e.statusCode).json({ error: e.message });
+    if (e instanceof OrderStateError) return res.status(e.statusCode).json(e.toJSON());
+    console.error("deadline-extension error:", e);
+    if (e?.statusCode === 404) return res.status(404).json({ error: "Not found" });
+    return res.status(500).json({ error: "Failed to handle extension request" });
+  }
+}
@@ -0,0 +1,115 @@
+// api/fee-quote.js
+// Read-only price preview, computed by the same code create-checkout-session charges with.
+//   GET /api/fee-quote?listingId=...&qty=2              -> what checkout would charge now
+//   GET /api/fee-quote?listingId=...&qty=2&price=120    -> same listing at a hypothetical price
+//   GET /api/fee-quote?price=120&face=110&qty=2&group=  -> a listing that doesn't exist yet
+// Add &promoCode=... to preview a buyer-fee discount. Fees follow the seller's tier
+// (a signed-in seller's own, for a draft). Nothing is held or reserved.
+
+import { getListing, remainingOf, isListingDeleted } from "../lib/listings-store.js";
+import { buildQuote, clampQty, QuoteError } from "../lib/quote.js";
+import { validatePromo, PromoError } from "../lib/promos.js";
+import { formatMoney, requestLocale } from "../lib/currency.js";
+import { sellerSession, sellerTier } from "../lib/seller-auth.js";
+
+export const config = { runtime: "nodejs" };
+
+// Draft fields a seller may preview with (everything else comes from the listing)
+const DRAFT_FIELDS = ["price", "face", "currency", "group", "date", "city", "seat", "country", "region", "organizer"];
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const q = req.query || {};
+    const listingId = q.listingId ? String(q.listingId) : "";
+    const qtyInt = clampQty(q.qty ?? 1);
+
+    const draft = {};
+    for (const field of DRAFT_FIELDS) {
+      if (q[field] !== undefined && q[field] !== "") draft[field] = q[field];
+    }
+    const hypothetical = draft.price !== undefined || draft.face !== undefined;
+
+    let listing = null;
+    let remaining = null;
+    if (listingId) {
+      listing = await getListing(listingId);
+      if (!listing || isListingDeleted(listing)) {
+        return res.status(404).json({ error: "Listing not found" });
+      }
+      // A real purchase must fit what's left; a hypothetical price is only about fees
+      remaining = remainingOf(listing);
+      if (!hypothetical) {
+        if (remaining <= 0) return res.status(409).json({ error: "Listing is sold out" });
+        if (qtyInt > remaining) {
+          return res.status(409).json({ error: `Only ${remaining} ticket(s) remaining`, remaining });
+        }
+      }
+    } else if (draft.price === undefined) {
+      return res.status(400).json({ error: "Pass listingId, or a price to preview" });
+    }
+
+    // Fee tier from the seller record: the listing's seller, or the signed-in seller for a draft
+    const tier = await sellerTier(listing ? listing.sellerEmail : sellerSession(req)?.email);
+    const subject = { ...(listing || {}), ...draft, sellerTier: tier };
+    const promo = q.promoCode
+      ? await validatePromo(q.promoCode, { eventId: subject.eventId, group: subject.group, currency: subject.currency })
+      : null;
+    const { qty, fees, lineItems } = buildQuote(subject, qtyInt, { promo });
+    const locale = requestLocale(req);
+    const fmt = (minor) => formatMoney(minor, fees.currency, locale);
+
+    return res.status(200).json({
+      ok: true,
+      listingId: listingId || null,
+      hypothetical,
+      remaining,
+      qty,
+      currency: fees.currency,
+
+      // Exactly the Checkout line items (minor units of `currency`)
+      line_items: lineItems.map((li) => ({
+        name: li.price_data.product_data.name,
+        description: li.price_data.product_data.description,
+        unit_amount: li.price_data.unit_amount,
+        quantity: li.quantity,
+        amount: li.price_data.unit_amount * li.quantity
+      })),
+
+      // Summary (minor units)
+      item_subtotal: fees.item_subtotal,
+      buyer_fee: {
+        per_ticket: fees.buyer_fee_per_ticket,
+        total: fees.buyer_fee_total,
+        list_per_ticket: fees.buyer_fee_list_per_ticket,
+        discount_total: fees.buyer_fee_discount_total
+      },
+      promo_code: fees.promo_code,
+      seller_fee: { per_ticket: fees.seller_fee_per_ticket, total: fees.seller_fee_total },
+      application_fee: fees.application_fee,
+      buyer_total: fees.total,
+      seller_payout: fees.seller_payout,
+      fee_schedule: { id: fees.schedule, version: fees.schedule_version },
+
+      // Same amounts formatted for the requester's locale
+      display: {
+        item_subtotal: fmt(fees.item_subtotal),
+        buyer_fee_total: fmt(fees.buyer_fee_total),
+        buyer_fee_discount_total: fmt(fees.buyer_fee_discount_total),
+        buyer_total: fmt(fees.total),
+        seller_payout: fmt(fees.seller_payout)
+      }
+    });
+  } catch (err) {
+    if (err instanceof QuoteError) return res.status(err.statusCode).json({ error: err.message });
+    if (err instanceof PromoError) return res.status(err.statusCode).json({ error: err.message, promoCode: err.code });
+    console.error("fee-quote error:", err);
+    return res.status(500).json({ error: "Failed to compute quote" });
+  }
+}
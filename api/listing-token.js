@@ -0,0 +1,41 @@
+// api/listing-token.js
+// Rotate or revoke a listing's manage-link tokens (lib/listing-tokens.js).
+//   POST { listingId, action: "rotate" }  -> every old token stops working; the new
+//                                            one is returned once { editToken, manageUrl }
+//   POST { listingId, action: "revoke" }  -> every token stops working
+// Needs the owning seller's session or a live token (X-Edit-Token header or body.editToken).
+
+import { getListing } from "../lib/listings-store.js";
+import { listingAccess, rotateEditToken, revokeEditTokens, manageUrl } from "../lib/listing-tokens.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const { listingId, action } = req.body || {};
+    if (!listingId) return res.status(400).json({ error: "Missing listingId" });
+    if (action !== "rotate" && action !== "revoke") {
+      return res.status(400).json({ error: "action must be rotate or revoke" });
+    }
+
+    const listing = await getListing(String(listingId));
+    if (!listing) return res.status(404).json({ error: "Listing not found" });
+    if (!(await listingAccess(req, listing))) return res.status(403).json({ error: "Not your listing" });
+
+    if (action === "revoke") {
+      const revoked = await revokeEditTokens(listing.id);
+      return res.status(200).json({ ok: true, listingId: listing.id, revoked });
+    }
+    const editToken = await rotateEditToken(listing.id);
+    return res.status(200).json({ ok: true, listingId: listing.id, editToken, manageUrl: manageUrl(editToken) });
+  } catch (e) {
+    console.error("listing-token error:", e);
+    return res.status(500).json({ error: "Failed to update manage link" });
+  }
+}
@@ -1,4 +1,45 @@
 // /api/listings.js
+// GET is public (edit tokens stripped) and searchable – see lib/listing-search.js for
+// the query parameters; it resolves { data, next_cursor }. GET ?manage=<token>
+// resolves a manage link.
+// Creating needs a seller session (lib/seller-auth.js) and returns the listing's
+// edit token once (an array body gets an array back, a token per listing). Editing and deleting need the owning seller's session or that
+// token (X-Edit-Token header, or ?token= on DELETE) – see lib/listing-tokens.js.
+// Bodies are checked against lib/listing-schema.js; a 422 carries `fields` with a
+// message per field for the form to show inline.
+import crypto from "crypto";
+import { getListing, updateListingWhere } from "../lib/listings-store.js";
+import { requireSeller, sellerAccountId } from "../lib/seller-auth.js";
+import {
+  publicListing,
+  issueEditToken,
+  listingAccess,
+  listingForToken,
+  revokeEditTokens,
+  manageUrl,
+  ListingTokenError
+} from "../lib/listing-tokens.js";
+import { priceCapViolation, MATCH_KEYS } from "../lib/price-caps.js";
+import { CurrencyError } from "../lib/currency.js";
+import { validateNewListing, validateListingUpdate, ListingValidationError } from "../lib/listing-schema.js";
+import { parseListingSearch, listingSearchQuery, pageOf, ListingSearchError } from "../lib/listing-search.js";
+
+// Fields that can move a listing across its resale cap
+const CAP_FIELDS = ["price", "face", "currency", ...MATCH_KEYS];
+
+// 422 body for a listing priced over its cap, or null when it's fine
+function capError(listing) {
+  try {
+    const v = priceCapViolation(listing);
+    return v
+      ? { error: v.message, field: "price", fields: { price: v.message }, max_price: v.max_price, currency: v.currency, rule: v.rule }
+      : null;
+  } catch (err) {
+    if (err instanceof CurrencyError) return { error: err.message, field: "currency", fields: { currency: err.message } };
+    throw err;
+  }
+}
+
 export default async function handler(req, res) {
   const { SUPABASE_URL, SUPABASE_SERVICE_ROLE } = process.env;
   if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
@@ -13,23 +54,45 @@ export default async function handler(req, res) {
   };
 
   try {
-    // Fetch latest listings (frontend uses this to sync across devices)
+    // Search listings (the marketplace view; also syncs the frontend cache)
     if (req.method === "GET") {
-      const limit = Math.min(parseInt(req.query.limit ?? "50", 10), 200);
-      const url = `${base}?select=*&order=created_at.desc&limit=${limit}`;
-      const r = await fetch(url, { method: "GET", headers });
+      if (req.query?.manage) {
+        res.setHeader("Cache-Control", "no-store");
+        const listing = await listingForToken(String(req.query.manage));
+        return res.status(200).json({ ok: true, listing: publicListing(listing) });
+      }
+      const search = parseListingSearch(req.query || {});
+      const r = await fetch(`${base}?${listingSearchQuery(search)}`, { method: "GET", headers });
       const data = await r.json();
       if (!r.ok) return res.status(r.status).json({ error: data });
-      return res.status(200).json(data);
+      const { rows, next_cursor } = pageOf(Array.isArray(data) ? data : [], search);
+      return res.status(200).json({ data: rows.map(publicListing), next_cursor, limit: search.limit, sort: search.sort });
     }
 
-    // Create a new listing – accept the full listing object from the frontend
+    // Create a new listing from the schema's fields, owned by the signed-in
+    // seller and paid out to their Connect account
     if (req.method === "POST") {
+      const session = requireSeller(req, res);
+      if (!session) return;
       const body = req.body;
       if (!body) {
         return res.status(400).json({ error: "Missing request body" });
       }
-      const rows = Array.isArray(body) ? body : [body];
+      const accountId = await sellerAccountId(session.email);
+      const input = Array.isArray(body) ? body : [body];
+      const rows = [];
+      for (const [index, raw] of input.entries()) {
+        let row;
+        try {
+          row = validateNewListing(raw);
+        } catch (err) {
+          if (!(err instanceof ListingValidationError)) throw err;
+          return res.status(err.statusCode).json(input.length > 1 ? { ...err.toJSON(), index } : err.toJSON());
+        }
+        const invalid = capError(row);
+        if (invalid) return res.status(422).json(input.length > 1 ? { ...invalid, index } : invalid);
+        rows.push({ ...row, id: row.id || crypto.randomUUID(), sellerEmail: session.email, sellerAccountId: accountId });
+      }
       const r = await fetch(base, {
         method: "POST",
         headers: { ...headers, Prefer: "return=representation" },
@@ -37,29 +100,50 @@ export default async function handler(req, res) {
       });
       const data = await r.json();
       if (!r.ok) return res.status(r.status).json({ error: data });
-      const row = Array.isArray(data) ? data[0] : data;
-      return res.status(201).json(row);
+      // The only time the plaintext tokens leave the server: one per listing
+      const created = [];
+      for (const row of Array.isArray(data) ? data : [data]) {
+        let editToken = null;
+        try {
+          editToken = await issueEditToken(row.id);
+        } catch (err) {
+          // The seller can still manage it from their session and rotate later
+          console.error("listings: issuing edit token failed:", row.id, err);
+        }
+        created.push({ ...publicListing(row), editToken, manageUrl: editToken ? manageUrl(editToken) : null });
+      }
+      return res.status(201).json(Array.isArray(body) ? created : created[0]);
     }
 
     // Update an existing listing by id
     if (req.method === "PATCH") {
-      const { id, ...updates } = req.body || {};
+      const { id, ...body } = req.body || {};
       if (!id) return res.status(400).json({ error: "Missing id" });
-      const r = await fetch(`${base}?id=eq.${id}`, {
-        method: "PATCH",
-        headers: { ...headers, Prefer: "return=representation" },
-        body: JSON.stringify(updates),
-      });
-      const data = await r.json();
-      if (!r.ok) return res.status(r.status).json({ error: data });
-      return res.status(200).json(Array.isArray(data) ? data[0] : data);
+      const current = await getListing(id);
+      if (!current) return res.status(404).json({ error: "Listing not found" });
+      if (!(await listingAccess(req, current))) return res.status(403).json({ error: "Not your listing" });
+      const updates = validateListingUpdate(current, body);
+      if (!Object.keys(updates).length) return res.status(200).json(publicListing(current));
+      // Re-check the cap against the stored listing with the edits applied
+      if (CAP_FIELDS.some((f) => updates[f] !== undefined)) {
+        const invalid = capError({ ...current, ...updates });
+        if (invalid) return res.status(422).json(invalid);
+      }
+      // `remaining` is recomputed from what sold, so don't race a sale (lib/inventory.js)
+      const updated = await updateListingWhere(id, { remaining: current.remaining ?? null }, updates);
+      if (!updated) return res.status(409).json({ error: "This listing just changed (a ticket may have sold). Please try again." });
+      return res.status(200).json(publicListing(updated));
     }
 
     // Delete a listing by id
     if (req.method === "DELETE") {
-      const { id } = req.query || {};
+      // The frontend sends PostgREST's "eq.<id>" form
+      const id = String(req.query?.id || "").replace(/^eq\./, "");
       if (!id) return res.status(400).json({ error: "Missing id" });
-      const r = await fetch(`${base}?id=eq.${id}`, {
+      const current = await getListing(id);
+      if (!current) return res.status(404).json({ error: "Listing not found" });
+      if (!(await listingAccess(req, current))) return res.status(403).json({ error: "Not your listing" });
+      const r = await fetch(`${base}?id=eq.${encodeURIComponent(id)}`, {
         method: "DELETE",
         headers,
       });
@@ -67,12 +151,16 @@ export default async function handler(req, res) {
         const data = await r.json().catch(() => ({}));
         return res.status(r.status).json({ error: data });
       }
+      await revokeEditTokens(id).catch((err) => console.warn("listings: revoking edit tokens failed:", id, err?.message || err));
       return res.status(204).end();
     }
 
     res.setHeader("Allow", "GET, POST, PATCH, DELETE");
     return res.status(405).json({ error: "Method not allowed" });
   } catch (e) {
+    if (e instanceof ListingTokenError) return res.status(e.statusCode).json({ error: e.message });
+    if (e instanceof ListingValidationError) return res.status(e.statusCode).json(e.toJSON());
+    if (e instanceof ListingSearchError) return res.status(e.statusCode).json(e.toJSON());
     return res.status(500).json({ error: String(e) });
   }
 }
@@ -1,5 +1,14 @@
 // api/mark-sent.js
+// Seller marks tickets transferred. Needs the seller's session (lib/seller-auth.js)
+// or the seller-mark-sent link from the order email (lib/action-tokens.js).
 import Stripe from "stripe";
+import { recordOrderEvent, ORDER_EVENTS } from "../lib/orders.js";
+import { stateOf, transition, ACTORS, ORDER_STATES, OrderStateError } from "../lib/order-state.js";
+import { ticketState, parseSelection, formatTickets, TicketSelectionError } from "../lib/tickets.js";
+import { recalcDeadline, authExpiryOf } from "../lib/deadlines.js";
+import { inEscrow } from "../lib/escrow.js";
+import { sellerSession, isSellerOf } from "../lib/seller-auth.js";
+import { verifyActionToken, actionTokenFrom, ActionTokenError, ACTIONS } from "../lib/action-tokens.js";
 export const config = { runtime: "nodejs" };
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -8,9 +17,9 @@ export default async function handler(req, res) {
     res.setHeader("Allow", "POST");
     return res.status(405).json({ error: "Method not allowed" });
   }
-
   try {
-    const { sessionId } = req.body || {};
+    // `tickets` (optional): ticket numbers 1..qty transferred so far; omit to mark the whole order
+    const { sessionId, tickets } = req.body || {};
     if (!sessionId) return res.status(400).json({ error: "Missing sessionId" });
     if (!/^cs_(test|live)_[A-Za-z0-9]+$/.test(String(sessionId))) {
       return res.status(400).json({ error: "Invalid sessionId" });
@@ -26,34 +35,73 @@ export default async function handler(req, res) {
         : cs.payment_intent;
 
     if (!pi?.id) return res.status(404).json({ error: "PaymentIntent not found" });
+    const session = sellerSession(req);
+    const token = actionTokenFrom(req);
+    if (!isSellerOf(session, pi.metadata?.sellerEmail)) {
+      if (!token) return session ? res.status(403).json({ error: "Not your order" }) : res.status(401).json({ error: "Seller login required" });
+      verifyActionToken(token, { action: ACTIONS.SELLER_MARK_SENT, sessionId: cs.id, paymentIntentId: pi.id });
+    }
 
     // Only meaningful while authorized (escrow)
-    if (pi.status !== "requires_capture") {
+    if (!inEscrow(pi)) {
       return res.status(400).json({ error: "Not in escrow/awaiting capture", status: pi.status });
     }
 
     const meta = pi.metadata || {};
-    const fepStatus = String(meta.fep_status || "");
+    const state = stateOf(pi);
+    const current = ticketState(meta);
+    const requested = parseSelection(tickets, current.qty);
+    const newlySent = requested.filter((n) => !current.sent.includes(n));
 
-    // If an issue was reported or a hold/dispute is active, don't allow "sent"
-    if (["issue_reported", "on_hold", "dispute"].includes(fepStatus)) {
-      return res.status(409).json({ error: "On hold/disputed; cannot mark sent" });
-    }
     // Already marked sent? (idempotent)
-    if (fepStatus === "sent") {
-      return res.status(200).json({ ok: true, payment_intent: pi.id, alreadySent: true });
+    if (state === ORDER_STATES.SENT && !newlySent.length) {
+      return res.status(200).json({ ok: true, payment_intent: pi.id, alreadySent: true, tickets_sent: current.sent });
     }
+    const next = transition(state, "mark_sent", ACTORS.SELLER);
+    const sent = [...current.sent, ...newlySent];
+
+    // The buyer's clock now runs from this send (never earlier than before, never past the auth)
+    const now = Math.floor(Date.now() / 1000);
+    const deadlinePatch = recalcDeadline(meta, { sentAt: now, authorizedAt: pi.created, authExpiresAt: authExpiryOf(pi) });
 
     await stripe.paymentIntents.update(pi.id, {
       metadata: {
         ...meta,
-        fep_status: "sent",
-        fep_sent_at: String(Math.floor(Date.now() / 1000))
+        ...deadlinePatch,
+        fep_status: next,
+        fep_sent_at: meta.fep_sent_at || String(now),
+        fep_tickets_sent: formatTickets(sent)
       }
     });
 
-    return res.status(200).json({ ok: true, payment_intent: pi.id });
+    await recordOrderEvent({
+      sessionId: cs.id,
+      paymentIntentId: pi.id,
+      type: ORDER_EVENTS.SENT,
+      actor: ACTORS.SELLER,
+      status: next,
+      data: {
+        tickets: newlySent,
+        tickets_sent: sent.length,
+        qty: current.qty,
+        deadline: Number(deadlinePatch.fep_confirm_deadline || meta.fep_confirm_deadline || 0) || null,
+        deadline_policy: deadlinePatch.fep_deadline_policy || null
+      },
+      details: { tickets_sent: sent }
+    });
+
+    return res.status(200).json({
+      ok: true,
+      payment_intent: pi.id,
+      tickets_sent: [...sent].sort((a, b) => a - b),
+      all_sent: sent.length >= current.qty,
+      deadline: Number(deadlinePatch.fep_confirm_deadline || meta.fep_confirm_deadline || 0) || null,
+      deadline_policy: deadlinePatch.fep_deadline_policy || meta.fep_deadline_policy || null
+    });
   } catch (e) {
+    if (e instanceof OrderStateError) return res.status(e.statusCode).json(e.toJSON());
+    if (e instanceof ActionTokenError) return res.status(e.statusCode).json({ error: e.message });
+    if (e instanceof TicketSelectionError) return res.status(e.statusCode).json({ error: e.message });
     console.error("mark-sent error:", e);
     return res.status(500).json({ error: "Failed to mark sent" });
   }
@@ -0,0 +1,38 @@
+// api/price-cap.js
+// The resale cap a listing is held to, so the sell/edit form can show the right limit.
+//   GET /api/price-cap?country=US&region=NY&group=...&face=120&currency=usd
+//   GET /api/price-cap?listingId=...            -> cap for an existing listing
+// Rules live in lib/price-caps.js; the same check runs on save and at checkout.
+
+import { getListing, isListingDeleted } from "../lib/listings-store.js";
+import { priceCapFor, MATCH_KEYS } from "../lib/price-caps.js";
+import { CurrencyError } from "../lib/currency.js";
+
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const q = req.query || {};
+    let subject = {};
+    if (q.listingId) {
+      const listing = await getListing(String(q.listingId));
+      if (!listing || isListingDeleted(listing)) return res.status(404).json({ error: "Listing not found" });
+      subject = listing;
+    }
+    for (const field of [...MATCH_KEYS, "face", "currency"]) {
+      if (q[field] !== undefined && q[field] !== "") subject[field] = q[field];
+    }
+
+    const cap = priceCapFor(subject);
+    return res.status(200).json({ ok: true, ...cap });
+  } catch (err) {
+    if (err instanceof CurrencyError) return res.status(err.statusCode).json({ error: err.message });
+    console.error("price-cap error:", err);
+    return res.status(500).json({ error: "Failed to resolve price cap" });
+  }
+}
@@ -1,6 +1,6 @@
 // api/proof-fallback.js
-import Busboy from "busboy";
 import { Resend } from "resend";
+import { parseMultipart } from "../lib/multipart.js";
 
 export const config = { api: { bodyParser: false }, runtime: "nodejs" };
 
@@ -8,26 +8,6 @@ const resend = new Resend(process.env.RESEND_API_KEY);
 const TO_EMAIL = process.env.PROOF_TO_EMAIL || "alexisdeshong@gfcleaners.com";
 const FROM_EMAIL = process.env.PROOF_FROM_EMAIL || "alexisdeshong@gfcleaners.com"; // must be a verified domain/sender in Resend
 
-async function parseMultipart(req) {
-  return await new Promise((resolve, reject) => {
-    const busboy = Busboy({ headers: req.headers });
-    const fields = {};
-    const files = [];
-
-    busboy.on("field", (name, val) => { fields[name] = val; });
-    busboy.on("file", (name, file, info) => {
-      const { filename, mimeType } = info;
-      const chunks = [];
-      file.on("data", (d) => chunks.push(d));
-      file.on("end", () => files.push({ field: name, filename, mimeType, buffer: Buffer.concat(chunks) }));
-    });
-    busboy.on("error", reject);
-    busboy.on("finish", () => resolve({ fields, files }));
-
-    req.pipe(busboy);
-  });
-}
-
 export default async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
@@ -0,0 +1,155 @@
+// api/report-issue.js
+// Buyer reports a problem with an order in escrow (multipart/form-data, like proof-fallback):
+//   sessionId    Checkout Session id
+//   token        buyer-report link token from the order email (lib/action-tokens.js)
+//   reason       one of ISSUE_REASONS
+//   description  what went wrong
+//   evidence     0..MAX_FILES image files
+// Moves the order to `issue_reported`, freezes the confirm deadline and asks the
+// seller to respond (see api/respond-issue.js) before ISSUE_RESPONSE_HOURS pass.
+
+import Stripe from "stripe";
+import { parseMultipart } from "../lib/multipart.js";
+import { sendEmail, appUrl, ADMIN_EMAIL } from "../lib/notify.js";
+import { recordOrderEvent, ORDER_EVENTS } from "../lib/orders.js";
+import { stateOf, transition, ACTORS, OrderStateError } from "../lib/order-state.js";
+import { freezeDeadline } from "../lib/deadlines.js";
+import { inEscrow } from "../lib/escrow.js";
+import { verifyActionToken, actionTokenFrom, ActionTokenError, ACTIONS } from "../lib/action-tokens.js";
+
+export const config = { api: { bodyParser: false }, runtime: "nodejs" };
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const ISSUE_REASONS = {
+  not_received: "Tickets not received",
+  wrong_tickets: "Wrong tickets / seats",
+  invalid_tickets: "Tickets invalid or already used",
+  other: "Other",
+};
+
+const ISSUE_RESPONSE_HOURS = Number(process.env.ISSUE_RESPONSE_HOURS || 48);
+const MAX_FILES = 5;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_DESCRIPTION = 2000;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { fields, files } = await parseMultipart(req, { files: MAX_FILES, fileSize: MAX_FILE_BYTES });
+
+    const sessionId = String(fields.sessionId || "").trim();
+    if (!/^cs_(test|live)_[A-Za-z0-9]+$/.test(sessionId)) {
+      return res.status(400).json({ error: "Invalid sessionId" });
+    }
+    verifyActionToken(actionTokenFrom(req, fields), { action: ACTIONS.BUYER_REPORT, sessionId });
+    const reason = String(fields.reason || "");
+    if (!ISSUE_REASONS[reason]) {
+      return res.status(400).json({ error: "Invalid reason", reasons: Object.keys(ISSUE_REASONS) });
+    }
+    const description = String(fields.description || "").trim();
+    if (!description) return res.status(400).json({ error: "Please describe the issue" });
+    if (description.length > MAX_DESCRIPTION) {
+      return res.status(400).json({ error: `Description must be ${MAX_DESCRIPTION} characters or less` });
+    }
+
+    const evidence = files.filter((f) => f.buffer.length);
+    if (evidence.some((f) => !String(f.mimeType || "").startsWith("image/"))) {
+      return res.status(400).json({ error: "Evidence must be image files" });
+    }
+    if (evidence.some((f) => f.truncated)) {
+      return res.status(413).json({ error: `Each image must be under ${MAX_FILE_BYTES / 1024 / 1024}MB` });
+    }
+
+    const cs = await stripe.checkout.sessions.retrieve(sessionId, { expand: ["payment_intent"] });
+    const pi =
+      typeof cs.payment_intent === "string"
+        ? await stripe.paymentIntents.retrieve(cs.payment_intent)
+        : cs.payment_intent;
+    if (!pi?.id) return res.status(404).json({ error: "PaymentIntent not found" });
+
+    if (!inEscrow(pi)) {
+      return res.status(400).json({ error: "Not in escrow/awaiting capture", status: pi.status });
+    }
+
+    const meta = pi.metadata || {};
+    const next = transition(stateOf(pi), "report_issue", ACTORS.BUYER);
+
+    const now = Math.floor(Date.now() / 1000);
+    const respondBy = now + ISSUE_RESPONSE_HOURS * 3600;
+
+    await stripe.paymentIntents.update(pi.id, {
+      metadata: {
+        ...meta,
+        ...freezeDeadline(meta, now),
+        fep_status: next,
+        fep_issue_reason: reason,
+        fep_issue_reported_at: String(now),
+        fep_issue_respond_by: String(respondBy),
+        fep_issue_description: description.slice(0, 500) // Stripe metadata values max 500 chars
+      }
+    });
+
+    const evidenceInfo = evidence.map((f) => ({
+      filename: f.filename || "evidence.jpg",
+      mimeType: f.mimeType,
+      size: f.buffer.length
+    }));
+
+    await recordOrderEvent({
+      sessionId: cs.id,
+      paymentIntentId: pi.id,
+      type: ORDER_EVENTS.ISSUE_REPORTED,
+      actor: ACTORS.BUYER,
+      status: next,
+      data: { reason, description, evidence: evidenceInfo, respond_by: respondBy }
+    });
+
+    // ---- Notify seller + admin (evidence attached) ----
+    const summary = [
+      `A buyer reported an issue with an order.`,
+      ``,
+      `Order: ${cs.id}`,
+      `Listing ID: ${meta.listingId || ""}`,
+      `Event: ${meta.group || ""}`,
+      `Qty: ${meta.qty || ""}`,
+      `Buyer: ${meta.buyerEmail || cs.customer_details?.email || ""}`,
+      ``,
+      `Reason: ${ISSUE_REASONS[reason]}`,
+      `Details:`,
+      description,
+      ``,
+      `Funds stay in escrow. The seller has until ${new Date(respondBy * 1000).toUTCString()} to respond;`,
+      `without a response the buyer is refunded automatically.`,
+      `Respond: ${appUrl(`/?respond=${encodeURIComponent(cs.id)}`)}`
+    ].join("\n");
+
+    const attachments = evidence.map((f) => ({
+      filename: f.filename || "evidence.jpg",
+      content: f.buffer,
+      contentType: f.mimeType || "application/octet-stream"
+    }));
+
+    await Promise.all([
+      sendEmail({ to: meta.sellerEmail, subject: "FEP: A buyer reported an issue with your order", text: summary, attachments }),
+      sendEmail({ to: ADMIN_EMAIL, subject: `FEP: Issue reported (${ISSUE_REASONS[reason]})`, text: summary, attachments })
+    ]);
+
+    return res.status(200).json({
+      ok: true,
+      payment_intent: pi.id,
+      fep_status: next,
+      respond_by: respondBy,
+      evidence_count: evidence.length
+    });
+  } catch (e) {
+    if (e instanceof OrderStateError) return res.status(e.statusCode).json(e.toJSON());
+    if (e instanceof ActionTokenError) return res.status(e.statusCode).json({ error: e.message });
+    console.error("report-issue error:", e);
+    return res.status(500).json({ error: "Failed to report issue" });
+  }
+}
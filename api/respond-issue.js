@@ -0,0 +1,147 @@
+// api/respond-issue.js
+// Seller response to a buyer's issue report (multipart/form-data, evidence optional):
+//   sessionId  Checkout Session id
+//   response   "accept"  -> buyer is right; authorization is canceled (refund)
+//              "contest" -> order moves to `dispute` for an admin to resolve
+//   message    seller's explanation (required when contesting)
+//   evidence   0..MAX_FILES image files (e.g. transfer confirmation screenshots)
+// A disputed order keeps its deadline frozen, so the cron never auto-cancels it.
+// Needs the seller's session (lib/seller-auth.js).
+
+import Stripe from "stripe";
+import { parseMultipart } from "../lib/multipart.js";
+import { sendEmail, ADMIN_EMAIL } from "../lib/notify.js";
+import { recordOrderEvent, ORDER_EVENTS } from "../lib/orders.js";
+import { stateOf, transition, ACTORS, OrderStateError } from "../lib/order-state.js";
+import { cancelAuthorization, inEscrow } from "../lib/escrow.js";
+import { requireSeller, isSellerOf } from "../lib/seller-auth.js";
+
+export const config = { api: { bodyParser: false }, runtime: "nodejs" };
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const MAX_FILES = 5;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_MESSAGE = 2000;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  const session = requireSeller(req, res);
+  if (!session) return;
+
+  try {
+    const { fields, files } = await parseMultipart(req, { files: MAX_FILES, fileSize: MAX_FILE_BYTES });
+
+    const sessionId = String(fields.sessionId || "").trim();
+    if (!/^cs_(test|live)_[A-Za-z0-9]+$/.test(sessionId)) {
+      return res.status(400).json({ error: "Invalid sessionId" });
+    }
+    const response = String(fields.response || "");
+    if (response !== "accept" && response !== "contest") {
+      return res.status(400).json({ error: "response must be 'accept' or 'contest'" });
+    }
+    const message = String(fields.message || "").trim();
+    if (response === "contest" && !message) {
+      return res.status(400).json({ error: "Please explain why you're contesting the issue" });
+    }
+    if (message.length > MAX_MESSAGE) {
+      return res.status(400).json({ error: `Message must be ${MAX_MESSAGE} characters or less` });
+    }
+
+    const evidence = files.filter((f) => f.buffer.length);
+    if (evidence.some((f) => !String(f.mimeType || "").startsWith("image/"))) {
+      return res.status(400).json({ error: "Evidence must be image files" });
+    }
+    if (evidence.some((f) => f.truncated)) {
+      return res.status(413).json({ error: `Each image must be under ${MAX_FILE_BYTES / 1024 / 1024}MB` });
+    }
+
+    const cs = await stripe.checkout.sessions.retrieve(sessionId, { expand: ["payment_intent"] });
+    const pi =
+      typeof cs.payment_intent === "string"
+        ? await stripe.paymentIntents.retrieve(cs.payment_intent)
+        : cs.payment_intent;
+    if (!pi?.id) return res.status(404).json({ error: "PaymentIntent not found" });
+    if (!isSellerOf(session, pi.metadata?.sellerEmail)) return res.status(403).json({ error: "Not your order" });
+
+    if (!inEscrow(pi)) {
+      return res.status(400).json({ error: "Not in escrow/awaiting capture", status: pi.status });
+    }
+
+    const meta = pi.metadata || {};
+    const action = response === "accept" ? "accept_issue" : "contest_issue";
+    const now = Math.floor(Date.now() / 1000);
+    const responseMeta = {
+      fep_seller_response: response,
+      fep_seller_responded_at: String(now),
+      fep_issue_respond_by: ""
+    };
+    const data = {
+      message,
+      evidence: evidence.map((f) => ({ filename: f.filename, mimeType: f.mimeType, size: f.buffer.length }))
+    };
+
+    let next;
+    if (action === "accept_issue") {
+      ({ next } = await cancelAuthorization(pi, {
+        action,
+        actor: ACTORS.SELLER,
+        eventType: ORDER_EVENTS.ISSUE_ACCEPTED,
+        sessionId: cs.id,
+        idempotencyKey: `seller-accept-issue:${pi.id}`,
+        extraMeta: responseMeta,
+        data
+      }));
+    } else {
+      next = transition(stateOf(pi), action, ACTORS.SELLER);
+      await stripe.paymentIntents.update(pi.id, {
+        metadata: { ...meta, ...responseMeta, fep_status: next }
+      });
+      await recordOrderEvent({
+        sessionId: cs.id,
+        paymentIntentId: pi.id,
+        type: ORDER_EVENTS.ISSUE_CONTESTED,
+        actor: ACTORS.SELLER,
+        status: next,
+        data
+      });
+    }
+
+    // ---- Notify buyer + admin ----
+    const outcome =
+      action === "accept_issue"
+        ? "The seller accepted the issue. The payment authorization was canceled, so you won't be charged."
+        : "The seller contested the issue. Funds stay in escrow while an admin reviews both sides.";
+    const text = [
+      outcome,
+      ``,
+      `Order: ${cs.id}`,
+      `Event: ${meta.group || ""}`,
+      `Issue: ${meta.fep_issue_reason || ""}`,
+      message ? `\nSeller's message:\n${message}` : ""
+    ].join("\n");
+
+    await Promise.all([
+      sendEmail({ to: meta.buyerEmail || cs.customer_details?.email, subject: "FEP: Update on your reported issue", text }),
+      sendEmail({
+        to: ADMIN_EMAIL,
+        subject: action === "accept_issue" ? "FEP: Seller accepted issue (canceled)" : "FEP: Dispute needs review",
+        text,
+        attachments: evidence.map((f) => ({
+          filename: f.filename || "evidence.jpg",
+          content: f.buffer,
+          contentType: f.mimeType || "application/octet-stream"
+        }))
+      })
+    ]);
+
+    return res.status(200).json({ ok: true, payment_intent: pi.id, fep_status: next });
+  } catch (e) {
+    if (e instanceof OrderStateError) return res.status(e.statusCode).json(e.toJSON());
+    console.error("respond-issue error:", e);
+    return res.status(500).json({ error: "Failed to record response" });
+  }
+}
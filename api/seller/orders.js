@@ -0,0 +1,54 @@
+// api/seller/orders.js
+// The signed-in seller's orders (lib/seller-auth.js), from the order ledger.
+//   GET /api/seller/orders              -> newest first (?limit=, max 200)
+//   GET /api/seller/orders?sid=cs_...   -> one order + its history
+// Live payment state per order is in /api/session-status.
+
+import { requireSeller, isSellerOf } from "../../lib/seller-auth.js";
+import { listSellerOrders, getOrderHistory } from "../../lib/orders.js";
+
+export const config = { runtime: "nodejs" };
+
+function summarize(order) {
+  return {
+    sessionId: order.id,
+    payment_intent: order.payment_intent_id || null,
+    listingId: order.listing_id || null,
+    status: order.status || null,
+    qty: order.qty ?? null,
+    amount: order.amount ?? null,
+    currency: order.currency || null,
+    buyerEmail: order.buyer_email || null,
+    created_at: Number(order.created_at || 0) || null,
+    updated_at: Number(order.updated_at || 0) || null
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  const session = requireSeller(req, res);
+  if (!session) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const sid = String(req.query?.sid || "").trim();
+    if (sid) {
+      const history = await getOrderHistory({ sessionId: sid });
+      // Someone else's order looks the same as a missing one
+      if (!history || !isSellerOf(session, history.order.seller_email)) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      return res.status(200).json({ ok: true, order: summarize(history.order), events: history.events });
+    }
+
+    const limit = Math.max(1, Math.min(Number(req.query?.limit || 100), 200));
+    const orders = (await listSellerOrders(session.email, { limit })).map(summarize);
+    return res.status(200).json({ ok: true, count: orders.length, orders });
+  } catch (e) {
+    console.error("seller/orders error:", e);
+    return res.status(500).json({ error: "Failed to list orders" });
+  }
+}
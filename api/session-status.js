@@ -1,31 +1,18 @@
 // api/session-status.js
 import Stripe from "stripe";
-import fs from "fs/promises";
-import path from "path";
+import { getSaleEntry } from "../lib/inventory.js";
+import { stateOf, canTransition, availableActions, isHoldState, ACTORS } from "../lib/order-state.js";
+import { isDeadlineFrozen, ESCROW_HOURS } from "../lib/deadlines.js";
+import { ticketState } from "../lib/tickets.js";
+import { inEscrow, isFundsHeld } from "../lib/escrow.js";
+import { pendingExtension, extensionView } from "../lib/extensions.js";
+import { breakdownFromMeta } from "../lib/fees.js";
+import { formatMoney, requestLocale, DEFAULT_CURRENCY } from "../lib/currency.js";
 
 export const config = { runtime: "nodejs" };
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
-// ---- Simple file helpers (replace with your DB if needed) ----
-const DATA_DIR = path.join(process.cwd(), "data");
-const LISTINGS_FILE = path.join(DATA_DIR, "listings.json");
-const LEDGER_FILE = path.join(DATA_DIR, "processed-intents.json");
-
-async function readJsonSafe(file, fallback) {
-  try {
-    const raw = await fs.readFile(file, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-async function writeJsonSafe(file, obj) {
-  await fs.mkdir(path.dirname(file), { recursive: true });
-  await fs.writeFile(file, JSON.stringify(obj, null, 2));
-}
-// ---------------------------------------------------------------
-
 export default async function handler(req, res) {
   if (req.method !== "GET") {
     res.setHeader("Allow", "GET");
@@ -58,48 +45,45 @@ export default async function handler(req, res) {
 
     // Status flags
     const status = pi.status || session.status || "unknown";
-    const requires_capture = status === "requires_capture";
-    const succeeded = status === "succeeded";
+    // Held funds (captured early before the authorization lapsed) are still in escrow
+    const funds_held = isFundsHeld(pi);
+    const requires_capture = inEscrow(pi);
+    const succeeded = status === "succeeded" && !funds_held;
     const canceled = status === "canceled";
 
-    // Deadline: prefer metadata; else default to +72h from PI creation
+    // Deadline: prefer metadata; else default to ESCROW_HOURS from PI creation
     const createdSec = pi.created || session.created || Math.floor(Date.now() / 1000);
-    const DEFAULT_ESCROW_SECS = 72 * 3600;
+    const DEFAULT_ESCROW_SECS = ESCROW_HOURS * 3600;
     let deadline = Number(meta.fep_confirm_deadline || 0);
     if (!Number.isFinite(deadline) || deadline <= createdSec) {
       deadline = createdSec + DEFAULT_ESCROW_SECS;
     }
 
     const now = Math.floor(Date.now() / 1000);
-    const time_remaining = Math.max(0, deadline - now);
+    // Frozen while an issue/dispute is open: report the time that was left when it paused
+    const deadline_frozen = isDeadlineFrozen(meta);
+    const time_remaining = deadline_frozen
+      ? Number(meta.fep_frozen_remaining_secs || 0)
+      : Math.max(0, deadline - now);
 
     // Currency
-    const currency = (pi.currency || session.currency || "usd").toLowerCase();
-
-    // ---- Pricing / fees from metadata (set in create-checkout-session) ----
-    const qty = Number(meta.qty || 1);
-    const priceUsd = Number(meta.price || 0); // per ticket (USD)
-
-    // New per-ticket fee fields
-    const buyer_fee_cents_per_ticket  = Number(meta.buyer_fee_cents_per_ticket || 0);
-    const buyer_fee_total_cents       = Number(meta.buyer_fee_total_cents || 0);
-    const seller_fee_per_ticket_cents = Number(meta.seller_fee_per_ticket_cents || 0);
-    const seller_fee_total_cents      = Number(meta.seller_fee_total_cents || 0);
-
-    // Derived amounts
-    const unit_cents = Math.round(priceUsd * 100) || 0;
-    const ticket_subtotal_cents =
-      unit_cents * (Number.isFinite(qty) && qty > 0 ? qty : 1);
+    const currency = (pi.currency || session.currency || DEFAULT_CURRENCY).toLowerCase();
+
+    // ---- Pricing / fees: the breakdown stored at checkout (lib/fees.js) ----
+    const fees = breakdownFromMeta(meta);
+    const qty = fees.qty;
+    const unit_cents = fees.unit_amount;
+    const ticket_subtotal_cents = fees.item_subtotal;
+    const buyer_fee_cents_per_ticket = fees.buyer_fee_per_ticket;
+    const buyer_fee_total_cents = fees.buyer_fee_total;
+    const seller_fee_per_ticket_cents = fees.seller_fee_per_ticket;
+    const seller_fee_total_cents = fees.seller_fee_total;
 
     // Buyer pays ticket subtotal + buyer fee TOTAL (per-ticket * qty)
-    const buyer_total_cents =
-      (Number.isFinite(ticket_subtotal_cents) ? ticket_subtotal_cents : 0) +
-      (Number.isFinite(buyer_fee_total_cents) ? buyer_fee_total_cents : 0);
+    const buyer_total_cents = fees.total;
 
-    // Seller payout estimate = ticket subtotal - seller fee TOTAL
-    const seller_estimated_payout_cents =
-      (Number.isFinite(ticket_subtotal_cents) ? ticket_subtotal_cents : 0) -
-      (Number.isFinite(seller_fee_total_cents) ? seller_fee_total_cents : 0);
+    // Seller payout estimate = charge - platform fees
+    const seller_estimated_payout_cents = fees.seller_payout;
 
     // Stripe computed (if present)
     const amount_total = Number.isFinite(session.amount_total) ? session.amount_total : null;
@@ -107,56 +91,57 @@ export default async function handler(req, res) {
     // Helpful echoes
     const listingId = meta.listingId || null;
     const sellerAccountId = meta.sellerAccountId || null;
-    const fep_status = meta.fep_status || "";
 
-    // Convenience flags for UI
-    const on_hold = ["on_hold", "issue_reported", "dispute"].includes(fep_status);
-    const can_buyer_cancel = requires_capture && fep_status === "authorized" && !succeeded && !canceled;
-    const can_buyer_confirm = requires_capture && !on_hold && !succeeded && !canceled;
-    const can_report_issue = requires_capture && !succeeded && !canceled;
+    // Display strings in the requester's locale (?locale= or Accept-Language)
+    const locale = requestLocale(req);
+    const fmt = (minor) => formatMoney(minor, currency, locale);
+    const display = {
+      unit: fmt(unit_cents),
+      ticket_subtotal: fmt(ticket_subtotal_cents),
+      buyer_fee_per_ticket: fmt(buyer_fee_cents_per_ticket),
+      buyer_fee_total: fmt(buyer_fee_total_cents),
+      buyer_total: fmt(buyer_total_cents),
+      seller_fee_total: fmt(seller_fee_total_cents),
+      seller_estimated_payout: fmt(seller_estimated_payout_cents),
+      amount_total: amount_total === null ? null : fmt(amount_total),
+    };
+    const fep_status = stateOf({ ...pi, metadata: meta });
+
+    // Convenience flags for UI (same rules the endpoints enforce)
+    const on_hold = isHoldState(fep_status);
+    const can_buyer_cancel = requires_capture && canTransition(fep_status, "cancel", ACTORS.BUYER);
+    const can_buyer_confirm = requires_capture && canTransition(fep_status, "confirm", ACTORS.BUYER);
+    const can_report_issue = requires_capture && canTransition(fep_status, "report_issue", ACTORS.BUYER);
+    const buyer_actions = requires_capture ? availableActions(fep_status, ACTORS.BUYER) : [];
+    const seller_actions = requires_capture ? availableActions(fep_status, ACTORS.SELLER) : [];
+
+    const issue = meta.fep_issue_reason
+      ? {
+          reason: meta.fep_issue_reason,
+          reported_at: Number(meta.fep_issue_reported_at || 0) || null,
+          respond_by: Number(meta.fep_issue_respond_by || 0) || null,
+          seller_response: meta.fep_seller_response || null,
+        }
+      : null;
+
+    // An extension one party proposed and the other hasn't answered yet
+    let pending_extension = null;
+    try {
+      pending_extension = extensionView(await pendingExtension(pi.id, now));
+    } catch (err) {
+      console.error("session-status extension read error:", err);
+    }
 
-    // ---------- Idempotent quantity/seats file update on success ----------
+    // Inventory is decremented by the Stripe webhook; this is a read-only echo of the ledger
     let listing_update_applied = false;
     let last_sale_seats = [];
-
-    if (succeeded && listingId && Number.isFinite(qty) && qty > 0) {
-      try {
-        const ledger = await readJsonSafe(LEDGER_FILE, { processed: [] });
-        if (!ledger.processed.includes(pi.id)) {
-          const listings = await readJsonSafe(LISTINGS_FILE, []);
-          const idx = listings.findIndex((l) => String(l.id) === String(listingId));
-          if (idx !== -1) {
-            const L = listings[idx];
-
-            const beforeRemaining = Number.isFinite(L.remaining)
-              ? Number(L.remaining)
-              : Number(L.total || 0) || 0;
-
-            const purchased = Math.min(qty, Math.max(0, beforeRemaining));
-            const afterRemaining = Math.max(0, beforeRemaining - purchased);
-            L.remaining = afterRemaining;
-
-            if (Array.isArray(L.seatNumbers) && L.seatNumbers.length) {
-              const sold = Array.isArray(L.soldSeats) ? L.soldSeats : [];
-              const available = L.seatNumbers.filter((s) => !sold.includes(s));
-              last_sale_seats = available.slice(0, purchased);
-              L.soldSeats = [...sold, ...last_sale_seats];
-            }
-
-            listings[idx] = L;
-            await writeJsonSafe(LISTINGS_FILE, listings);
-
-            ledger.processed.push(pi.id);
-            await writeJsonSafe(LEDGER_FILE, ledger);
-
-            listing_update_applied = true;
-          }
-        }
-      } catch (err) {
-        console.error("listing quantity update error:", err);
-      }
+    try {
+      const sale = await getSaleEntry(pi.id);
+      listing_update_applied = sale?.status === "applied" && !sale.restocked;
+      last_sale_seats = listing_update_applied ? sale.seats || [] : [];
+    } catch (err) {
+      console.error("session-status ledger read error:", err);
     }
-    // ---------------------------------------------------------------------
 
     return res.status(200).json({
       ok: true,
@@ -171,16 +156,24 @@ export default async function handler(req, res) {
       deadline,                 // unix seconds
       now,                      // unix seconds
       time_remaining,           // seconds
-
-      amount_total,             // cents (Stripe’s computed)
+      deadline_frozen,          // true while an issue/dispute pauses the clock
+      deadline_policy: meta.fep_deadline_policy || null, // event | sent | authorization | auth_limit | admin | agreed
+      event_at: Number(meta.fep_event_at || 0) || null,
+      auth_expires_at: Number(meta.fep_auth_expires_at || 0) || null,
+      funds_held,               // captured and held on the platform until release
+      pending_extension,        // { id, proposed_by, respond_as, deadline, reason, expires_at } or null
+
+      amount_total,             // minor units (Stripe’s computed)
       currency,
 
       // FEP metadata/status
       fep_status,
+      issue,
+      tickets: ticketState(meta), // { qty, sent: [...], confirmed: [...] } ticket numbers
       listingId,
       sellerAccountId,
 
-      // Pricing snapshot (all cents)
+      // Pricing snapshot (minor units of `currency`: cents, pence, yen...)
       qty,
       unit_cents,
       ticket_subtotal_cents,
@@ -190,12 +183,16 @@ export default async function handler(req, res) {
       seller_fee_per_ticket_cents,
       seller_fee_total_cents,
       seller_estimated_payout_cents,
+      fees,                     // full versioned breakdown
+      display,                  // formatted amounts, e.g. { buyer_total: "£92.00" }
 
       // UI flags
       on_hold,
       can_buyer_cancel,
       can_buyer_confirm,
       can_report_issue,
+      buyer_actions,
+      seller_actions,
 
       // Update hints
       listing_update_applied,
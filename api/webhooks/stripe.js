@@ -1,5 +1,16 @@
 // api/webhooks/stripe.js
 import Stripe from "stripe";
+import { convertHold, releaseHold } from "../../lib/reservations.js";
+import { applySale, applyRestock } from "../../lib/inventory.js";
+import { recordOrderEvent, ORDER_EVENTS } from "../../lib/orders.js";
+import { stateOf, canTransition, TRANSITIONS, ACTORS, ORDER_STATES } from "../../lib/order-state.js";
+import { freezeDeadline, recalcDeadline, authExpiryOf } from "../../lib/deadlines.js";
+import { recordAccountUpdate } from "../../lib/connect-accounts.js";
+import { redeemPromo, releasePromo, attachPromoRedemption } from "../../lib/promos.js";
+import { sendEmail, ADMIN_EMAIL } from "../../lib/notify.js";
+import { formatMoney } from "../../lib/currency.js";
+import { beginWebhookEvent, finishWebhookEvent, WEBHOOK_EVENT_STATUS } from "../../lib/webhook-events.js";
+import { sendActionLinks } from "../../lib/action-tokens.js";
 
 /**
  * Ensure Node runtime + raw body (required for Stripe signature verification)
@@ -21,27 +32,34 @@ async function readRawBody(req) {
   });
 }
 
+/**
+ * Once the card is authorized, pin the deadline to the event policy and the
+ * authorization's real expiry (lib/deadlines.js). Runs once per intent: after
+ * that fep_auth_expires_at is set and mark-sent / admin take over.
+ */
 async function setEscrowDeadlineIfNeeded(piId, opts = {}) {
   try {
-    const pi = await stripe.paymentIntents.retrieve(piId);
+    const pi = await stripe.paymentIntents.retrieve(piId, { expand: ["latest_charge"] });
     if (!pi?.id) return;
 
     // Only set for manual-capture intents that are actually authorized
     const manual = pi.capture_method === "manual";
     const isAuthorized = pi.status === "requires_capture";
-    const alreadyHasDeadline = Number(pi.metadata?.fep_confirm_deadline || 0) > 0;
+    const alreadySet = Number(pi.metadata?.fep_auth_expires_at || 0) > 0;
 
-    if (!manual || !isAuthorized || alreadyHasDeadline) return;
+    if (!manual || !isAuthorized || alreadySet) return;
 
-    const DEFAULT_ESCROW_SECS = 72 * 3600;
-    const deadline = Math.floor(Date.now() / 1000) + DEFAULT_ESCROW_SECS;
+    const deadlinePatch = recalcDeadline(pi.metadata || {}, {
+      authorizedAt: pi.latest_charge?.created || pi.created,
+      authExpiresAt: authExpiryOf(pi)
+    });
 
     // Preserve existing metadata and mirror pass-through details if present
     const meta = {
       ...(pi.metadata || {}),
       fep: "1",
-      fep_status: "authorized",
-      fep_confirm_deadline: String(deadline),
+      fep_status: pi.metadata?.fep_status || "authorized",
+      ...deadlinePatch,
       listingId: pi.metadata?.listingId ?? opts.listingId ?? "",
       buyerEmail: pi.metadata?.buyerEmail ?? opts.buyerEmail ?? "",
       sellerEmail: pi.metadata?.sellerEmail ?? opts.sellerEmail ?? "",
@@ -51,12 +69,59 @@ async function setEscrowDeadlineIfNeeded(piId, opts = {}) {
     };
 
     await stripe.paymentIntents.update(piId, { metadata: meta });
-    console.log("✅ [webhook] escrow deadline set", { piId, deadline });
+    console.log("✅ [webhook] escrow deadline set", {
+      piId,
+      deadline: deadlinePatch.fep_confirm_deadline,
+      policy: deadlinePatch.fep_deadline_policy
+    });
   } catch (e) {
     console.warn("⚠️ [webhook] setEscrowDeadlineIfNeeded failed:", e?.message || e);
   }
 }
 
+/**
+ * Mirror a Stripe outcome into fep_status through the order state machine.
+ * Resolves to the new state, or null when nothing changed (already there, or illegal).
+ */
+async function syncState(pi, action, extraMeta = {}) {
+  const state = stateOf(pi);
+  const to = TRANSITIONS[action].to;
+  if (state === to) return null;
+  if (!canTransition(state, action, ACTORS.WEBHOOK)) {
+    console.warn("⚠️ [webhook] ignoring illegal transition", { piId: pi.id, state, action });
+    return null;
+  }
+  const meta = { ...(pi.metadata || {}), fep_status: to, ...extraMeta };
+  await stripe.paymentIntents.update(pi.id, { metadata: meta });
+  return to;
+}
+
+/**
+ * Load the PaymentIntent behind a Charge or Dispute object (null if there is none).
+ */
+async function paymentIntentOf(obj) {
+  const piId = typeof obj?.payment_intent === "string" ? obj.payment_intent : obj?.payment_intent?.id;
+  if (!piId) return null;
+  return stripe.paymentIntents.retrieve(piId);
+}
+
+/**
+ * Tell the seller and admin about a dispute change (best-effort).
+ */
+async function notifyDispute(pi, dispute, subject, lines) {
+  await sendEmail({
+    to: [pi.metadata?.sellerEmail, ADMIN_EMAIL],
+    subject: `FEP: ${subject} (${pi.metadata?.group || pi.id})`,
+    text: [
+      ...lines,
+      "",
+      `Order: ${pi.id}`,
+      `Dispute: ${dispute.id} (${dispute.reason || "unspecified"}, status ${dispute.status})`,
+      `Amount: ${formatMoney(dispute.amount, dispute.currency)}`,
+    ].join("\n"),
+  });
+}
+
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     res.setHeader("Allow", "POST");
@@ -79,96 +144,387 @@ export default async function handler(req, res) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  // Log first: a duplicate delivery is skipped, one already in flight is retried later
+  const claim = await beginWebhookEvent(event).catch((err) => {
+    console.error("[stripe-webhook] event log unavailable:", err?.message || err);
+    return null;
+  });
+  if (!claim) return res.status(500).json({ error: "Event log unavailable" });
+  if (!claim.process) {
+    if (claim.status === WEBHOOK_EVENT_STATUS.PROCESSING) {
+      return res.status(409).json({ error: "Event is being processed", id: event.id });
+    }
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
   try {
-    switch (event.type) {
-      /**
-       * Fires when Checkout succeeds. With manual capture, the PI will be requires_capture (authorized).
-       * We set the 72h confirm deadline if not already set.
-       */
-      case "checkout.session.completed": {
-        const session = event.data.object;
-
-        const piId =
-          typeof session.payment_intent === "string"
-            ? session.payment_intent
-            : session.payment_intent?.id;
-
-        if (!piId) {
-          console.error("[stripe-webhook] No payment_intent on session", session.id);
-          break;
-        }
+    await processEvent(event);
+    await finishWebhookEvent(event.id);
+    return res.status(200).json({ received: true });
+  } catch (err) {
+    console.error("[stripe-webhook] handler error:", event.type, event.id, err);
+    await finishWebhookEvent(event.id, err).catch(() => {});
+    // Non-2xx makes Stripe redeliver; api/admin/webhook-events.js can replay it too
+    return res.status(500).json({ error: "Webhook handler failed", id: event.id });
+  }
+}
 
-        await setEscrowDeadlineIfNeeded(piId, {
-          listingId: session.metadata?.listingId,
-          buyerEmail: session.metadata?.buyerEmail,
-          sellerEmail: session.metadata?.sellerEmail,
-          sellerAccountId: session.metadata?.sellerAccountId,
-          buyer_fee_cents: session.metadata?.buyer_fee_cents,
-          seller_fee_cents: session.metadata?.seller_fee_cents
-        });
+/**
+ * Apply one verified Stripe event. Throws on failure so the caller can log it for a retry;
+ * every case must be safe to run again for the same event.
+ */
+export async function processEvent(event) {
+  switch (event.type) {
+    /**
+     * Fires when Checkout succeeds. With manual capture, the PI will be requires_capture (authorized).
+     * We set the 72h confirm deadline if not already set, turn the seat hold into a sale
+     * and email both parties their signed action links.
+     */
+    case "checkout.session.completed": {
+      const session = event.data.object;
 
+      await redeemPromo(session.metadata?.fep_promo_redemption);
+
+      const piId =
+        typeof session.payment_intent === "string"
+          ? session.payment_intent
+          : session.payment_intent?.id;
+
+      if (!piId) {
+        console.error("[stripe-webhook] No payment_intent on session", session.id);
         break;
       }
 
-      /**
-       * Sometimes amount_capturable is updated after certain flows.
-       * Treat this as "authorized" and ensure deadline is present.
-       */
-      case "payment_intent.amount_capturable_updated": {
-        const pi = event.data.object;
-        if (!pi?.id) break;
+      await attachPromoRedemption(session.metadata?.fep_promo_redemption, { paymentIntentId: piId });
 
-        await setEscrowDeadlineIfNeeded(pi.id);
+      await setEscrowDeadlineIfNeeded(piId, {
+        listingId: session.metadata?.listingId,
+        buyerEmail: session.metadata?.buyerEmail,
+        sellerEmail: session.metadata?.sellerEmail,
+        sellerAccountId: session.metadata?.sellerAccountId,
+        buyer_fee_cents: session.metadata?.buyer_fee_cents,
+        seller_fee_cents: session.metadata?.seller_fee_cents
+      });
 
-        // Ensure status marker (don’t clobber other metadata)
-        const meta = { ...(pi.metadata || {}), fep_status: "authorized" };
-        await stripe.paymentIntents.update(pi.id, { metadata: meta }).catch(() => {});
-        break;
+      // Decrement the listing once per PaymentIntent (ledger makes redeliveries no-ops)
+      const sale = await applySale({
+        paymentIntentId: piId,
+        listingId: session.metadata?.listingId,
+        qty: session.metadata?.qty
+      });
+      if (sale.applied) console.log("✅ [webhook] inventory decremented", { piId, qty: sale.qty });
+
+      // Only now stop counting the hold: until the sale is in the ledger the seats
+      // must stay reserved, or a failure in between would let them oversell
+      await convertHold(session.metadata?.fep_hold_id);
+
+      // A redelivered / replayed event must not roll an order that has moved on back to authorized
+      const state = stateOf(await stripe.paymentIntents.retrieve(piId));
+      if (state === ORDER_STATES.PENDING || state === ORDER_STATES.AUTHORIZED) {
+        await recordOrderEvent({
+          sessionId: session.id,
+          paymentIntentId: piId,
+          type: ORDER_EVENTS.AUTHORIZED,
+          actor: ACTORS.WEBHOOK,
+          status: ORDER_STATES.AUTHORIZED,
+          data: {
+            amount_total: session.amount_total,
+            seats: sale.seats || [],
+            promo_code: session.metadata?.promo_code || null
+          }
+        });
+      } else {
+        console.log("ℹ️ [webhook] order already past authorized; not re-recording", { piId, state });
       }
 
-      /**
-       * When you (or buyer confirmation) captures the PI.
-       */
-      case "payment_intent.succeeded": {
-        const pi = event.data.object;
-        if (!pi?.id) break;
-
-        const now = Math.floor(Date.now() / 1000);
-        const meta = { ...(pi.metadata || {}), fep_status: "captured", fep_captured_at: String(now) };
-        await stripe.paymentIntents.update(pi.id, { metadata: meta }).catch(() => {});
-        console.log("✅ [webhook] captured", { piId: pi.id });
-        break;
+      // Buyer gets confirm / report / cancel links, seller gets mark-sent (once each)
+      await sendActionLinks({
+        sessionId: session.id,
+        paymentIntentId: piId,
+        meta: { ...(session.metadata || {}), buyerEmail: session.metadata?.buyerEmail || session.customer_details?.email || "" }
+      });
+
+      break;
+    }
+
+    /**
+     * Buyer never finished Checkout – the session's hold lapses, release it right away.
+     */
+    case "checkout.session.expired": {
+      const session = event.data.object;
+      const released = await releaseHold(session.metadata?.fep_hold_id);
+      if (released) console.log("✅ [webhook] hold released (session expired)", { sessionId: session.id });
+      await releasePromo(session.metadata?.fep_promo_redemption);
+
+      await recordOrderEvent({
+        sessionId: session.id,
+        type: ORDER_EVENTS.EXPIRED,
+        actor: ACTORS.WEBHOOK,
+        status: ORDER_STATES.EXPIRED
+      });
+      break;
+    }
+
+    /**
+     * Sometimes amount_capturable is updated after certain flows.
+     * Treat this as "authorized" and ensure deadline is present.
+     */
+    case "payment_intent.amount_capturable_updated": {
+      const pi = event.data.object;
+      if (!pi?.id) break;
+
+      await setEscrowDeadlineIfNeeded(pi.id);
+
+      // Ensure status marker, but never move an order back from sent/held/etc.
+      const state = String(pi.metadata?.fep_status || ORDER_STATES.PENDING);
+      if (canTransition(state, "authorize", ACTORS.WEBHOOK)) {
+        const meta = { ...(pi.metadata || {}), fep_status: ORDER_STATES.AUTHORIZED };
+        await stripe.paymentIntents.update(pi.id, { metadata: meta });
       }
+      break;
+    }
 
-      /**
-       * If an auth gets canceled (buyer reported issue or expired and you canceled),
-       * mark metadata so your UI can reflect it.
-       */
-      case "payment_intent.canceled": {
-        const pi = event.data.object;
-        if (!pi?.id) break;
-
-        const now = Math.floor(Date.now() / 1000);
-        const meta = { ...(pi.metadata || {}), fep_status: "canceled", fep_canceled_at: String(now) };
-        await stripe.paymentIntents.update(pi.id, { metadata: meta }).catch(() => {});
-        console.log("✅ [webhook] canceled", { piId: pi.id });
+    /**
+     * When you (or buyer confirmation) captures the PI.
+     */
+    case "payment_intent.succeeded": {
+      const pi = event.data.object;
+      if (!pi?.id) break;
+
+      // Captured early by the auth-expiry guard: the money is held, the order is still open
+      if (pi.metadata?.fep_funds_held === "1") {
+        console.log("✅ [webhook] captured and held on platform", { piId: pi.id });
         break;
       }
 
-      // Optional future handling:
-      // case "charge.dispute.created": { /* set fep_status:on_hold or similar */ break; }
+      const now = Math.floor(Date.now() / 1000);
+      const next = await syncState(pi, "sync_captured", { fep_captured_at: String(now) });
+      console.log("✅ [webhook] captured", { piId: pi.id });
+
+      if (next) {
+        await recordOrderEvent({
+          paymentIntentId: pi.id,
+          type: ORDER_EVENTS.CAPTURED,
+          actor: ACTORS.WEBHOOK,
+          status: next,
+          data: { amount_received: pi.amount_received }
+        });
+      }
+      break;
+    }
+
+    /**
+     * If an auth gets canceled (buyer reported issue or expired and you canceled),
+     * mark metadata so your UI can reflect it.
+     */
+    case "payment_intent.canceled": {
+      const pi = event.data.object;
+      if (!pi?.id) break;
+
+      const now = Math.floor(Date.now() / 1000);
+      const next = await syncState(pi, "sync_canceled", { fep_canceled_at: String(now) });
+
+      // Canceled authorization – the seats go back on sale and the promo use is returned
+      await releaseHold(pi.metadata?.fep_hold_id);
+      await releasePromo(pi.metadata?.fep_promo_redemption);
+      const restock = await applyRestock({ paymentIntentId: pi.id });
+      if (restock.applied) console.log("✅ [webhook] inventory restocked", { piId: pi.id, qty: restock.qty });
+
+      if (next || restock.applied) {
+        await recordOrderEvent({
+          paymentIntentId: pi.id,
+          type: ORDER_EVENTS.CANCELED,
+          actor: ACTORS.WEBHOOK,
+          status: ORDER_STATES.CANCELED,
+          data: { cancellation_reason: pi.cancellation_reason || null, restocked: restock.qty || 0 }
+        });
+      }
+      console.log("✅ [webhook] canceled", { piId: pi.id });
+      break;
+    }
+
+    /**
+     * Buyer's bank opened a chargeback. The order goes to `dispute` (the escrow clock
+     * stops) until Stripe closes it; seller and admin are told to submit evidence.
+     */
+    case "charge.dispute.created": {
+      const dispute = event.data.object;
+      const pi = await paymentIntentOf(dispute);
+      if (!pi?.id) break;
+
+      const isNew = pi.metadata?.fep_dispute_id !== dispute.id;
+      const now = Math.floor(Date.now() / 1000);
+      const disputeMeta = {
+        fep_dispute_id: dispute.id,
+        fep_dispute_status: dispute.status,
+        fep_dispute_reason: dispute.reason || "",
+        fep_dispute_opened_at: pi.metadata?.fep_dispute_opened_at || String(now),
+      };
+      const next = await syncState(pi, "open_dispute", { ...freezeDeadline(pi.metadata, now), ...disputeMeta });
+      if (!next && isNew) {
+        // Already in dispute (e.g. seller contested an issue) – still remember the Stripe dispute
+        await stripe.paymentIntents.update(pi.id, { metadata: { ...pi.metadata, ...disputeMeta } });
+      }
+
+      if (next || isNew) {
+        await recordOrderEvent({
+          paymentIntentId: pi.id,
+          type: ORDER_EVENTS.DISPUTE_OPENED,
+          actor: ACTORS.WEBHOOK,
+          status: next || stateOf(pi),
+          data: { dispute_id: dispute.id, reason: dispute.reason, amount: dispute.amount },
+        });
+        const due = dispute.evidence_details?.due_by;
+        await notifyDispute(pi, dispute, "Chargeback opened", [
+          "The buyer's bank opened a dispute on this order. Funds stay held until it's resolved.",
+          due ? `Evidence is due by ${new Date(due * 1000).toUTCString()}.` : "",
+        ]);
+      }
+      console.log("✅ [webhook] dispute opened", { piId: pi.id, disputeId: dispute.id });
+      break;
+    }
+
+    /**
+     * Dispute moved along (evidence submitted, under review, ...). State stays `dispute`.
+     */
+    case "charge.dispute.updated": {
+      const dispute = event.data.object;
+      const pi = await paymentIntentOf(dispute);
+      if (!pi?.id || pi.metadata?.fep_dispute_status === dispute.status) break;
+
+      await stripe.paymentIntents.update(pi.id, {
+        metadata: { ...pi.metadata, fep_dispute_id: dispute.id, fep_dispute_status: dispute.status },
+      });
+      await recordOrderEvent({
+        paymentIntentId: pi.id,
+        type: ORDER_EVENTS.DISPUTE_UPDATED,
+        actor: ACTORS.WEBHOOK,
+        status: stateOf(pi),
+        data: { dispute_id: dispute.id, dispute_status: dispute.status },
+      });
+      break;
+    }
 
-      default: {
-        // No-op for other event types
+    /**
+     * Dispute resolved. Won: the capture stands. Lost: the funds were withdrawn,
+     * so the order ends as refunded. A dispute on an uncaptured order is left for an admin.
+     */
+    case "charge.dispute.closed": {
+      const dispute = event.data.object;
+      const pi = await paymentIntentOf(dispute);
+      if (!pi?.id) break;
+
+      const now = Math.floor(Date.now() / 1000);
+      const closedMeta = {
+        fep_dispute_id: dispute.id,
+        fep_dispute_status: dispute.status,
+        fep_dispute_closed_at: String(now),
+      };
+      const lost = dispute.status === "lost";
+      let next = null;
+      if (lost) next = await syncState(pi, "dispute_lost", closedMeta);
+      else if (pi.status === "succeeded") next = await syncState(pi, "dispute_won", closedMeta);
+      if (!next) {
+        await stripe.paymentIntents.update(pi.id, { metadata: { ...pi.metadata, ...closedMeta } });
+      }
+
+      if (pi.metadata?.fep_dispute_closed_at) break; // redelivery
+      await recordOrderEvent({
+        paymentIntentId: pi.id,
+        type: ORDER_EVENTS.DISPUTE_CLOSED,
+        actor: ACTORS.WEBHOOK,
+        status: next || stateOf(pi),
+        data: { dispute_id: dispute.id, dispute_status: dispute.status },
+      });
+      await notifyDispute(pi, dispute, lost ? "Chargeback lost" : "Chargeback closed", [
+        lost
+          ? "The bank ruled for the buyer; the disputed amount was withdrawn."
+          : "The dispute was closed in the seller's favor.",
+      ]);
+      console.log("✅ [webhook] dispute closed", { piId: pi.id, disputeId: dispute.id, status: dispute.status });
+      break;
+    }
+
+    /**
+     * Refund issued (admin refund or straight from the Stripe dashboard).
+     * A full refund ends the order and puts the seats back on sale; a partial one
+     * only keeps the refunded total in sync.
+     */
+    case "charge.refunded": {
+      const charge = event.data.object;
+      const pi = await paymentIntentOf(charge);
+      if (!pi?.id) break;
+
+      const now = Math.floor(Date.now() / 1000);
+      // On a partial capture Stripe counts the released, never-captured remainder in
+      // amount_refunded; only what was captured and then given back is a refund
+      const capturedCents = charge.amount_captured ?? charge.amount ?? 0;
+      const uncaptured = Math.max(0, (charge.amount || 0) - capturedCents);
+      const capturedRefund = Math.min(capturedCents, Math.max(0, (charge.amount_refunded || 0) - uncaptured));
+      const refundedCents = Math.max(Number(pi.metadata?.fep_refunded_cents || 0), capturedRefund);
+      const refundMeta = { fep_refunded_cents: String(refundedCents), fep_refunded_at: String(now) };
+
+      // A canceled authorization also arrives as `refunded: true` with nothing captured;
+      // payment_intent.canceled owns that order, so only a refund of captured money moves it
+      if (!charge.refunded || capturedRefund <= 0) {
+        if (refundedCents !== Number(pi.metadata?.fep_refunded_cents || 0)) {
+          await stripe.paymentIntents.update(pi.id, { metadata: { ...pi.metadata, ...refundMeta } });
+        }
         break;
       }
+
+      const next = await syncState(pi, "sync_refunded", refundMeta);
+      await releaseHold(pi.metadata?.fep_hold_id);
+      await releasePromo(pi.metadata?.fep_promo_redemption);
+      const restock = await applyRestock({ paymentIntentId: pi.id });
+      if (restock.applied) console.log("✅ [webhook] inventory restocked", { piId: pi.id, qty: restock.qty });
+
+      if (next || restock.applied) {
+        await recordOrderEvent({
+          paymentIntentId: pi.id,
+          type: ORDER_EVENTS.REFUNDED,
+          actor: ACTORS.WEBHOOK,
+          status: ORDER_STATES.REFUNDED,
+          data: { amount_refunded: capturedRefund, restocked: restock.qty || 0 }
+        });
+      }
+      console.log("✅ [webhook] refunded", { piId: pi.id });
+      break;
     }
 
-    // Always acknowledge; prevents Stripe retries
-    return res.status(200).json({ received: true });
-  } catch (err) {
-    console.error("[stripe-webhook] handler error:", err);
-    // Prefer 200 to avoid retry storms; you can switch to 500 if you want Stripe to retry.
-    return res.status(200).json({ received: true, note: "handled with warnings" });
+    /**
+     * Seller's Connect account changed (onboarding finished, capability lost, ...).
+     * Requires the endpoint to also listen to connected-account events.
+     */
+    case "account.updated": {
+      const account = event.data.object;
+      if (!account?.id) break;
+
+      const { changes, current } = await recordAccountUpdate(account);
+      if (changes.length) console.log("✅ [webhook] connect account updated", { accountId: account.id, changes });
+
+      // Losing the ability to charge or get paid needs a human to look at open listings
+      const lostAbility = changes.some(
+        (c) => (c.field === "charges_enabled" || c.field === "payouts_enabled") && c.from === true && c.to === false
+      );
+      if (lostAbility) {
+        await sendEmail({
+          to: ADMIN_EMAIL,
+          subject: `FEP: Seller payout account restricted (${account.id})`,
+          text: [
+            `Stripe restricted connected account ${account.id}.`,
+            `charges_enabled: ${current.charges_enabled}, payouts_enabled: ${current.payouts_enabled}`,
+            `disabled_reason: ${current.disabled_reason || "n/a"}`,
+            current.requirements_due.length ? `Currently due: ${current.requirements_due.join(", ")}` : "",
+          ].join("\n"),
+        });
+      }
+      break;
+    }
+
+    default: {
+      // No-op for other event types
+      break;
+    }
   }
 }
@@ -7,6 +7,48 @@
 
 let db = null;
 
+// Order fields callers may set (camelCase in, snake_case columns out).
+// `details` is a JSON blob merged on update (fee breakdowns, tickets, etc.).
+const ORDER_COLUMNS = {
+  paymentIntentId: "payment_intent_id",
+  listingId: "listing_id",
+  buyerEmail: "buyer_email",
+  sellerEmail: "seller_email",
+  sellerAccountId: "seller_account_id",
+  qty: "qty",
+  amount: "amount",
+  currency: "currency",
+  status: "status",
+};
+
+function orderColumns(fields) {
+  const out = {};
+  for (const [key, col] of Object.entries(ORDER_COLUMNS)) {
+    if (fields[key] !== undefined) out[col] = fields[key];
+  }
+  return out;
+}
+
+function parseDetails(row) {
+  if (!row) return null;
+  const details = typeof row.details === "string" ? JSON.parse(row.details || "{}") : row.details || {};
+  return { ...row, details };
+}
+
+function parseConnectAccount(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    capabilities: JSON.parse(row.capabilities || "{}"),
+    requirements_due: JSON.parse(row.requirements_due || "[]"),
+  };
+}
+
+function parseWebhookEvent(row) {
+  if (!row) return null;
+  return { ...row, payload: typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload };
+}
+
 async function initPostgres() {
   const { Pool } = await import("pg");
   const pool = new Pool({
@@ -17,58 +59,788 @@ async function initPostgres() {
         : false,
   });
 
+  const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS orders (
+      id TEXT PRIMARY KEY,
+      amount INTEGER,
+      currency TEXT,
+      seller_account_id TEXT,
+      status TEXT,
+      created_at BIGINT
+    )`,
+    `ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS payment_intent_id TEXT,
+      ADD COLUMN IF NOT EXISTS listing_id TEXT,
+      ADD COLUMN IF NOT EXISTS buyer_email TEXT,
+      ADD COLUMN IF NOT EXISTS seller_email TEXT,
+      ADD COLUMN IF NOT EXISTS qty INTEGER,
+      ADD COLUMN IF NOT EXISTS details TEXT,
+      ADD COLUMN IF NOT EXISTS updated_at BIGINT`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS orders_payment_intent_idx ON orders (payment_intent_id)`,
+    `CREATE TABLE IF NOT EXISTS order_events (
+      id BIGSERIAL PRIMARY KEY,
+      order_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      actor TEXT,
+      status TEXT,
+      data TEXT,
+      created_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS order_events_order_idx ON order_events (order_id, id)`,
+    `CREATE TABLE IF NOT EXISTS reservations (
+      id TEXT PRIMARY KEY,
+      listing_id TEXT NOT NULL,
+      qty INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      session_id TEXT,
+      expires_at BIGINT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT
+    )`,
+    `CREATE INDEX IF NOT EXISTS reservations_listing_idx ON reservations (listing_id, status)`,
+    `CREATE TABLE IF NOT EXISTS inventory_ledger (
+      payment_intent_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      listing_id TEXT NOT NULL,
+      qty INTEGER NOT NULL,
+      seats TEXT,
+      status TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (payment_intent_id, kind)
+    )`,
+    `CREATE TABLE IF NOT EXISTS connect_accounts (
+      account_id TEXT PRIMARY KEY,
+      charges_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      payouts_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      details_submitted BOOLEAN NOT NULL DEFAULT FALSE,
+      capabilities TEXT,
+      requirements_due TEXT,
+      disabled_reason TEXT,
+      updated_at BIGINT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhook_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      last_error TEXT,
+      payload TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS webhook_events_status_idx ON webhook_events (status, created_at)`,
+    `CREATE TABLE IF NOT EXISTS promo_codes (
+      code TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      value INTEGER NOT NULL DEFAULT 0,
+      event_id TEXT,
+      group_name TEXT,
+      starts_at BIGINT,
+      expires_at BIGINT,
+      max_redemptions INTEGER,
+      max_per_buyer INTEGER,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      note TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    // Fixed-amount codes are tied to one currency (minor units)
+    `ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS currency TEXT`,
+    `CREATE TABLE IF NOT EXISTS promo_redemptions (
+      id TEXT PRIMARY KEY,
+      code TEXT NOT NULL,
+      buyer_email TEXT,
+      session_id TEXT,
+      payment_intent_id TEXT,
+      discount_cents INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS promo_redemptions_code_idx ON promo_redemptions (code, status)`,
+    `CREATE TABLE IF NOT EXISTS reminders (
+      payment_intent_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      recipient TEXT,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (payment_intent_id, kind)
+    )`,
+    `CREATE TABLE IF NOT EXISTS deadline_extensions (
+      id TEXT PRIMARY KEY,
+      payment_intent_id TEXT NOT NULL,
+      session_id TEXT,
+      proposed_by TEXT NOT NULL,
+      deadline BIGINT NOT NULL,
+      reason TEXT,
+      token_hash TEXT NOT NULL,
+      status TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS deadline_extensions_pi_idx ON deadline_extensions (payment_intent_id, status)`,
+    `CREATE TABLE IF NOT EXISTS event_cancellations (
+      id TEXT PRIMARY KEY,
+      scope_key TEXT NOT NULL,
+      event_id TEXT,
+      listing_ids TEXT NOT NULL,
+      reason TEXT,
+      status TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      finished_at BIGINT
+    )`,
+    `CREATE INDEX IF NOT EXISTS event_cancellations_scope_idx ON event_cancellations (scope_key, status)`,
+    `CREATE TABLE IF NOT EXISTS event_cancellation_orders (
+      job_id TEXT NOT NULL,
+      payment_intent_id TEXT NOT NULL,
+      listing_id TEXT,
+      action TEXT NOT NULL,
+      status TEXT NOT NULL,
+      amount INTEGER,
+      error TEXT,
+      updated_at BIGINT NOT NULL,
+      PRIMARY KEY (job_id, payment_intent_id)
+    )`,
+    `CREATE INDEX IF NOT EXISTS orders_seller_email_idx ON orders (seller_email, created_at)`,
+    `CREATE TABLE IF NOT EXISTS sellers (
+      email TEXT PRIMARY KEY,
+      connect_account_id TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      last_login_at BIGINT
+    )`,
+    `ALTER TABLE sellers ADD COLUMN IF NOT EXISTS tier TEXT`,
+    `CREATE TABLE IF NOT EXISTS seller_login_tokens (
+      token_hash TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      used_at BIGINT,
+      created_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS seller_login_tokens_email_idx ON seller_login_tokens (email, created_at)`,
+    `CREATE TABLE IF NOT EXISTS listing_edit_tokens (
+      token_hash TEXT PRIMARY KEY,
+      listing_id TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      revoked_at BIGINT
+    )`,
+    `CREATE INDEX IF NOT EXISTS listing_edit_tokens_listing_idx ON listing_edit_tokens (listing_id)`,
+  ];
+
   // Lazily ensure schema once per cold start
   let initPromise = null;
   const ensureInit = async () => {
     if (!initPromise) {
-      initPromise = pool
-        .query(
-          `CREATE TABLE IF NOT EXISTS orders (
-            id TEXT PRIMARY KEY,
-            amount INTEGER,
-            currency TEXT,
-            seller_account_id TEXT,
-            status TEXT,
-            created_at BIGINT
-          )`
-        )
-        .catch((err) => {
-          console.error("[db] Failed to initialize database", err);
-          throw err;
-        });
+      initPromise = (async () => {
+        for (const sql of SCHEMA) await pool.query(sql);
+      })().catch((err) => {
+        console.error("[db] Failed to initialize database", err);
+        initPromise = null;
+        throw err;
+      });
     }
     return initPromise;
   };
 
   return {
-    async createOrder({ id, amount, currency, sellerAccountId, status, createdAt }) {
+    async createOrder({ id, createdAt, details, ...fields }) {
       await ensureInit();
+      const cols = { id, ...orderColumns(fields), details: JSON.stringify(details || {}), created_at: createdAt, updated_at: createdAt };
+      const names = Object.keys(cols);
       await pool.query(
-        "INSERT INTO orders (id, amount, currency, seller_account_id, status, created_at) VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (id) DO NOTHING",
-        [id, amount, currency, sellerAccountId || null, status, createdAt]
+        `INSERT INTO orders (${names.join(", ")}) VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")}) ON CONFLICT (id) DO NOTHING`,
+        names.map((n) => (cols[n] === undefined ? null : cols[n]))
       );
     },
     async getOrder(id) {
       await ensureInit();
       const res = await pool.query("SELECT * FROM orders WHERE id = $1", [id]);
-      return res.rows[0] || null;
+      return parseDetails(res.rows[0]);
+    },
+    async getOrderByPaymentIntent(paymentIntentId) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM orders WHERE payment_intent_id = $1", [paymentIntentId]);
+      return parseDetails(res.rows[0]);
+    },
+    async listOrdersBySeller(sellerEmail, limit = 100) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT * FROM orders WHERE seller_email = $1 ORDER BY created_at DESC LIMIT $2",
+        [sellerEmail, limit]
+      );
+      return res.rows.map(parseDetails);
     },
     async updateOrderStatus(id, status) {
       await ensureInit();
       await pool.query("UPDATE orders SET status = $1 WHERE id = $2", [status, id]);
     },
+    // Patch columns and shallow-merge `details`; resolves to the updated row
+    async updateOrder(id, { details, updatedAt, ...fields }) {
+      await ensureInit();
+      const cols = { ...orderColumns(fields), updated_at: updatedAt };
+      const names = Object.keys(cols);
+      const params = [id, ...names.map((n) => cols[n])];
+      let sets = names.map((n, i) => `${n} = $${i + 2}`);
+      if (details && Object.keys(details).length) {
+        params.push(JSON.stringify(details));
+        sets.push(`details = (COALESCE(NULLIF(details, ''), '{}')::jsonb || $${params.length}::jsonb)::text`);
+      }
+      const res = await pool.query(`UPDATE orders SET ${sets.join(", ")} WHERE id = $1 RETURNING *`, params);
+      return parseDetails(res.rows[0]);
+    },
+    async appendOrderEvent({ orderId, type, actor, status, data, createdAt }) {
+      await ensureInit();
+      await pool.query(
+        "INSERT INTO order_events (order_id, type, actor, status, data, created_at) VALUES ($1, $2, $3, $4, $5, $6)",
+        [orderId, type, actor || null, status || null, JSON.stringify(data || {}), createdAt]
+      );
+    },
+    async listOrderEvents(orderId) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM order_events WHERE order_id = $1 ORDER BY id ASC", [orderId]);
+      return res.rows.map((r) => ({ ...r, data: JSON.parse(r.data || "{}") }));
+    },
+
+    // ---- Reservations (inventory holds) ----
+    // Inserts the hold only if `available` (listing remaining) still covers it once
+    // active holds are subtracted. Serialized per listing with an advisory lock.
+    async createHold({ id, listingId, qty, available, expiresAt, now }) {
+      await ensureInit();
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [String(listingId)]);
+        const held = await client.query(
+          `SELECT COALESCE(SUM(qty), 0)::int AS held FROM reservations
+            WHERE listing_id = $1 AND status = 'held' AND expires_at > $2`,
+          [String(listingId), now]
+        );
+        const heldQty = held.rows[0]?.held || 0;
+        if (heldQty + qty > available) {
+          await client.query("ROLLBACK");
+          return { ok: false, held: heldQty };
+        }
+        await client.query(
+          `INSERT INTO reservations (id, listing_id, qty, status, expires_at, created_at, updated_at)
+            VALUES ($1, $2, $3, 'held', $4, $5, $5)`,
+          [id, String(listingId), qty, expiresAt, now]
+        );
+        await client.query("COMMIT");
+        return { ok: true, held: heldQty + qty };
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    async getHold(id) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM reservations WHERE id = $1", [id]);
+      return res.rows[0] || null;
+    },
+    async attachHoldSession(id, sessionId) {
+      await ensureInit();
+      await pool.query("UPDATE reservations SET session_id = $1 WHERE id = $2", [sessionId, id]);
+    },
+    // Moves a hold between states; only rows currently in one of `from` change.
+    // Resolves true when a row was updated.
+    async setHoldStatus(id, status, from, now) {
+      await ensureInit();
+      const res = await pool.query(
+        "UPDATE reservations SET status = $1, updated_at = $2 WHERE id = $3 AND status = ANY($4)",
+        [status, now, id, from]
+      );
+      return res.rowCount > 0;
+    },
+    async heldQuantity(listingId, now) {
+      await ensureInit();
+      const res = await pool.query(
+        `SELECT COALESCE(SUM(qty), 0)::int AS held FROM reservations
+          WHERE listing_id = $1 AND status = 'held' AND expires_at > $2`,
+        [String(listingId), now]
+      );
+      return res.rows[0]?.held || 0;
+    },
+    async listActiveHolds(listingId, now) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT * FROM reservations WHERE listing_id = $1 AND status = 'held' AND expires_at > $2",
+        [String(listingId), now]
+      );
+      return res.rows;
+    },
+
+    // ---- Inventory ledger (one row per PaymentIntent + kind: "sale" | "restock") ----
+    // Resolves true only for the first caller; later callers see the existing row.
+    async claimInventoryEntry({ paymentIntentId, kind, listingId, qty, now }) {
+      await ensureInit();
+      const res = await pool.query(
+        `INSERT INTO inventory_ledger (payment_intent_id, kind, listing_id, qty, status, created_at)
+          VALUES ($1, $2, $3, $4, 'pending', $5) ON CONFLICT DO NOTHING`,
+        [paymentIntentId, kind, String(listingId), qty, now]
+      );
+      return res.rowCount > 0;
+    },
+    async completeInventoryEntry(paymentIntentId, kind, { qty, seats }) {
+      await ensureInit();
+      await pool.query(
+        "UPDATE inventory_ledger SET status = 'applied', qty = $1, seats = $2 WHERE payment_intent_id = $3 AND kind = $4",
+        [qty, JSON.stringify(seats || []), paymentIntentId, kind]
+      );
+    },
+    async deleteInventoryEntry(paymentIntentId, kind) {
+      await ensureInit();
+      await pool.query("DELETE FROM inventory_ledger WHERE payment_intent_id = $1 AND kind = $2", [
+        paymentIntentId,
+        kind,
+      ]);
+    },
+    async getInventoryEntry(paymentIntentId, kind) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT * FROM inventory_ledger WHERE payment_intent_id = $1 AND kind = $2",
+        [paymentIntentId, kind]
+      );
+      const row = res.rows[0];
+      return row ? { ...row, seats: JSON.parse(row.seats || "[]") } : null;
+    },
+
+    // ---- Seller Connect accounts (mirrored from account.updated) ----
+    async getConnectAccount(accountId) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM connect_accounts WHERE account_id = $1", [accountId]);
+      return parseConnectAccount(res.rows[0]);
+    },
+    async upsertConnectAccount({ accountId, chargesEnabled, payoutsEnabled, detailsSubmitted, capabilities, requirementsDue, disabledReason, updatedAt }) {
+      await ensureInit();
+      await pool.query(
+        `INSERT INTO connect_accounts
+          (account_id, charges_enabled, payouts_enabled, details_submitted, capabilities, requirements_due, disabled_reason, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (account_id) DO UPDATE SET
+            charges_enabled = EXCLUDED.charges_enabled,
+            payouts_enabled = EXCLUDED.payouts_enabled,
+            details_submitted = EXCLUDED.details_submitted,
+            capabilities = EXCLUDED.capabilities,
+            requirements_due = EXCLUDED.requirements_due,
+            disabled_reason = EXCLUDED.disabled_reason,
+            updated_at = EXCLUDED.updated_at`,
+        [
+          accountId,
+          !!chargesEnabled,
+          !!payoutsEnabled,
+          !!detailsSubmitted,
+          JSON.stringify(capabilities || {}),
+          JSON.stringify(requirementsDue || []),
+          disabledReason || null,
+          updatedAt,
+        ]
+      );
+    },
+
+    // ---- Stripe webhook event log (one row per event id) ----
+    // Resolves true only when this call inserted the row.
+    async insertWebhookEvent({ id, type, payload, now }) {
+      await ensureInit();
+      const res = await pool.query(
+        `INSERT INTO webhook_events (id, type, status, attempts, payload, created_at, updated_at)
+          VALUES ($1, $2, 'processing', 1, $3, $4, $4) ON CONFLICT DO NOTHING`,
+        [id, type, JSON.stringify(payload), now]
+      );
+      return res.rowCount > 0;
+    },
+    // Take a failed (or stale processing) event for another attempt; `force` also retakes processed ones.
+    async claimWebhookEvent(id, { now, staleBefore, force = false }) {
+      await ensureInit();
+      const res = await pool.query(
+        `UPDATE webhook_events SET status = 'processing', attempts = attempts + 1, updated_at = $2
+          WHERE id = $1 AND (status = 'failed' OR (status = 'processing' AND updated_at < $3)
+            OR ($4 AND status = 'processed'))
+          RETURNING *`,
+        [id, now, staleBefore, force]
+      );
+      return parseWebhookEvent(res.rows[0]);
+    },
+    async finishWebhookEvent(id, { status, error, now }) {
+      await ensureInit();
+      await pool.query("UPDATE webhook_events SET status = $2, last_error = $3, updated_at = $4 WHERE id = $1", [
+        id,
+        status,
+        error || null,
+        now,
+      ]);
+    },
+    async getWebhookEvent(id) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM webhook_events WHERE id = $1", [id]);
+      return parseWebhookEvent(res.rows[0]);
+    },
+    async listWebhookEvents({ status, limit }) {
+      await ensureInit();
+      const res = status
+        ? await pool.query("SELECT * FROM webhook_events WHERE status = $1 ORDER BY created_at LIMIT $2", [status, limit])
+        : await pool.query("SELECT * FROM webhook_events ORDER BY created_at DESC LIMIT $1", [limit]);
+      return res.rows.map(parseWebhookEvent);
+    },
+
+    // ---- Promo codes ----
+    // Resolves false when the code already exists.
+    async createPromoCode({ code, kind, value, currency, eventId, group, startsAt, expiresAt, maxRedemptions, maxPerBuyer, note, now }) {
+      await ensureInit();
+      const res = await pool.query(
+        `INSERT INTO promo_codes
+          (code, kind, value, currency, event_id, group_name, starts_at, expires_at, max_redemptions, max_per_buyer, active, note, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, TRUE, $11, $12, $12) ON CONFLICT DO NOTHING`,
+        [code, kind, value, currency, eventId, group, startsAt, expiresAt, maxRedemptions, maxPerBuyer, note, now]
+      );
+      return res.rowCount > 0;
+    },
+    async getPromoCode(code) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM promo_codes WHERE code = $1", [code]);
+      return res.rows[0] || null;
+    },
+    async listPromoCodes() {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM promo_codes ORDER BY created_at DESC");
+      return res.rows;
+    },
+    // Only `active`, `expiresAt` and `maxRedemptions` can change after creation.
+    async updatePromoCode(code, { active, expiresAt, maxRedemptions, now }) {
+      await ensureInit();
+      const res = await pool.query(
+        `UPDATE promo_codes SET
+            active = COALESCE($2, active),
+            expires_at = CASE WHEN $3::boolean THEN $4 ELSE expires_at END,
+            max_redemptions = CASE WHEN $5::boolean THEN $6 ELSE max_redemptions END,
+            updated_at = $7
+          WHERE code = $1 RETURNING *`,
+        [
+          code,
+          active ?? null,
+          expiresAt !== undefined,
+          expiresAt ?? null,
+          maxRedemptions !== undefined,
+          maxRedemptions ?? null,
+          now,
+        ]
+      );
+      return res.rows[0] || null;
+    },
+    // Reserve one use of a code; usage = redeemed + unexpired reserved rows.
+    // Resolves { ok: true } or { ok: false, reason: "exhausted" | "buyer_limit" }.
+    async reservePromoRedemption({ id, code, buyerEmail, discountCents, maxRedemptions, maxPerBuyer, expiresAt, now }) {
+      await ensureInit();
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`promo:${code}`]);
+        const used = await client.query(
+          `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE buyer_email = $3)::int AS by_buyer
+            FROM promo_redemptions
+            WHERE code = $1 AND (status = 'redeemed' OR (status = 'reserved' AND expires_at > $2))`,
+          [code, now, buyerEmail || ""]
+        );
+        const { total, by_buyer: byBuyer } = used.rows[0];
+        const reason =
+          maxRedemptions !== null && total >= maxRedemptions
+            ? "exhausted"
+            : buyerEmail && maxPerBuyer !== null && byBuyer >= maxPerBuyer
+              ? "buyer_limit"
+              : null;
+        if (reason) {
+          await client.query("ROLLBACK");
+          return { ok: false, reason };
+        }
+        await client.query(
+          `INSERT INTO promo_redemptions (id, code, buyer_email, discount_cents, status, expires_at, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, 'reserved', $5, $6, $6)`,
+          [id, code, buyerEmail || null, discountCents, expiresAt, now]
+        );
+        await client.query("COMMIT");
+        return { ok: true };
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    async attachPromoRedemption(id, { sessionId, paymentIntentId }) {
+      await ensureInit();
+      await pool.query(
+        `UPDATE promo_redemptions SET session_id = COALESCE($2, session_id),
+            payment_intent_id = COALESCE($3, payment_intent_id) WHERE id = $1`,
+        [id, sessionId || null, paymentIntentId || null]
+      );
+    },
+    // Same contract as setHoldStatus.
+    async setPromoRedemptionStatus(id, status, from, now) {
+      await ensureInit();
+      const res = await pool.query(
+        "UPDATE promo_redemptions SET status = $1, updated_at = $2 WHERE id = $3 AND status = ANY($4)",
+        [status, now, id, from]
+      );
+      return res.rowCount > 0;
+    },
+    async promoUsage(code, now) {
+      await ensureInit();
+      const res = await pool.query(
+        `SELECT COUNT(*) FILTER (WHERE status = 'redeemed')::int AS redeemed,
+            COUNT(*) FILTER (WHERE status = 'reserved' AND expires_at > $2)::int AS reserved
+          FROM promo_redemptions WHERE code = $1`,
+        [code, now]
+      );
+      return res.rows[0];
+    },
+
+    // ---- Escrow reminders (one row per PaymentIntent + kind, so each goes out once) ----
+    // Resolves true only for the first caller.
+    async claimReminder({ paymentIntentId, kind, recipient, now }) {
+      await ensureInit();
+      const res = await pool.query(
+        `INSERT INTO reminders (payment_intent_id, kind, recipient, created_at)
+          VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`,
+        [paymentIntentId, kind, recipient, now]
+      );
+      return res.rowCount > 0;
+    },
+    async deleteReminder(paymentIntentId, kind) {
+      await ensureInit();
+      await pool.query("DELETE FROM reminders WHERE payment_intent_id = $1 AND kind = $2", [paymentIntentId, kind]);
+    },
+    async listReminders(paymentIntentId) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT * FROM reminders WHERE payment_intent_id = $1 ORDER BY created_at",
+        [paymentIntentId]
+      );
+      return res.rows;
+    },
+
+    // ---- Deadline extension requests ----
+    async createExtension({ id, paymentIntentId, sessionId, proposedBy, deadline, reason, tokenHash, expiresAt, now }) {
+      await ensureInit();
+      await pool.query(
+        `INSERT INTO deadline_extensions
+            (id, payment_intent_id, session_id, proposed_by, deadline, reason, token_hash, status, expires_at, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8, $9, $9)`,
+        [id, paymentIntentId, sessionId || null, proposedBy, deadline, reason || null, tokenHash, expiresAt, now]
+      );
+    },
+    async getExtension(id) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM deadline_extensions WHERE id = $1", [id]);
+      return res.rows[0] || null;
+    },
+    async listExtensions(paymentIntentId) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT * FROM deadline_extensions WHERE payment_intent_id = $1 ORDER BY created_at",
+        [paymentIntentId]
+      );
+      return res.rows;
+    },
+    // Same contract as setHoldStatus.
+    async setExtensionStatus(id, status, from, now) {
+      await ensureInit();
+      const res = await pool.query(
+        "UPDATE deadline_extensions SET status = $1, updated_at = $2 WHERE id = $3 AND status = ANY($4)",
+        [status, now, id, from]
+      );
+      return res.rowCount > 0;
+    },
+
+    // ---- Event cancellations (bulk cancel/refund jobs + one row per order handled) ----
+    async createEventCancellation({ id, scopeKey, eventId, listingIds, reason, now }) {
+      await ensureInit();
+      await pool.query(
+        `INSERT INTO event_cancellations (id, scope_key, event_id, listing_ids, reason, status, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, 'running', $6, $6)`,
+        [id, scopeKey, eventId || null, JSON.stringify(listingIds), reason || null, now]
+      );
+    },
+    async getEventCancellation(id) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM event_cancellations WHERE id = $1", [id]);
+      const row = res.rows[0];
+      return row ? { ...row, listing_ids: JSON.parse(row.listing_ids || "[]") } : null;
+    },
+    // The unfinished job for a scope, if any (so a second start resumes it)
+    async findRunningEventCancellation(scopeKey) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT id FROM event_cancellations WHERE scope_key = $1 AND status = 'running' ORDER BY created_at DESC LIMIT 1",
+        [scopeKey]
+      );
+      return res.rows[0] ? this.getEventCancellation(res.rows[0].id) : null;
+    },
+    async finishEventCancellation(id, { status, now }) {
+      await ensureInit();
+      await pool.query(
+        "UPDATE event_cancellations SET status = $1, updated_at = $2, finished_at = $2 WHERE id = $3",
+        [status, now, id]
+      );
+    },
+    async upsertEventCancellationOrder({ jobId, paymentIntentId, listingId, action, status, amount, error, now }) {
+      await ensureInit();
+      await pool.query(
+        `INSERT INTO event_cancellation_orders (job_id, payment_intent_id, listing_id, action, status, amount, error, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (job_id, payment_intent_id) DO UPDATE SET
+            action = EXCLUDED.action, status = EXCLUDED.status, amount = EXCLUDED.amount,
+            error = EXCLUDED.error, updated_at = EXCLUDED.updated_at`,
+        [jobId, paymentIntentId, listingId || null, action, status, amount ?? null, error || null, now]
+      );
+    },
+    async listEventCancellationOrders(jobId) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT * FROM event_cancellation_orders WHERE job_id = $1 ORDER BY updated_at",
+        [jobId]
+      );
+      return res.rows;
+    },
+    // ---- Sellers (magic-link login; one Connect account per seller email) ----
+    async createLoginToken({ tokenHash, email, expiresAt, now }) {
+      await ensureInit();
+      await pool.query(
+        "INSERT INTO seller_login_tokens (token_hash, email, expires_at, created_at) VALUES ($1, $2, $3, $4)",
+        [tokenHash, email, expiresAt, now]
+      );
+    },
+    // Marks the token used; resolves its row only for the first caller before expiry
+    async consumeLoginToken(tokenHash, now) {
+      await ensureInit();
+      const res = await pool.query(
+        `UPDATE seller_login_tokens SET used_at = $2
+          WHERE token_hash = $1 AND used_at IS NULL AND expires_at > $2 RETURNING *`,
+        [tokenHash, now]
+      );
+      return res.rows[0] || null;
+    },
+    async countLoginTokens(email, since) {
+      await ensureInit();
+      const res = await pool.query(
+        "SELECT COUNT(*)::int AS n FROM seller_login_tokens WHERE email = $1 AND created_at >= $2",
+        [email, since]
+      );
+      return res.rows[0]?.n || 0;
+    },
+    async getSeller(email) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM sellers WHERE email = $1", [email]);
+      return res.rows[0] || null;
+    },
+    async recordSellerLogin(email, now) {
+      await ensureInit();
+      const res = await pool.query(
+        `INSERT INTO sellers (email, created_at, updated_at, last_login_at) VALUES ($1, $2, $2, $2)
+          ON CONFLICT (email) DO UPDATE SET last_login_at = EXCLUDED.last_login_at, updated_at = EXCLUDED.updated_at
+          RETURNING *`,
+        [email, now]
+      );
+      return res.rows[0];
+    },
+    // Links a Connect account once; resolves the seller row (whose account may be an earlier one)
+    async setSellerConnectAccount(email, accountId, now) {
+      await ensureInit();
+      await pool.query(
+        `INSERT INTO sellers (email, connect_account_id, created_at, updated_at) VALUES ($1, $2, $3, $3)
+          ON CONFLICT (email) DO UPDATE SET connect_account_id = EXCLUDED.connect_account_id, updated_at = EXCLUDED.updated_at
+          WHERE sellers.connect_account_id IS NULL`,
+        [email, accountId, now]
+      );
+      return this.getSeller(email);
+    },
+    // Fee tier (lib/fees.js schedules); null clears it. Resolves the seller row
+    async setSellerTier(email, tier, now) {
+      await ensureInit();
+      const res = await pool.query(
+        `INSERT INTO sellers (email, tier, created_at, updated_at) VALUES ($1, $2, $3, $3)
+          ON CONFLICT (email) DO UPDATE SET tier = EXCLUDED.tier, updated_at = EXCLUDED.updated_at
+          RETURNING *`,
+        [email, tier, now]
+      );
+      return res.rows[0];
+    },
+    // ---- Listing edit tokens (manage links; only the hash is stored) ----
+    async createListingToken({ tokenHash, listingId, now }) {
+      await ensureInit();
+      await pool.query(
+        "INSERT INTO listing_edit_tokens (token_hash, listing_id, created_at) VALUES ($1, $2, $3) ON CONFLICT (token_hash) DO NOTHING",
+        [tokenHash, String(listingId), now]
+      );
+    },
+    async getListingToken(tokenHash) {
+      await ensureInit();
+      const res = await pool.query("SELECT * FROM listing_edit_tokens WHERE token_hash = $1", [tokenHash]);
+      return res.rows[0] || null;
+    },
+    // Resolves how many live tokens were revoked
+    async revokeListingTokens(listingId, now) {
+      await ensureInit();
+      const res = await pool.query(
+        "UPDATE listing_edit_tokens SET revoked_at = $2 WHERE listing_id = $1 AND revoked_at IS NULL",
+        [String(listingId), now]
+      );
+      return res.rowCount;
+    },
   };
 }
 
 function initMemory() {
   console.warn("[db] No DATABASE_URL set. Using in-memory store (non-persistent).");
   const mem = new Map();
+  const events = new Map();
+  let eventSeq = 0;
+  const holds = new Map();
+  const ledger = new Map();
+  const ledgerKey = (piId, kind) => `${piId}:${kind}`;
+  const accounts = new Map();
+  const webhookEvents = new Map();
+  const promos = new Map();
+  const redemptions = new Map();
+  const reminders = new Map();
+  const extensions = new Map();
+  const cancellations = new Map();
+  const cancellationOrders = new Map();
+  const sellers = new Map();
+  const loginTokens = new Map();
+  const listingTokens = new Map();
+  const activeHeld = (listingId, now) => {
+    let held = 0;
+    for (const h of holds.values()) {
+      if (h.listing_id !== String(listingId)) continue;
+      if (h.status === "held" && h.expires_at > now) held += h.qty;
+    }
+    return held;
+  };
   return {
-    async createOrder(row) {
-      mem.set(row.id, { ...row });
+    async createOrder({ id, createdAt, details, ...fields }) {
+      if (mem.has(id)) return;
+      mem.set(id, { id, ...orderColumns(fields), details: { ...(details || {}) }, created_at: createdAt, updated_at: createdAt });
     },
     async getOrder(id) {
-      return mem.get(id) || null;
+      const row = mem.get(id);
+      return row ? { ...row, details: { ...row.details } } : null;
+    },
+    async getOrderByPaymentIntent(paymentIntentId) {
+      for (const row of mem.values()) {
+        if (row.payment_intent_id === paymentIntentId) return { ...row, details: { ...row.details } };
+      }
+      return null;
+    },
+    async listOrdersBySeller(sellerEmail, limit = 100) {
+      return [...mem.values()]
+        .filter((row) => row.seller_email === sellerEmail)
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, limit)
+        .map((row) => ({ ...row, details: { ...row.details } }));
     },
     async updateOrderStatus(id, status) {
       const row = mem.get(id);
@@ -77,6 +849,386 @@ function initMemory() {
         mem.set(id, row);
       }
     },
+    async updateOrder(id, { details, updatedAt, ...fields }) {
+      const row = mem.get(id);
+      if (!row) return null;
+      Object.assign(row, orderColumns(fields), { updated_at: updatedAt });
+      if (details) row.details = { ...row.details, ...details };
+      return { ...row, details: { ...row.details } };
+    },
+    async appendOrderEvent({ orderId, type, actor, status, data, createdAt }) {
+      const list = events.get(orderId) || [];
+      list.push({ id: ++eventSeq, order_id: orderId, type, actor: actor || null, status: status || null, data: data || {}, created_at: createdAt });
+      events.set(orderId, list);
+    },
+    async listOrderEvents(orderId) {
+      return (events.get(orderId) || []).map((e) => ({ ...e }));
+    },
+
+    // ---- Reservations (inventory holds) ----
+    async createHold({ id, listingId, qty, available, expiresAt, now }) {
+      const held = activeHeld(listingId, now);
+      if (held + qty > available) return { ok: false, held };
+      holds.set(id, {
+        id,
+        listing_id: String(listingId),
+        qty,
+        status: "held",
+        session_id: null,
+        expires_at: expiresAt,
+        created_at: now,
+        updated_at: now,
+      });
+      return { ok: true, held: held + qty };
+    },
+    async getHold(id) {
+      return holds.get(id) || null;
+    },
+    async attachHoldSession(id, sessionId) {
+      const h = holds.get(id);
+      if (h) h.session_id = sessionId;
+    },
+    async setHoldStatus(id, status, from, now) {
+      const h = holds.get(id);
+      if (!h || !from.includes(h.status)) return false;
+      h.status = status;
+      h.updated_at = now;
+      return true;
+    },
+    async heldQuantity(listingId, now) {
+      return activeHeld(listingId, now);
+    },
+    async listActiveHolds(listingId, now) {
+      return [...holds.values()]
+        .filter((h) => h.listing_id === String(listingId) && h.status === "held" && h.expires_at > now)
+        .map((h) => ({ ...h }));
+    },
+
+    // ---- Inventory ledger ----
+    async claimInventoryEntry({ paymentIntentId, kind, listingId, qty, now }) {
+      const key = ledgerKey(paymentIntentId, kind);
+      if (ledger.has(key)) return false;
+      ledger.set(key, {
+        payment_intent_id: paymentIntentId,
+        kind,
+        listing_id: String(listingId),
+        qty,
+        seats: [],
+        status: "pending",
+        created_at: now,
+      });
+      return true;
+    },
+    async completeInventoryEntry(paymentIntentId, kind, { qty, seats }) {
+      const row = ledger.get(ledgerKey(paymentIntentId, kind));
+      if (row) Object.assign(row, { status: "applied", qty, seats: seats || [] });
+    },
+    async deleteInventoryEntry(paymentIntentId, kind) {
+      ledger.delete(ledgerKey(paymentIntentId, kind));
+    },
+    async getInventoryEntry(paymentIntentId, kind) {
+      const row = ledger.get(ledgerKey(paymentIntentId, kind));
+      return row ? { ...row } : null;
+    },
+
+    // ---- Seller Connect accounts ----
+    async getConnectAccount(accountId) {
+      const row = accounts.get(accountId);
+      return row ? { ...row } : null;
+    },
+    async upsertConnectAccount({ accountId, chargesEnabled, payoutsEnabled, detailsSubmitted, capabilities, requirementsDue, disabledReason, updatedAt }) {
+      accounts.set(accountId, {
+        account_id: accountId,
+        charges_enabled: !!chargesEnabled,
+        payouts_enabled: !!payoutsEnabled,
+        details_submitted: !!detailsSubmitted,
+        capabilities: { ...(capabilities || {}) },
+        requirements_due: [...(requirementsDue || [])],
+        disabled_reason: disabledReason || null,
+        updated_at: updatedAt,
+      });
+    },
+
+    // ---- Stripe webhook event log ----
+    async insertWebhookEvent({ id, type, payload, now }) {
+      if (webhookEvents.has(id)) return false;
+      webhookEvents.set(id, {
+        id,
+        type,
+        status: "processing",
+        attempts: 1,
+        last_error: null,
+        payload,
+        created_at: now,
+        updated_at: now,
+      });
+      return true;
+    },
+    async claimWebhookEvent(id, { now, staleBefore, force = false }) {
+      const row = webhookEvents.get(id);
+      if (!row) return null;
+      const claimable =
+        row.status === "failed" ||
+        (row.status === "processing" && row.updated_at < staleBefore) ||
+        (force && row.status === "processed");
+      if (!claimable) return null;
+      Object.assign(row, { status: "processing", attempts: row.attempts + 1, updated_at: now });
+      return { ...row };
+    },
+    async finishWebhookEvent(id, { status, error, now }) {
+      const row = webhookEvents.get(id);
+      if (row) Object.assign(row, { status, last_error: error || null, updated_at: now });
+    },
+    async getWebhookEvent(id) {
+      const row = webhookEvents.get(id);
+      return row ? { ...row } : null;
+    },
+    async listWebhookEvents({ status, limit }) {
+      const rows = [...webhookEvents.values()];
+      const picked = status
+        ? rows.filter((r) => r.status === status).sort((a, b) => a.created_at - b.created_at)
+        : rows.sort((a, b) => b.created_at - a.created_at);
+      return picked.slice(0, limit).map((r) => ({ ...r }));
+    },
+
+    // ---- Promo codes ----
+    async createPromoCode({ code, kind, value, currency, eventId, group, startsAt, expiresAt, maxRedemptions, maxPerBuyer, note, now }) {
+      if (promos.has(code)) return false;
+      promos.set(code, {
+        code,
+        kind,
+        value,
+        currency,
+        event_id: eventId,
+        group_name: group,
+        starts_at: startsAt,
+        expires_at: expiresAt,
+        max_redemptions: maxRedemptions,
+        max_per_buyer: maxPerBuyer,
+        active: true,
+        note,
+        created_at: now,
+        updated_at: now,
+      });
+      return true;
+    },
+    async getPromoCode(code) {
+      const row = promos.get(code);
+      return row ? { ...row } : null;
+    },
+    async listPromoCodes() {
+      return [...promos.values()].sort((a, b) => b.created_at - a.created_at).map((r) => ({ ...r }));
+    },
+    async updatePromoCode(code, { active, expiresAt, maxRedemptions, now }) {
+      const row = promos.get(code);
+      if (!row) return null;
+      if (active !== undefined && active !== null) row.active = active;
+      if (expiresAt !== undefined) row.expires_at = expiresAt;
+      if (maxRedemptions !== undefined) row.max_redemptions = maxRedemptions;
+      row.updated_at = now;
+      return { ...row };
+    },
+    async reservePromoRedemption({ id, code, buyerEmail, discountCents, maxRedemptions, maxPerBuyer, expiresAt, now }) {
+      const live = [...redemptions.values()].filter(
+        (r) => r.code === code && (r.status === "redeemed" || (r.status === "reserved" && r.expires_at > now))
+      );
+      if (maxRedemptions !== null && live.length >= maxRedemptions) return { ok: false, reason: "exhausted" };
+      const byBuyer = live.filter((r) => buyerEmail && r.buyer_email === buyerEmail).length;
+      if (buyerEmail && maxPerBuyer !== null && byBuyer >= maxPerBuyer) return { ok: false, reason: "buyer_limit" };
+      redemptions.set(id, {
+        id,
+        code,
+        buyer_email: buyerEmail || null,
+        session_id: null,
+        payment_intent_id: null,
+        discount_cents: discountCents,
+        status: "reserved",
+        expires_at: expiresAt,
+        created_at: now,
+        updated_at: now,
+      });
+      return { ok: true };
+    },
+    async attachPromoRedemption(id, { sessionId, paymentIntentId }) {
+      const r = redemptions.get(id);
+      if (!r) return;
+      if (sessionId) r.session_id = sessionId;
+      if (paymentIntentId) r.payment_intent_id = paymentIntentId;
+    },
+    async setPromoRedemptionStatus(id, status, from, now) {
+      const r = redemptions.get(id);
+      if (!r || !from.includes(r.status)) return false;
+      r.status = status;
+      r.updated_at = now;
+      return true;
+    },
+    async promoUsage(code, now) {
+      let redeemed = 0;
+      let reserved = 0;
+      for (const r of redemptions.values()) {
+        if (r.code !== code) continue;
+        if (r.status === "redeemed") redeemed++;
+        else if (r.status === "reserved" && r.expires_at > now) reserved++;
+      }
+      return { redeemed, reserved };
+    },
+
+    // ---- Escrow reminders ----
+    async claimReminder({ paymentIntentId, kind, recipient, now }) {
+      const key = ledgerKey(paymentIntentId, kind);
+      if (reminders.has(key)) return false;
+      reminders.set(key, { payment_intent_id: paymentIntentId, kind, recipient, created_at: now });
+      return true;
+    },
+    async deleteReminder(paymentIntentId, kind) {
+      reminders.delete(ledgerKey(paymentIntentId, kind));
+    },
+    async listReminders(paymentIntentId) {
+      return [...reminders.values()]
+        .filter((r) => r.payment_intent_id === paymentIntentId)
+        .sort((a, b) => a.created_at - b.created_at)
+        .map((r) => ({ ...r }));
+    },
+
+    // ---- Deadline extension requests ----
+    async createExtension({ id, paymentIntentId, sessionId, proposedBy, deadline, reason, tokenHash, expiresAt, now }) {
+      extensions.set(id, {
+        id,
+        payment_intent_id: paymentIntentId,
+        session_id: sessionId || null,
+        proposed_by: proposedBy,
+        deadline,
+        reason: reason || null,
+        token_hash: tokenHash,
+        status: "pending",
+        expires_at: expiresAt,
+        created_at: now,
+        updated_at: now,
+      });
+    },
+    async getExtension(id) {
+      const row = extensions.get(id);
+      return row ? { ...row } : null;
+    },
+    async listExtensions(paymentIntentId) {
+      return [...extensions.values()]
+        .filter((r) => r.payment_intent_id === paymentIntentId)
+        .sort((a, b) => a.created_at - b.created_at)
+        .map((r) => ({ ...r }));
+    },
+    async setExtensionStatus(id, status, from, now) {
+      const row = extensions.get(id);
+      if (!row || !from.includes(row.status)) return false;
+      row.status = status;
+      row.updated_at = now;
+      return true;
+    },
+
+    // ---- Event cancellations ----
+    async createEventCancellation({ id, scopeKey, eventId, listingIds, reason, now }) {
+      cancellations.set(id, {
+        id,
+        scope_key: scopeKey,
+        event_id: eventId || null,
+        listing_ids: [...listingIds],
+        reason: reason || null,
+        status: "running",
+        created_at: now,
+        updated_at: now,
+        finished_at: null,
+      });
+    },
+    async getEventCancellation(id) {
+      const row = cancellations.get(id);
+      return row ? { ...row, listing_ids: [...row.listing_ids] } : null;
+    },
+    async findRunningEventCancellation(scopeKey) {
+      const found = [...cancellations.values()]
+        .filter((r) => r.scope_key === scopeKey && r.status === "running")
+        .sort((a, b) => b.created_at - a.created_at)[0];
+      return found ? this.getEventCancellation(found.id) : null;
+    },
+    async finishEventCancellation(id, { status, now }) {
+      const row = cancellations.get(id);
+      if (!row) return;
+      row.status = status;
+      row.updated_at = now;
+      row.finished_at = now;
+    },
+    async upsertEventCancellationOrder({ jobId, paymentIntentId, listingId, action, status, amount, error, now }) {
+      cancellationOrders.set(ledgerKey(jobId, paymentIntentId), {
+        job_id: jobId,
+        payment_intent_id: paymentIntentId,
+        listing_id: listingId || null,
+        action,
+        status,
+        amount: amount ?? null,
+        error: error || null,
+        updated_at: now,
+      });
+    },
+    async listEventCancellationOrders(jobId) {
+      return [...cancellationOrders.values()]
+        .filter((r) => r.job_id === jobId)
+        .sort((a, b) => a.updated_at - b.updated_at)
+        .map((r) => ({ ...r }));
+    },
+    // ---- Sellers ----
+    async createLoginToken({ tokenHash, email, expiresAt, now }) {
+      loginTokens.set(tokenHash, { token_hash: tokenHash, email, expires_at: expiresAt, used_at: null, created_at: now });
+    },
+    async consumeLoginToken(tokenHash, now) {
+      const row = loginTokens.get(tokenHash);
+      if (!row || row.used_at || row.expires_at <= now) return null;
+      row.used_at = now;
+      return { ...row };
+    },
+    async countLoginTokens(email, since) {
+      let n = 0;
+      for (const row of loginTokens.values()) if (row.email === email && row.created_at >= since) n++;
+      return n;
+    },
+    async getSeller(email) {
+      const row = sellers.get(email);
+      return row ? { ...row } : null;
+    },
+    async recordSellerLogin(email, now) {
+      const row = sellers.get(email) || { email, connect_account_id: null, created_at: now };
+      Object.assign(row, { updated_at: now, last_login_at: now });
+      sellers.set(email, row);
+      return { ...row };
+    },
+    async setSellerConnectAccount(email, accountId, now) {
+      const row = sellers.get(email) || { email, connect_account_id: null, created_at: now, last_login_at: null };
+      if (!row.connect_account_id) Object.assign(row, { connect_account_id: accountId, updated_at: now });
+      sellers.set(email, row);
+      return { ...row };
+    },
+    async setSellerTier(email, tier, now) {
+      const row = sellers.get(email) || { email, connect_account_id: null, created_at: now, last_login_at: null };
+      Object.assign(row, { tier, updated_at: now });
+      sellers.set(email, row);
+      return { ...row };
+    },
+    // ---- Listing edit tokens ----
+    async createListingToken({ tokenHash, listingId, now }) {
+      if (listingTokens.has(tokenHash)) return;
+      listingTokens.set(tokenHash, { token_hash: tokenHash, listing_id: String(listingId), created_at: now, revoked_at: null });
+    },
+    async getListingToken(tokenHash) {
+      const row = listingTokens.get(tokenHash);
+      return row ? { ...row } : null;
+    },
+    async revokeListingTokens(listingId, now) {
+      let n = 0;
+      for (const row of listingTokens.values()) {
+        if (row.listing_id === String(listingId) && !row.revoked_at) {
+          row.revoked_at = now;
+          n++;
+        }
+      }
+      return n;
+    },
   };
 }
 
@@ -0,0 +1,192 @@
+// lib/action-tokens.js (ESM, serverless-safe)
+//
+// Signed, role-bound links for escrow actions. Knowing a Checkout Session id is
+// not enough to move money: each endpoint checks a token for its own action.
+//   buyer-confirm     -> api/confirm-received.js, api/capture-order.js
+//   buyer-cancel      -> api/cancel-order.js
+//   buyer-report      -> api/report-issue.js
+//   buyer-extend      -> api/deadline-extension.js (proposing; a seller uses their session)
+//   seller-mark-sent  -> api/mark-sent.js (a signed-in seller session also works)
+// Token = <base64url({ v, act, sid, pi, exp })>.<base64url(HMAC-SHA256)>, signed
+// with ACTION_TOKEN_SECRET (required in production; local dev falls back to a
+// per-process key). Tokens are stateless, so the same link can be minted
+// again for a reminder; the order state machine still decides whether the action
+// is allowed. When the webhook sees a completed checkout the buyer and seller are
+// each emailed their links once (claimed in db.js `reminders`).
+
+import crypto from "crypto";
+import db from "../db.js";
+import { recordOrderEvent, ORDER_EVENTS } from "./orders.js";
+import { ACTORS } from "./order-state.js";
+import { sendEmail, appUrl } from "./notify.js";
+
+export const ACTIONS = Object.freeze({
+  BUYER_CONFIRM: "buyer-confirm",
+  BUYER_CANCEL: "buyer-cancel",
+  BUYER_REPORT: "buyer-report",
+  BUYER_EXTEND: "buyer-extend",
+  SELLER_MARK_SENT: "seller-mark-sent",
+});
+
+const ROLE_ACTIONS = Object.freeze({
+  [ACTORS.BUYER]: [ACTIONS.BUYER_CONFIRM, ACTIONS.BUYER_CANCEL, ACTIONS.BUYER_REPORT, ACTIONS.BUYER_EXTEND],
+  [ACTORS.SELLER]: [ACTIONS.SELLER_MARK_SENT],
+});
+
+// Outlives the longest escrow (auth window + agreed extensions)
+export const ACTION_LINK_DAYS = Number(process.env.ACTION_LINK_DAYS ?? 45);
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production" || process.env.VERCEL_ENV === "production";
+
+const SECRET =
+  process.env.ACTION_TOKEN_SECRET ||
+  (() => {
+    // Every instance / cold start would sign with its own key and reject the others' links
+    if (IS_PRODUCTION) throw new Error("ACTION_TOKEN_SECRET must be set in production");
+    console.warn("[action-tokens] ACTION_TOKEN_SECRET not set; using a per-process secret (local dev only)");
+    return crypto.randomBytes(32).toString("hex");
+  })();
+
+export class ActionTokenError extends Error {
+  constructor(message, { statusCode = 403 } = {}) {
+    super(message);
+    this.name = "ActionTokenError";
+    this.statusCode = statusCode;
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+const sign = (payload) => crypto.createHmac("sha256", SECRET).update(payload).digest("base64url");
+
+/**
+ * The role an action belongs to ("buyer" | "seller"), or null.
+ */
+export const roleOf = (action) =>
+  Object.keys(ROLE_ACTIONS).find((role) => ROLE_ACTIONS[role].includes(action)) || null;
+
+/**
+ * Mint a token for one action on one order.
+ */
+export function issueActionToken({ action, sessionId, paymentIntentId, now = nowSecs() }) {
+  if (!roleOf(action)) throw new Error(`Unknown action: ${action}`);
+  const payload = Buffer.from(
+    JSON.stringify({ v: 1, act: action, sid: String(sessionId || ""), pi: String(paymentIntentId || ""), exp: now + ACTION_LINK_DAYS * 86400 })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * The token a request carries: X-Action-Token header or `token` in the body / fields.
+ */
+export function actionTokenFrom(req, fields = req.body) {
+  const header = req.headers?.["x-action-token"];
+  return String((Array.isArray(header) ? header[0] : header) || fields?.token || "") || null;
+}
+
+/**
+ * Check a token for `action` on the given order (by Checkout Session and/or
+ * PaymentIntent id). Resolves the payload; throws ActionTokenError (401 when
+ * missing, 403 when invalid, expired, for another action or another order).
+ */
+export function verifyActionToken(token, { action, sessionId, paymentIntentId }) {
+  if (!token) throw new ActionTokenError("This action needs the link from your order email", { statusCode: 401 });
+  const [payload, sig] = String(token).split(".");
+  const a = Buffer.from(sig || "");
+  const b = Buffer.from(payload ? sign(payload) : "");
+  if (!payload || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    throw new ActionTokenError("Invalid action link");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new ActionTokenError("Invalid action link");
+  }
+  if (!(Number(claims.exp) > nowSecs())) throw new ActionTokenError("This action link has expired");
+  if (claims.act !== action) {
+    throw new ActionTokenError(`This link is for ${claims.act}, not ${action}`);
+  }
+  if ((sessionId && claims.sid !== String(sessionId)) || (paymentIntentId && claims.pi !== String(paymentIntentId))) {
+    throw new ActionTokenError("This action link is for a different order");
+  }
+  return claims;
+}
+
+/**
+ * Where an action link lands: the order page with the action preselected.
+ */
+export function actionUrl(action, { sessionId, paymentIntentId }) {
+  const token = issueActionToken({ action, sessionId, paymentIntentId });
+  const page = roleOf(action) === ACTORS.BUYER ? "success=1&" : "";
+  return appUrl(`/?${page}sid=${encodeURIComponent(sessionId)}&action=${action}&token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Lines listing a role's action links (or just `actions`) for an email body.
+ */
+export function actionLinkLines(role, order, actions = ROLE_ACTIONS[role]) {
+  const labels = {
+    [ACTIONS.BUYER_CONFIRM]: "Tickets arrived – confirm receipt",
+    [ACTIONS.BUYER_REPORT]: "Something's wrong – report an issue",
+    [ACTIONS.BUYER_CANCEL]: "Cancel before the seller sends",
+    [ACTIONS.BUYER_EXTEND]: "Need more time – ask the seller for a later deadline",
+    [ACTIONS.SELLER_MARK_SENT]: "Mark tickets sent",
+  };
+  return actions.flatMap((action) => [`${labels[action]}:`, actionUrl(action, order), ""]);
+}
+
+/**
+ * Email the buyer and seller their action links for a new order, once each.
+ * Best-effort: a failed send gives the claim back so a webhook retry tries again.
+ */
+export async function sendActionLinks({ sessionId, paymentIntentId, meta = {} }) {
+  const order = { sessionId, paymentIntentId };
+  const what = meta.group ? ` for ${meta.group}` : "";
+  const emails = [
+    {
+      role: ACTORS.BUYER,
+      to: meta.buyerEmail,
+      subject: `FEP: Your order${what} – payment held in escrow`,
+      intro: [
+        `Thanks for your order${what}. Your payment is held in escrow until you confirm the tickets arrived.`,
+        "Keep these links private: they act on your order without a login.",
+      ],
+    },
+    {
+      role: ACTORS.SELLER,
+      to: meta.sellerEmail,
+      subject: `FEP: New order${what} – send the tickets`,
+      intro: [
+        `You sold ${meta.qty || "?"} ticket(s)${what}. Transfer them to the buyer, then mark them sent.`,
+        "You're paid once the buyer confirms (or the confirmation window ends).",
+      ],
+    },
+  ];
+
+  for (const email of emails) {
+    if (!email.to) continue;
+    const kind = `links:${email.role}`;
+    try {
+      if (!(await db.claimReminder({ paymentIntentId, kind, recipient: email.to, now: nowSecs() }))) continue;
+      const sent = await sendEmail({
+        to: email.to,
+        subject: email.subject,
+        text: [...email.intro, "", ...actionLinkLines(email.role, order), `Order: ${paymentIntentId}`].join("\n"),
+      });
+      if (!sent) {
+        await db.deleteReminder(paymentIntentId, kind);
+        continue;
+      }
+      await recordOrderEvent({
+        sessionId,
+        paymentIntentId,
+        type: ORDER_EVENTS.ACTION_LINKS_SENT,
+        actor: ACTORS.WEBHOOK,
+        data: { role: email.role },
+      });
+    } catch (e) {
+      console.warn("[action-tokens] sending action links failed:", paymentIntentId, email.role, e?.message || e);
+    }
+  }
+}
@@ -0,0 +1,41 @@
+// lib/admin-auth.js (ESM, no deps)
+//
+// Shared-secret auth for admin and scheduler routes. The secret can come from
+// `Authorization: Bearer <secret>` or `?key=<secret>` (same as cron-auto-release).
+
+import crypto from "crypto";
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+
+/**
+ * The secret a caller presented, or "".
+ */
+export function providedSecret(req) {
+  const bearer = String(req.headers?.authorization || "").replace(/^Bearer\s+/i, "").trim();
+  const qsKey = String(req.query?.key || "");
+  return bearer || qsKey;
+}
+
+// Constant-time compare so the secret can't be probed byte by byte
+function secretMatches(provided, expected) {
+  if (!expected || !provided) return false;
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * True when the request carries `secret`.
+ */
+export function hasSecret(req, secret) {
+  return secretMatches(providedSecret(req), secret);
+}
+
+/**
+ * Gate an admin route. Sends 403 and resolves false when the caller isn't admin.
+ */
+export function requireAdmin(req, res) {
+  if (hasSecret(req, ADMIN_SECRET)) return true;
+  res.status(403).json({ error: "Forbidden – missing/invalid admin secret" });
+  return false;
+}
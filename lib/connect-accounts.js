@@ -0,0 +1,70 @@
+// lib/connect-accounts.js (ESM, serverless-safe)
+//
+// Local mirror of seller Stripe Connect accounts, kept current by the
+// account.updated webhook. Checkout reads it to stop selling for a seller whose
+// account can no longer take charges. An account we've never heard about is
+// treated as usable: the mirror only fills in once Stripe sends an update.
+
+import db from "../db.js";
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+// Fields compared to decide whether an update is worth an audit log line
+const TRACKED = ["charges_enabled", "payouts_enabled", "details_submitted", "disabled_reason"];
+
+function snapshot(account) {
+  const capabilities = {};
+  for (const [name, status] of Object.entries(account.capabilities || {})) capabilities[name] = status;
+  return {
+    charges_enabled: !!account.charges_enabled,
+    payouts_enabled: !!account.payouts_enabled,
+    details_submitted: !!account.details_submitted,
+    capabilities,
+    requirements_due: [...(account.requirements?.currently_due || [])],
+    disabled_reason: account.requirements?.disabled_reason || null,
+  };
+}
+
+/**
+ * Store the latest state of a Connect account (Stripe `account` object).
+ * Resolves { previous, current, changes } where `changes` lists every tracked
+ * field or capability whose value moved, as { field, from, to }.
+ */
+export async function recordAccountUpdate(account) {
+  const previous = await db.getConnectAccount(account.id);
+  const current = snapshot(account);
+
+  const changes = [];
+  for (const field of TRACKED) {
+    const from = previous ? previous[field] : null;
+    if (from !== current[field]) changes.push({ field, from, to: current[field] });
+  }
+  const names = new Set([...Object.keys(previous?.capabilities || {}), ...Object.keys(current.capabilities)]);
+  for (const name of names) {
+    const from = previous?.capabilities?.[name] ?? null;
+    const to = current.capabilities[name] ?? null;
+    if (from !== to) changes.push({ field: `capabilities.${name}`, from, to });
+  }
+
+  await db.upsertConnectAccount({
+    accountId: account.id,
+    chargesEnabled: current.charges_enabled,
+    payoutsEnabled: current.payouts_enabled,
+    detailsSubmitted: current.details_submitted,
+    capabilities: current.capabilities,
+    requirementsDue: current.requirements_due,
+    disabledReason: current.disabled_reason,
+    updatedAt: nowSecs(),
+  });
+
+  return { previous, current, changes };
+}
+
+/**
+ * False only when the mirrored account is known to have charges disabled.
+ */
+export async function canAcceptCharges(accountId) {
+  if (!accountId) return false;
+  const row = await db.getConnectAccount(accountId);
+  return row ? !!row.charges_enabled : true;
+}
@@ -0,0 +1,91 @@
+// lib/currency.js (ESM, no deps)
+//
+// Currencies we sell in. A listing is priced in its seller's currency (listing
+// `currency`, default usd) and checkout, fees, transfers and refunds all stay in
+// it. Amounts are handled in the currency's minor unit the way Stripe expects:
+// cents for usd/cad/eur, pence for gbp, whole yen for jpy (zero-decimal).
+
+export const DEFAULT_CURRENCY = "usd";
+
+// currency -> minor-unit digits + a locale for server-side formatting
+export const CURRENCIES = Object.freeze({
+  usd: { decimals: 2, locale: "en-US" },
+  cad: { decimals: 2, locale: "en-CA" },
+  gbp: { decimals: 2, locale: "en-GB" },
+  eur: { decimals: 2, locale: "de-DE" },
+  jpy: { decimals: 0, locale: "ja-JP" },
+});
+
+// Connect onboarding countries and the currency their sellers list in
+export const COUNTRY_CURRENCY = Object.freeze({
+  US: "usd",
+  CA: "cad",
+  GB: "gbp",
+  JP: "jpy",
+  AT: "eur", BE: "eur", DE: "eur", ES: "eur", FI: "eur", FR: "eur",
+  IE: "eur", IT: "eur", LU: "eur", NL: "eur", PT: "eur",
+});
+
+export class CurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CurrencyError";
+    this.statusCode = 400;
+  }
+}
+
+export const isSupportedCurrency = (c) => Object.prototype.hasOwnProperty.call(CURRENCIES, String(c || "").toLowerCase());
+
+/**
+ * Lowercase ISO code, DEFAULT_CURRENCY when empty. Throws CurrencyError when unsupported.
+ */
+export function normalizeCurrency(c) {
+  if (c === undefined || c === null || c === "") return DEFAULT_CURRENCY;
+  const code = String(c).trim().toLowerCase();
+  if (!isSupportedCurrency(code)) {
+    throw new CurrencyError(`Unsupported currency '${c}' (supported: ${Object.keys(CURRENCIES).join(", ")})`);
+  }
+  return code;
+}
+
+export const minorDigits = (currency) => CURRENCIES[currency]?.decimals ?? 2;
+
+/**
+ * Major units (a listing's price, e.g. 120.5) -> Stripe minor units. null when not a number.
+ */
+export function toMinor(amount, currency = DEFAULT_CURRENCY) {
+  const num = Number(amount);
+  if (!Number.isFinite(num)) return null;
+  return Math.round(num * 10 ** minorDigits(currency));
+}
+
+export const fromMinor = (minor, currency = DEFAULT_CURRENCY) => Number(minor) / 10 ** minorDigits(currency);
+
+/**
+ * Locale-aware display string for a minor-unit amount ("$12.50", "£9.00", "¥1,500", "12,50 €").
+ * `locale` defaults to the currency's home locale.
+ */
+export function formatMoney(minor, currency = DEFAULT_CURRENCY, locale) {
+  const code = isSupportedCurrency(currency) ? String(currency).toLowerCase() : DEFAULT_CURRENCY;
+  try {
+    return new Intl.NumberFormat(locale || CURRENCIES[code].locale, {
+      style: "currency",
+      currency: code.toUpperCase(),
+    }).format(fromMinor(minor, code));
+  } catch {
+    // Unknown locale tag from a client – fall back to the currency's own locale
+    return new Intl.NumberFormat(CURRENCIES[code].locale, { style: "currency", currency: code.toUpperCase() })
+      .format(fromMinor(minor, code));
+  }
+}
+
+/**
+ * Locale to format for: ?locale=, else the first Accept-Language tag, else none
+ * (formatMoney then uses the currency's locale).
+ */
+export function requestLocale(req) {
+  const fromQuery = String(req.query?.locale || "").trim();
+  if (fromQuery) return fromQuery;
+  const header = String(req.headers?.["accept-language"] || "").split(",")[0].split(";")[0].trim();
+  return header && header !== "*" ? header : undefined;
+}
@@ -0,0 +1,173 @@
+// lib/deadlines.js (ESM, no deps)
+//
+// Escrow confirm-deadline helpers. The deadline lives in PaymentIntent metadata
+// as `fep_confirm_deadline` (unix seconds); cron-auto-release only acts on
+// intents that have one. Freezing clears it and remembers how much time was
+// left, so an order that goes back to normal can resume where it paused.
+// All helpers return a metadata patch to spread into the PI update.
+//
+// Where the deadline sits comes from the event, not just the authorization:
+//   - confirm until DEADLINE_AFTER_EVENT_HOURS (24h) after the show, and
+//   - at least DEADLINE_AFTER_SENT_HOURS (72h) after the seller last marked tickets sent;
+//   - with neither known, ESCROW_HOURS (72h) after authorization.
+// The latest applicable one wins, and nothing is ever set past the card
+// authorization's validity (less AUTH_EXPIRY_MARGIN_HOURS) – an uncaptured
+// authorization can't be released to the seller once it lapses.
+// Related metadata: fep_event_at, fep_auth_expires_at, fep_deadline_policy.
+// Orders still in escrow when their authorization nears expiry are captured and
+// held on the platform (lib/escrow.js holdOnPlatform); from then on the auth
+// limit no longer applies.
+
+const HOUR = 3600;
+export const ESCROW_HOURS = Number(process.env.ESCROW_HOURS ?? 72);
+export const DEADLINE_AFTER_EVENT_HOURS = Number(process.env.DEADLINE_AFTER_EVENT_HOURS ?? 24);
+export const DEADLINE_AFTER_SENT_HOURS = Number(process.env.DEADLINE_AFTER_SENT_HOURS ?? 72);
+// Online card authorizations last 7 days unless the charge says otherwise
+export const AUTH_VALIDITY_DAYS = Number(process.env.AUTH_VALIDITY_DAYS ?? 7);
+export const AUTH_EXPIRY_MARGIN_HOURS = Number(process.env.AUTH_EXPIRY_MARGIN_HOURS ?? 12);
+// The cron secures an authorization this long before it lapses
+export const AUTH_GUARD_HOURS = Number(process.env.AUTH_GUARD_HOURS ?? 36);
+
+export const DEADLINE_POLICIES = Object.freeze({
+  AUTHORIZATION: "authorization", // ESCROW_HOURS after authorization
+  EVENT: "event",                 // DEADLINE_AFTER_EVENT_HOURS after the show
+  SENT: "sent",                   // DEADLINE_AFTER_SENT_HOURS after mark-sent
+  AUTH_LIMIT: "auth_limit",       // clamped to the authorization's validity
+  ADMIN: "admin",                 // set by hand (admin/resolve-order)
+  AGREED: "agreed",               // extension agreed by buyer and seller (lib/extensions.js)
+});
+
+/**
+ * When the show starts (unix seconds), from a listing's `eventAt` or `date`, or null.
+ * A bare date ("2026-11-20") counts as the end of that day (UTC) so the clock
+ * never starts before the show could have happened.
+ */
+export function eventTimeOf(listing) {
+  const raw = listing?.eventAt ?? listing?.date;
+  if (raw === undefined || raw === null || String(raw).trim() === "") return null;
+  if (Number.isFinite(Number(raw))) return Math.floor(Number(raw));
+  const text = String(raw).trim();
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59Z` : text);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+/**
+ * When an authorization stops being capturable (unix seconds): the charge's
+ * `capture_before` when Stripe gives one, else authorization + AUTH_VALIDITY_DAYS.
+ * null once the funds are captured and held on the platform.
+ */
+export function authExpiryOf(pi) {
+  if (pi?.metadata?.fep_funds_held === "1") return null;
+  const charge = typeof pi?.latest_charge === "object" ? pi.latest_charge : null;
+  const captureBefore = Number(charge?.payment_method_details?.card?.capture_before || 0);
+  if (captureBefore > 0) return captureBefore;
+  const storedExpiry = Number(pi?.metadata?.fep_auth_expires_at || 0);
+  if (storedExpiry > 0) return storedExpiry;
+  const authorizedAt = Number(charge?.created || pi?.created || 0) || Math.floor(Date.now() / 1000);
+  return authorizedAt + AUTH_VALIDITY_DAYS * 24 * HOUR;
+}
+
+/**
+ * Confirm deadline for an order. Input (unix seconds): { authorizedAt, eventAt,
+ * sentAt, authExpiresAt, current } – `current` is the deadline already set; a
+ * recalculation never moves it earlier. Resolves { deadline, policy }.
+ */
+export function computeConfirmDeadline({ authorizedAt, eventAt, sentAt, authExpiresAt, current } = {}) {
+  const candidates = [];
+  if (eventAt > 0) candidates.push([eventAt + DEADLINE_AFTER_EVENT_HOURS * HOUR, DEADLINE_POLICIES.EVENT]);
+  if (sentAt > 0) candidates.push([sentAt + DEADLINE_AFTER_SENT_HOURS * HOUR, DEADLINE_POLICIES.SENT]);
+  if (!candidates.length) {
+    candidates.push([(authorizedAt || Math.floor(Date.now() / 1000)) + ESCROW_HOURS * HOUR, DEADLINE_POLICIES.AUTHORIZATION]);
+  }
+  let [deadline, policy] = candidates.reduce((a, b) => (b[0] > a[0] ? b : a));
+  if (current > deadline) deadline = current;
+
+  const limit = authLimit(authExpiresAt);
+  if (limit && deadline > limit) {
+    deadline = limit;
+    policy = DEADLINE_POLICIES.AUTH_LIMIT;
+  }
+  return { deadline, policy };
+}
+
+// Latest moment a deadline may sit for an authorization expiring at `authExpiresAt`
+function authLimit(authExpiresAt) {
+  return authExpiresAt > 0 ? authExpiresAt - AUTH_EXPIRY_MARGIN_HOURS * HOUR : null;
+}
+
+/**
+ * Metadata patch that (re)computes an order's deadline from its metadata
+ * (fep_event_at, fep_sent_at, fep_auth_expires_at). `sentAt` overrides the first
+ * send time (mark-sent passes the latest one). Frozen orders are left alone.
+ */
+export function recalcDeadline(meta, { authorizedAt, authExpiresAt, sentAt } = {}) {
+  if (isDeadlineFrozen(meta)) return {};
+  const expires = authExpiresAt || Number(meta?.fep_auth_expires_at || 0) || null;
+  const { deadline, policy } = computeConfirmDeadline({
+    authorizedAt,
+    eventAt: Number(meta?.fep_event_at || 0),
+    sentAt: sentAt || Number(meta?.fep_sent_at || 0),
+    authExpiresAt: expires,
+    current: Number(meta?.fep_confirm_deadline || 0),
+  });
+  return {
+    fep_confirm_deadline: String(deadline),
+    fep_deadline_policy: policy,
+    ...(expires ? { fep_auth_expires_at: String(expires) } : {}),
+  };
+}
+
+/**
+ * Clamp a deadline someone asked for (admin or agreed extension, resume) to the authorization's validity.
+ */
+export function clampToAuth(deadline, meta) {
+  const limit = authLimit(Number(meta?.fep_auth_expires_at || 0));
+  return limit && deadline > limit ? limit : deadline;
+}
+
+/**
+ * Stop the clock (issue reported, hold, dispute).
+ */
+export function freezeDeadline(meta, now) {
+  if (meta?.fep_deadline_frozen_at) return {}; // already frozen
+  const deadline = Number(meta?.fep_confirm_deadline || 0);
+  const remaining = deadline > now ? deadline - now : 0;
+  return {
+    fep_confirm_deadline: "",
+    fep_deadline_frozen_at: String(now),
+    fep_frozen_remaining_secs: String(remaining),
+  };
+}
+
+/**
+ * Restart the clock with the time that was left (at least `minSecs`).
+ */
+export function resumeDeadline(meta, now, minSecs = 24 * 3600) {
+  if (!meta?.fep_deadline_frozen_at) return {};
+  const remaining = Math.max(Number(meta.fep_frozen_remaining_secs || 0), minSecs);
+  return {
+    fep_confirm_deadline: String(clampToAuth(now + remaining, meta)),
+    fep_deadline_frozen_at: "",
+    fep_frozen_remaining_secs: "",
+  };
+}
+
+export const isDeadlineFrozen = (meta) => !!meta?.fep_deadline_frozen_at;
+
+/**
+ * How close an uncaptured authorization is to lapsing:
+ * { expires_at, seconds_left, at_risk (within AUTH_GUARD_HOURS), expired }.
+ */
+export function authRisk(pi, now) {
+  const expiresAt = authExpiryOf(pi);
+  if (!expiresAt || pi?.status !== "requires_capture") {
+    return { expires_at: expiresAt, seconds_left: null, at_risk: false, expired: false };
+  }
+  const secondsLeft = expiresAt - now;
+  return {
+    expires_at: expiresAt,
+    seconds_left: secondsLeft,
+    at_risk: secondsLeft <= AUTH_GUARD_HOURS * HOUR,
+    expired: secondsLeft <= 0,
+  };
+}
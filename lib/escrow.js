@@ -0,0 +1,361 @@
+// lib/escrow.js (ESM, serverless-safe)
+//
+// Money-moving escrow operations shared by buyer, seller, cron and admin routes.
+// Each one validates the move with the order state machine, talks to Stripe,
+// updates PaymentIntent metadata (`fep_status` + extras) and records an order event.
+// Routes keep their own request parsing, auth and response shapes.
+//
+// Card authorizations lapse after about a week. An order still in escrow by then
+// is captured early and held on the platform (holdOnPlatform): the destination
+// transfer is reversed, `fep_funds_held` is set and the order keeps its state.
+// releaseFunds / cancelAuthorization / refundPayment then pay out, refund or
+// reverse from the held funds instead of capturing or canceling.
+
+import Stripe from "stripe";
+import { recordOrderEvent, ORDER_EVENTS } from "./orders.js";
+import { stateOf, transition } from "./order-state.js";
+import { breakdownFromMeta } from "./fees.js";
+import { recalcDeadline } from "./deadlines.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+// Metadata writes after the money moved are best-effort; the webhook re-syncs fep_status
+async function updateMetadata(pi, patch) {
+  try {
+    await stripe.paymentIntents.update(pi.id, { metadata: { ...(pi.metadata || {}), ...patch } });
+  } catch (e) {
+    console.warn("[escrow] metadata update failed:", pi.id, e?.message || e);
+  }
+}
+
+/**
+ * Captured early and held on the platform because the authorization was about to lapse.
+ */
+export const isFundsHeld = (pi) => pi?.status === "succeeded" && pi?.metadata?.fep_funds_held === "1";
+
+/**
+ * Buyer's money is still in escrow: authorized, or captured and held on the platform.
+ */
+export const inEscrow = (pi) => pi?.status === "requires_capture" || isFundsHeld(pi);
+
+/**
+ * What's left in escrow (cents): the capturable amount, or the held balance.
+ */
+export function escrowAmount(pi) {
+  if (isFundsHeld(pi)) return Math.max(0, (pi.amount_received || 0) - Number(pi.metadata?.fep_refunded_cents || 0));
+  return pi?.amount_capturable || 0;
+}
+
+const chargeIdOf = (pi) => (typeof pi?.latest_charge === "object" ? pi.latest_charge?.id : pi?.latest_charge) || null;
+
+/**
+ * Capture an authorization before it lapses and keep the money on the platform
+ * until the order is released or refunded. The order's state doesn't change.
+ * Resolves to { captured, reversalId, warning }.
+ */
+export async function holdOnPlatform(pi, { actor, sessionId, data = {} }) {
+  const now = nowSecs();
+  const state = stateOf(pi);
+
+  // Flag first, so the payment_intent.succeeded webhook doesn't mistake this for a release
+  const flagged = { ...(pi.metadata || {}), fep_funds_held: "1", fep_funds_held_at: String(now) };
+  await stripe.paymentIntents.update(pi.id, { metadata: flagged });
+
+  let captured;
+  try {
+    captured = await stripe.paymentIntents.capture(
+      pi.id,
+      { expand: ["latest_charge"] },
+      { idempotencyKey: `hold-capture:${pi.id}` }
+    );
+  } catch (e) {
+    await updateMetadata(pi, { fep_funds_held: "", fep_funds_held_at: "" });
+    throw e;
+  }
+
+  // A destination charge just paid the seller; take it back until the order is released
+  let reversalId = null;
+  let warning = null;
+  const transferId = captured.latest_charge?.transfer || null;
+  if (pi.transfer_data?.destination && transferId) {
+    try {
+      const reversal = await stripe.transfers.createReversal(
+        transferId,
+        { metadata: { fep_reason: "auth_expiry_hold", payment_intent: pi.id } },
+        { idempotencyKey: `hold-reversal:${pi.id}` }
+      );
+      reversalId = reversal.id;
+    } catch (e) {
+      // Seller keeps the early payout; release won't pay twice and a refund reverses it
+      warning = e?.message || "Transfer reversal failed";
+      console.error("[escrow] hold reversal failed:", pi.id, warning);
+    }
+  }
+
+  // The auth limit is gone: the deadline goes back to the event/sent policy
+  const heldMeta = { ...flagged, fep_auth_expires_at: "" };
+  await updateMetadata({ ...pi, metadata: heldMeta }, {
+    ...recalcDeadline(heldMeta, { authorizedAt: pi.created }),
+    fep_held_reversal: reversalId || "",
+  });
+
+  await recordOrderEvent({
+    sessionId,
+    paymentIntentId: pi.id,
+    type: ORDER_EVENTS.FUNDS_HELD,
+    actor,
+    status: state,
+    data: { ...data, amount_captured: captured.amount_received, reversal_id: reversalId, reversal_warning: warning },
+  });
+
+  return { captured, reversalId, warning };
+}
+
+/**
+ * Capture an authorized PaymentIntent (optionally partially) and pay the seller.
+ * Resolves to { captured, next, chargeId, payout }.
+ */
+export async function releaseFunds(pi, {
+  action,
+  actor,
+  eventType,
+  sessionId,
+  idempotencyKey = `${action}:${pi.id}`,
+  amountToCapture,
+  applicationFeeAmount,
+  payoutCents,
+  extraMeta = {},
+  data = {},
+}) {
+  const next = transition(stateOf(pi), action, actor);
+  const now = nowSecs();
+  const held = isFundsHeld(pi);
+
+  let captured;
+  if (held) {
+    // Already captured when the authorization was about to lapse: give back what isn't kept
+    const balance = escrowAmount(pi);
+    const keep = Number.isFinite(amountToCapture) ? Math.min(balance, Math.floor(amountToCapture)) : balance;
+    if (balance - keep > 0) {
+      await stripe.refunds.create(
+        { payment_intent: pi.id, amount: balance - keep, metadata: { fep_action: action } },
+        { idempotencyKey: `${idempotencyKey}:refund` }
+      );
+    }
+    captured = { ...pi, amount_captured: keep };
+  } else {
+    const params = {};
+    if (Number.isFinite(amountToCapture)) params.amount_to_capture = Math.floor(amountToCapture);
+    if (Number.isFinite(applicationFeeAmount)) params.application_fee_amount = Math.floor(applicationFeeAmount);
+
+    // ---- Capture funds (idempotent) ----
+    captured = await stripe.paymentIntents.capture(pi.id, params, { idempotencyKey });
+  }
+
+  // ---- Compute payout from the fee breakdown stored at checkout ----
+  const md = { ...(pi.metadata || {}) };
+  const fees = breakdownFromMeta(md);
+  const sellerAccountId = String(md.sellerAccountId || "");
+  // Partial captures pass their own payout; the breakdown covers the full order
+  const totalPayoutCents = Number.isFinite(payoutCents)
+    ? Math.max(0, Math.floor(payoutCents))
+    : fees.seller_payout;
+
+  // Last charge id to use as source_transaction (charge must be captured)
+  const chargeId = captured?.charges?.data?.[0]?.id || chargeIdOf(pi);
+
+  // Destination charges pay the seller on capture (amount minus application fee);
+  // only older separate-charge intents, and held funds whose automatic transfer
+  // was reversed, need a transfer from us
+  const isDestinationCharge = !!pi.transfer_data?.destination;
+  const needsTransfer = !isDestinationCharge || (held && !!md.fep_held_reversal);
+
+  // Try transfer, but don't fail the whole operation if it errors
+  let transferResult = null;
+  let transferWarning = null;
+
+  if (needsTransfer && sellerAccountId && totalPayoutCents > 0 && chargeId) {
+    try {
+      transferResult = await stripe.transfers.create({
+        amount: totalPayoutCents,
+        currency: captured.currency || fees.currency,
+        destination: sellerAccountId,
+        source_transaction: chargeId,
+        transfer_group: held ? `fep:${pi.id}` : undefined,
+        metadata: {
+          listingId: md.listingId || "",
+          reason: `FEP payout (${action})`,
+          qty: String(fees.qty),
+          fee_schedule: `${fees.schedule}@${fees.schedule_version}`,
+          seller_fee_per_ticket_cents: String(fees.seller_fee_per_ticket),
+        },
+      });
+    } catch (e) {
+      // Common reasons: destination not enabled for transfers, or not connected
+      transferWarning = e?.message || "Transfer failed";
+      // We still continue – funds are captured to the platform; you can reconcile later.
+    }
+  }
+
+  await updateMetadata(pi, {
+    ...extraMeta,
+    fep_status: next,
+    fep_captured_at: held ? md.fep_captured_at || md.fep_funds_held_at || String(now) : String(now),
+    ...(held ? { fep_funds_held: "", fep_released_at: String(now), fep_payout_transfer: transferResult?.id || "" } : {}),
+  });
+
+  const payout = {
+    destination: sellerAccountId || null,
+    method: needsTransfer ? "transfer" : "destination_charge",
+    total_payout_cents: totalPayoutCents,
+    transfer_id: transferResult?.id || null,
+    warning: transferWarning || null,
+  };
+
+  await recordOrderEvent({
+    sessionId,
+    paymentIntentId: pi.id,
+    type: eventType,
+    actor,
+    status: next,
+    data: {
+      ...data,
+      amount_captured: captured.amount_captured,
+      payout_cents: totalPayoutCents,
+      transfer_id: payout.transfer_id,
+      transfer_warning: transferWarning,
+    },
+  });
+
+  return { captured, next, chargeId, payout };
+}
+
+/**
+ * Cancel an uncaptured authorization (buyer is never charged).
+ * Resolves to { canceled, next }.
+ */
+export async function cancelAuthorization(pi, {
+  action,
+  actor,
+  eventType,
+  sessionId,
+  idempotencyKey = `${action}:${pi.id}`,
+  cancellationReason = "requested_by_customer",
+  extraMeta = {},
+  data = {},
+}) {
+  const next = transition(stateOf(pi), action, actor);
+  const now = nowSecs();
+
+  // Held funds were already captured: refund them instead (taking back an early payout if any)
+  if (isFundsHeld(pi)) {
+    const reverse = !!pi.transfer_data?.destination && !pi.metadata?.fep_held_reversal;
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: pi.id,
+        amount: escrowAmount(pi),
+        ...(reverse ? { reverse_transfer: true, refund_application_fee: true } : {}),
+        metadata: { fep_action: action },
+      },
+      { idempotencyKey }
+    );
+    await updateMetadata(pi, {
+      ...extraMeta,
+      fep_status: next,
+      fep_canceled_at: String(now),
+      fep_funds_held: "",
+      fep_refunded_cents: String(Number(pi.metadata?.fep_refunded_cents || 0) + refund.amount),
+      fep_refunded_at: String(now),
+    });
+    await recordOrderEvent({
+      sessionId,
+      paymentIntentId: pi.id,
+      type: eventType,
+      actor,
+      status: next,
+      data: { ...data, refund_id: refund.id, amount_refunded: refund.amount, funds_held: true },
+    });
+    return { canceled: null, refund, next };
+  }
+
+  const canceled = await stripe.paymentIntents.cancel(
+    pi.id,
+    { cancellation_reason: cancellationReason },
+    { idempotencyKey }
+  );
+
+  await updateMetadata(pi, { ...extraMeta, fep_status: next, fep_canceled_at: String(now) });
+  await recordOrderEvent({ sessionId, paymentIntentId: pi.id, type: eventType, actor, status: next, data });
+
+  return { canceled, next };
+}
+
+/**
+ * Refund a captured PaymentIntent (all of it when `amount` is omitted).
+ * For destination charges the seller's transfer and our application fee are
+ * reversed proportionally, so the connected account gives back its share.
+ * Resolves to { refund, next }.
+ */
+export async function refundPayment(pi, {
+  action,
+  actor,
+  eventType,
+  sessionId,
+  amount,
+  idempotencyKey = `${action}:${pi.id}:${amount ?? "full"}`,
+  extraMeta = {},
+  data = {},
+}) {
+  const next = transition(stateOf(pi), action, actor);
+  const md = pi.metadata || {};
+  // After a hold the automatic transfer is already reversed; the payout went out
+  // as its own transfer, which is reversed here in proportion instead
+  const heldPayout = !!md.fep_held_reversal;
+  const isDestinationCharge = !!pi.transfer_data?.destination && !heldPayout;
+
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: pi.id,
+      ...(Number.isFinite(amount) ? { amount: Math.floor(amount) } : {}),
+      ...(isDestinationCharge ? { reverse_transfer: true, refund_application_fee: true } : {}),
+      metadata: { fep_action: action },
+    },
+    { idempotencyKey }
+  );
+
+  if (heldPayout && md.fep_payout_transfer) {
+    try {
+      const payout = breakdownFromMeta(md).seller_payout;
+      const share = Math.round((payout * refund.amount) / Math.max(1, pi.amount_received || 0));
+      if (share > 0) {
+        await stripe.transfers.createReversal(
+          md.fep_payout_transfer,
+          { amount: share, metadata: { fep_action: action, refund_id: refund.id } },
+          { idempotencyKey: `${idempotencyKey}:reversal` }
+        );
+      }
+    } catch (e) {
+      console.error("[escrow] payout reversal failed:", pi.id, e?.message || e);
+    }
+  }
+
+  const refundedTotal = Number(pi.metadata?.fep_refunded_cents || 0) + refund.amount;
+  await updateMetadata(pi, {
+    ...extraMeta,
+    fep_status: next,
+    fep_refunded_cents: String(refundedTotal),
+    fep_refunded_at: String(nowSecs()),
+  });
+  await recordOrderEvent({
+    sessionId,
+    paymentIntentId: pi.id,
+    type: eventType,
+    actor,
+    status: next,
+    data: { ...data, refund_id: refund.id, amount_refunded: refund.amount, refunded_total: refundedTotal },
+  });
+
+  return { refund, next };
+}
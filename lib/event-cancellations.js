@@ -0,0 +1,263 @@
+// lib/event-cancellations.js (ESM, serverless-safe)
+//
+// Cancel or refund every order for a canceled / postponed event in one admin
+// operation (api/admin/cancel-event.js). A job covers an event's listings (by
+// `eventId`) or an explicit set of listing ids and runs in batches:
+//   1. its listings are marked inactive and open Checkout Sessions expired, so
+//      nothing new sells;
+//   2. every FEP PaymentIntent per listing is found with the same
+//      metadata['fep'] search cron-auto-release uses, then
+//        - in escrow (authorized or held)  -> authorization canceled (held funds refunded)
+//        - captured                        -> refunded, seller transfer + our fee reversed
+//        - disputed                        -> left for an admin (the card network decides)
+//        - already canceled / refunded     -> skipped
+//   3. buyer and seller are emailed about each order.
+// Each batch stops after `maxOps` money moves. Handled orders are recorded in
+// db.js `event_cancellation_orders`, so calling again resumes where it stopped
+// and retries failures; the job is "completed" once a full pass needs nothing.
+// Stripe search lags writes by up to a minute, so a very recent order may only
+// show up on a later batch.
+
+import crypto from "crypto";
+import Stripe from "stripe";
+import db from "../db.js";
+import { ORDER_EVENTS } from "./orders.js";
+import { stateOf, ACTORS, ORDER_STATES } from "./order-state.js";
+import { cancelAuthorization, refundPayment, inEscrow, isFundsHeld, escrowAmount } from "./escrow.js";
+import { getListing, listListingsForEvent, updateListingWhere } from "./listings-store.js";
+import { activeHolds } from "./reservations.js";
+import { sendEmail } from "./notify.js";
+import { formatMoney } from "./currency.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+// Same default cap as cron-auto-release
+export const DEFAULT_MAX_OPS = Number(process.env.CRON_MAX_OPS || 150);
+
+export const JOB_STATUS = Object.freeze({ RUNNING: "running", COMPLETED: "completed" });
+
+// Per-order outcomes; only "error" is retried on the next batch
+export const ORDER_OUTCOMES = Object.freeze({
+  CANCELED: "canceled",
+  REFUNDED: "refunded",
+  SKIPPED: "skipped",
+  ERROR: "error",
+});
+
+export class EventCancellationError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = "EventCancellationError";
+    this.statusCode = statusCode;
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+const quote = (v) => String(v).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+
+/**
+ * Start a job for { eventId } or { listingIds }, or pick up the unfinished one
+ * for the same scope. Resolves the job row.
+ */
+export async function startEventCancellation({ eventId, listingIds, reason }) {
+  const text = String(reason || "").trim();
+  if (!text) throw new EventCancellationError("A reason is required");
+  if (text.length > 500) throw new EventCancellationError("Reason must be 500 characters or less");
+
+  let ids;
+  if (eventId) {
+    ids = (await listListingsForEvent(String(eventId))).map((l) => String(l.id));
+    if (!ids.length) throw new EventCancellationError("No listings found for this event", { statusCode: 404 });
+  } else if (Array.isArray(listingIds) && listingIds.length) {
+    ids = [...new Set(listingIds.map(String).filter(Boolean))];
+  } else {
+    throw new EventCancellationError("Provide eventId or listingIds");
+  }
+  if (ids.length > 500) throw new EventCancellationError("At most 500 listings per job");
+
+  const scopeKey = eventId ? `event:${eventId}` : `listings:${[...ids].sort().join(",")}`;
+  const running = await db.findRunningEventCancellation(scopeKey);
+  if (running) return running;
+
+  const id = `evc_${crypto.randomUUID()}`;
+  await db.createEventCancellation({ id, scopeKey, eventId: eventId ? String(eventId) : null, listingIds: ids, reason: text, now: nowSecs() });
+  return db.getEventCancellation(id);
+}
+
+/**
+ * Progress report: the job plus per-outcome counts and the orders handled so far.
+ */
+export async function eventCancellationReport(jobId) {
+  const job = await db.getEventCancellation(String(jobId || ""));
+  if (!job) return null;
+  const orders = await db.listEventCancellationOrders(job.id);
+  const counts = Object.fromEntries(Object.values(ORDER_OUTCOMES).map((o) => [o, 0]));
+  let amount = 0;
+  for (const o of orders) {
+    counts[o.status] = (counts[o.status] || 0) + 1;
+    if (o.status === ORDER_OUTCOMES.CANCELED || o.status === ORDER_OUTCOMES.REFUNDED) amount += Number(o.amount || 0);
+  }
+  return {
+    job: {
+      id: job.id,
+      event_id: job.event_id,
+      listing_ids: job.listing_ids,
+      reason: job.reason,
+      status: job.status,
+      created_at: Number(job.created_at),
+      updated_at: Number(job.updated_at),
+      finished_at: Number(job.finished_at || 0) || null,
+    },
+    progress: { orders: orders.length, ...counts, amount_returned: amount },
+    orders,
+  };
+}
+
+// Take the listing off sale and close checkouts that could still complete
+async function closeListing(listingId) {
+  const listing = await getListing(listingId);
+  if (listing && listing.active !== false) await updateListingWhere(listingId, {}, { active: false });
+  for (const hold of await activeHolds(listingId)) {
+    if (!hold.session_id) continue;
+    try {
+      await stripe.checkout.sessions.expire(hold.session_id);
+    } catch (e) {
+      // Already completed or expired: the order search picks it up
+      console.warn("[event-cancel] session expire failed:", hold.session_id, e?.message || e);
+    }
+  }
+}
+
+// What the job does with one PaymentIntent, and how much goes back to the buyer
+function planFor(pi) {
+  const state = stateOf(pi);
+  if (inEscrow(pi)) return { action: "cancel", amount: escrowAmount(pi), held: isFundsHeld(pi) };
+  if (pi.status === "succeeded" && state === ORDER_STATES.CAPTURED) {
+    const left = (pi.amount_received || 0) - Number(pi.metadata?.fep_refunded_cents || 0);
+    return left > 0 ? { action: "refund", amount: left } : { action: "skip", reason: "already refunded" };
+  }
+  if (state === ORDER_STATES.DISPUTE) return { action: "skip", reason: "disputed – resolve by hand" };
+  // Checkout not finished: the session was expired, so it can't become an order
+  if (state === ORDER_STATES.PENDING) return { action: "wait" };
+  return { action: "skip", reason: `order is ${state}` };
+}
+
+async function notifyParties(pi, { action, amount, held, reason }) {
+  const meta = pi.metadata || {};
+  const what = meta.group || "the event";
+  const money = formatMoney(amount, pi.currency);
+  await Promise.all([
+    sendEmail({
+      to: meta.buyerEmail,
+      subject: `FEP: Your order for ${what} was ${action === "cancel" ? "canceled" : "refunded"}`,
+      text: [
+        `${what} has been canceled or postponed: ${reason}`,
+        "",
+        action === "cancel" && !held
+          ? "Your card authorization was released; you won't be charged."
+          : `We've refunded ${money} to your card. It can take 5–10 business days to appear.`,
+        "",
+        `Order: ${pi.id}`,
+      ].join("\n"),
+    }),
+    sendEmail({
+      to: meta.sellerEmail,
+      subject: `FEP: Order for ${what} ${action === "cancel" ? "canceled" : "refunded"} (event change)`,
+      text: [
+        `${what} has been canceled or postponed: ${reason}`,
+        "",
+        `Order ${pi.id} (${meta.qty || "?"} ticket(s)) was ${action === "cancel" ? "canceled" : "refunded to the buyer"}.`,
+        action === "refund" ? "Your payout for it has been reversed." : "No payout will be made for it.",
+        "Your listing has been taken off sale.",
+      ].join("\n"),
+    }),
+  ]);
+}
+
+/**
+ * Run one batch of a job: at most `maxOps` cancels/refunds. Resolves
+ * { ...eventCancellationReport, batch: { checked, canceled, refunded, skipped, errors, ops, capped }, done }.
+ */
+export async function runEventCancellation(jobId, { maxOps = DEFAULT_MAX_OPS } = {}) {
+  const job = await db.getEventCancellation(String(jobId || ""));
+  if (!job) throw new EventCancellationError("Event cancellation not found", { statusCode: 404 });
+  if (job.status === JOB_STATUS.COMPLETED) return { ...(await eventCancellationReport(job.id)), batch: null, done: true };
+
+  const handled = new Map((await db.listEventCancellationOrders(job.id)).map((o) => [o.payment_intent_id, o]));
+  const batch = { checked: 0, canceled: 0, refunded: 0, skipped: 0, errors: 0, ops: 0, capped: false };
+  const eventData = { event_cancellation: job.id, reason: job.reason };
+  const record = (pi, listingId, action, status, extra = {}) =>
+    db.upsertEventCancellationOrder({ jobId: job.id, paymentIntentId: pi.id, listingId, action, status, now: nowSecs(), ...extra });
+
+  for (const listingId of job.listing_ids) {
+    if (batch.ops >= maxOps) {
+      batch.capped = true;
+      break;
+    }
+    try {
+      await closeListing(listingId);
+    } catch (e) {
+      console.error("[event-cancel] closing listing failed:", listingId, e);
+      batch.errors++;
+    }
+
+    const query = `metadata['fep']:'1' AND metadata['listingId']:'${quote(listingId)}'`;
+    for await (const pi of stripe.paymentIntents.search({ query, limit: 100 })) {
+      if (batch.ops >= maxOps) {
+        batch.capped = true;
+        break;
+      }
+      const prior = handled.get(pi.id);
+      if (prior && prior.status !== ORDER_OUTCOMES.ERROR) continue;
+      batch.checked++;
+
+      const plan = planFor(pi);
+      if (plan.action === "wait") continue;
+      if (plan.action === "skip") {
+        batch.skipped++;
+        await record(pi, listingId, "skip", ORDER_OUTCOMES.SKIPPED, { error: plan.reason });
+        continue;
+      }
+
+      batch.ops++;
+      try {
+        if (plan.action === "cancel") {
+          await cancelAuthorization(pi, {
+            action: "admin_cancel",
+            actor: ACTORS.ADMIN,
+            eventType: ORDER_EVENTS.ADMIN_CANCELED,
+            idempotencyKey: `event-cancel:${pi.id}`,
+            cancellationReason: "requested_by_customer",
+            extraMeta: { fep_admin_action: "event_cancel", fep_admin_reason: job.reason, fep_admin_at: String(nowSecs()) },
+            data: eventData,
+          });
+          batch.canceled++;
+          await record(pi, listingId, "cancel", ORDER_OUTCOMES.CANCELED, { amount: plan.amount });
+        } else {
+          await refundPayment(pi, {
+            action: "admin_refund",
+            actor: ACTORS.ADMIN,
+            eventType: ORDER_EVENTS.ADMIN_REFUNDED,
+            amount: plan.amount,
+            idempotencyKey: `event-refund:${pi.id}:${plan.amount}`,
+            extraMeta: { fep_admin_action: "event_refund", fep_admin_reason: job.reason, fep_admin_at: String(nowSecs()) },
+            data: eventData,
+          });
+          batch.refunded++;
+          await record(pi, listingId, "refund", ORDER_OUTCOMES.REFUNDED, { amount: plan.amount });
+        }
+      } catch (e) {
+        console.error("[event-cancel] order failed:", pi.id, e);
+        batch.errors++;
+        await record(pi, listingId, plan.action, ORDER_OUTCOMES.ERROR, { amount: plan.amount, error: e?.message || String(e) });
+        continue;
+      }
+      await notifyParties(pi, { ...plan, reason: job.reason });
+    }
+  }
+
+  // Done once a full pass found nothing left to do
+  const done = !batch.capped && batch.ops === 0 && batch.errors === 0;
+  if (done) await db.finishEventCancellation(job.id, { status: JOB_STATUS.COMPLETED, now: nowSecs() });
+  return { ...(await eventCancellationReport(job.id)), batch, done };
+}
@@ -0,0 +1,301 @@
+// lib/extensions.js (ESM, serverless-safe)
+//
+// Confirm-deadline extensions agreed between buyer and seller (e.g. the venue
+// delays mobile ticket transfer). Either party proposes a new
+// fep_confirm_deadline with a reason; the other party gets an emailed link with
+// a one-time token and accepts or declines it (api/deadline-extension.js).
+// Requests live in db.js `deadline_extensions`:
+//   "pending" -> "accepted" | "declined" | "superseded" (a newer proposal) | "expired"
+// Only the token's hash is stored. A proposal lapses when the current deadline
+// passes (the cron acts on the order as usual) or after EXTENSION_RESPONSE_HOURS.
+// An accepted deadline is never set past the card authorization's validity
+// (clampToAuth), nor more than MAX_EXTENSION_HOURS from now.
+
+import crypto from "crypto";
+import Stripe from "stripe";
+import db from "../db.js";
+import { recordOrderEvent, ORDER_EVENTS } from "./orders.js";
+import { stateOf, transition, ACTORS } from "./order-state.js";
+import { clampToAuth, DEADLINE_POLICIES } from "./deadlines.js";
+import { inEscrow } from "./escrow.js";
+import { sendEmail, appUrl } from "./notify.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+export const MAX_EXTENSION_HOURS = Number(process.env.MAX_EXTENSION_HOURS ?? 7 * 24);
+export const EXTENSION_RESPONSE_HOURS = Number(process.env.EXTENSION_RESPONSE_HOURS ?? 48);
+const MAX_REASON = 500;
+
+export const EXTENSION_STATUS = Object.freeze({
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  SUPERSEDED: "superseded",
+  EXPIRED: "expired",
+});
+
+export class ExtensionError extends Error {
+  constructor(message, { statusCode = 400, extra = null } = {}) {
+    super(message);
+    this.name = "ExtensionError";
+    this.statusCode = statusCode;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    return { error: this.message, ...(this.extra || {}) };
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const otherParty = (role) => (role === ACTORS.BUYER ? ACTORS.SELLER : ACTORS.BUYER);
+const when = (secs) => new Date(secs * 1000).toUTCString();
+
+function tokenMatches(token, hash) {
+  if (!token || !hash) return false;
+  const a = Buffer.from(hashToken(token));
+  const b = Buffer.from(String(hash));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Public shape of a request (never includes the token hash).
+ */
+export function extensionView(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    proposed_by: row.proposed_by,
+    respond_as: otherParty(row.proposed_by),
+    deadline: Number(row.deadline),
+    reason: row.reason || null,
+    status: row.status,
+    expires_at: Number(row.expires_at),
+    created_at: Number(row.created_at),
+  };
+}
+
+/**
+ * Latest deadline an extension may set for this order right now.
+ */
+export function extensionLimit(meta, now = nowSecs()) {
+  return clampToAuth(now + MAX_EXTENSION_HOURS * 3600, meta);
+}
+
+/**
+ * The order's open proposal, or null. Lapsed ones are marked expired on the way.
+ */
+export async function pendingExtension(paymentIntentId, now = nowSecs()) {
+  const rows = await db.listExtensions(paymentIntentId);
+  let pending = null;
+  for (const row of rows) {
+    if (row.status !== EXTENSION_STATUS.PENDING) continue;
+    if (Number(row.expires_at) <= now) {
+      await db.setExtensionStatus(row.id, EXTENSION_STATUS.EXPIRED, [EXTENSION_STATUS.PENDING], now);
+      continue;
+    }
+    pending = row;
+  }
+  return pending;
+}
+
+/**
+ * Propose a new confirm deadline for an order in escrow. `by` is the proposing
+ * party ("buyer" | "seller"); the other one is emailed the accept/decline link.
+ * A newer proposal replaces an open one. Resolves { extension, notified }.
+ */
+export async function proposeExtension(pi, { sessionId, by, deadline, reason }) {
+  if (by !== ACTORS.BUYER && by !== ACTORS.SELLER) throw new ExtensionError("role must be 'buyer' or 'seller'");
+  const text = String(reason || "").trim();
+  if (!text) throw new ExtensionError("A reason is required");
+  if (text.length > MAX_REASON) throw new ExtensionError(`Reason must be ${MAX_REASON} characters or less`);
+
+  if (!inEscrow(pi)) throw new ExtensionError("Order is not in escrow", { statusCode: 409, extra: { status: pi.status } });
+  const meta = pi.metadata || {};
+  const state = stateOf(pi);
+  transition(state, "agree_extension", by, state);
+
+  const now = nowSecs();
+  const current = Number(meta.fep_confirm_deadline || 0);
+  if (!current || current <= now) {
+    throw new ExtensionError("The confirm deadline has already passed", { statusCode: 409 });
+  }
+  const proposed = Math.floor(Number(deadline));
+  if (!Number.isFinite(proposed) || proposed <= current) {
+    throw new ExtensionError("deadline must be later than the current one", { extra: { current_deadline: current } });
+  }
+  const limit = extensionLimit(meta, now);
+  if (proposed > limit) {
+    throw new ExtensionError(
+      limit > current
+        ? `deadline can be at most ${when(limit)} (card authorization limit)`
+        : "The card authorization expires too soon to extend this order",
+      { statusCode: limit > current ? 400 : 409, extra: { current_deadline: current, max_deadline: limit > current ? limit : null } }
+    );
+  }
+
+  const respondAs = otherParty(by);
+  const to = respondAs === ACTORS.BUYER ? meta.buyerEmail : meta.sellerEmail;
+  if (!to) throw new ExtensionError(`No email on file for the ${respondAs}`, { statusCode: 409 });
+
+  for (const row of await db.listExtensions(pi.id)) {
+    if (row.status === EXTENSION_STATUS.PENDING) {
+      await db.setExtensionStatus(row.id, EXTENSION_STATUS.SUPERSEDED, [EXTENSION_STATUS.PENDING], now);
+    }
+  }
+
+  const id = `ext_${crypto.randomUUID()}`;
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = Math.min(current, now + EXTENSION_RESPONSE_HOURS * 3600);
+  await db.createExtension({
+    id,
+    paymentIntentId: pi.id,
+    sessionId,
+    proposedBy: by,
+    deadline: proposed,
+    reason: text,
+    tokenHash: hashToken(token),
+    expiresAt,
+    now,
+  });
+
+  await recordOrderEvent({
+    sessionId,
+    paymentIntentId: pi.id,
+    type: ORDER_EVENTS.EXTENSION_PROPOSED,
+    actor: by,
+    status: state,
+    data: { extension_id: id, reason: text, current_deadline: current, deadline: proposed, expires_at: expiresAt },
+  });
+
+  const what = meta.group ? ` for ${meta.group}` : "";
+  const link = appUrl(`/?extension=${encodeURIComponent(id)}&token=${encodeURIComponent(token)}`);
+  const notified = await sendEmail({
+    to,
+    subject: `FEP: The ${by} asked for more time${what}`,
+    text: [
+      `The ${by} on order ${pi.id}${what} proposes moving the confirmation deadline`,
+      `from ${when(current)} to ${when(proposed)}.`,
+      "",
+      `Reason: ${text}`,
+      "",
+      `Accept or decline: ${link}`,
+      "",
+      `If you don't answer by ${when(expiresAt)}, the current deadline stands.`,
+    ].join("\n"),
+  });
+
+  return { extension: extensionView(await db.getExtension(id)), notified };
+}
+
+/**
+ * Look up a request by id + emailed token. Throws ExtensionError (404) when
+ * either is wrong, so a guessed id reveals nothing.
+ */
+export async function extensionForToken(id, token) {
+  const row = id ? await db.getExtension(String(id)) : null;
+  if (!row || !tokenMatches(token, row.token_hash)) throw new ExtensionError("Extension request not found", { statusCode: 404 });
+  const now = nowSecs();
+  if (row.status === EXTENSION_STATUS.PENDING && Number(row.expires_at) <= now) {
+    await db.setExtensionStatus(row.id, EXTENSION_STATUS.EXPIRED, [EXTENSION_STATUS.PENDING], now);
+    row.status = EXTENSION_STATUS.EXPIRED;
+  }
+  return row;
+}
+
+/**
+ * The other party answers ("accept" | "decline"). Accepting moves
+ * fep_confirm_deadline, clamped to the authorization. Resolves
+ * { extension, deadline, clamped_to_auth, payment_intent }.
+ */
+export async function respondExtension({ id, token, decision }) {
+  if (decision !== "accept" && decision !== "decline") throw new ExtensionError("decision must be 'accept' or 'decline'");
+  const row = await extensionForToken(id, token);
+  if (row.status !== EXTENSION_STATUS.PENDING) {
+    throw new ExtensionError(`Extension request is already ${row.status}`, { statusCode: 409, extra: { status: row.status } });
+  }
+
+  const actor = otherParty(row.proposed_by);
+  const now = nowSecs();
+  const pi = await stripe.paymentIntents.retrieve(row.payment_intent_id);
+  const meta = pi.metadata || {};
+  const state = stateOf(pi);
+  const current = Number(meta.fep_confirm_deadline || 0);
+
+  if (decision === "decline") {
+    if (!(await db.setExtensionStatus(row.id, EXTENSION_STATUS.DECLINED, [EXTENSION_STATUS.PENDING], now))) {
+      throw new ExtensionError("Extension request was already answered", { statusCode: 409 });
+    }
+    await recordOrderEvent({
+      sessionId: row.session_id,
+      paymentIntentId: pi.id,
+      type: ORDER_EVENTS.EXTENSION_DECLINED,
+      actor,
+      status: state,
+      data: { extension_id: row.id, deadline: Number(row.deadline) },
+    });
+    await notifyProposer(pi, row, EXTENSION_STATUS.DECLINED, `The ${actor} declined your request for more time. The deadline stays ${when(current)}.`);
+    return { extension: extensionView({ ...row, status: EXTENSION_STATUS.DECLINED }), deadline: current || null, clamped_to_auth: false, payment_intent: pi.id };
+  }
+
+  // The order may have moved on since the proposal (issue reported, captured...)
+  if (!inEscrow(pi)) throw new ExtensionError("Order is not in escrow", { statusCode: 409, extra: { status: pi.status } });
+  const next = transition(state, "agree_extension", actor, state);
+
+  const requested = Number(row.deadline);
+  const deadline = Math.max(clampToAuth(requested, meta), current);
+  if (deadline <= now) {
+    throw new ExtensionError("The card authorization expires too soon to extend this order", { statusCode: 409 });
+  }
+  const clamped = deadline < requested;
+
+  if (!(await db.setExtensionStatus(row.id, EXTENSION_STATUS.ACCEPTED, [EXTENSION_STATUS.PENDING], now))) {
+    throw new ExtensionError("Extension request was already answered", { statusCode: 409 });
+  }
+  try {
+    await stripe.paymentIntents.update(pi.id, {
+      metadata: {
+        ...meta,
+        fep_status: next,
+        fep_confirm_deadline: String(deadline),
+        fep_deadline_policy: clamped ? DEADLINE_POLICIES.AUTH_LIMIT : DEADLINE_POLICIES.AGREED,
+      },
+    });
+  } catch (err) {
+    // Nothing changed on the order: let the request be answered again
+    await db.setExtensionStatus(row.id, EXTENSION_STATUS.PENDING, [EXTENSION_STATUS.ACCEPTED], now);
+    throw err;
+  }
+
+  await recordOrderEvent({
+    sessionId: row.session_id,
+    paymentIntentId: pi.id,
+    type: ORDER_EVENTS.DEADLINE_EXTENDED,
+    actor,
+    status: next,
+    data: {
+      extension_id: row.id,
+      proposed_by: row.proposed_by,
+      reason: row.reason,
+      previous_deadline: current || null,
+      deadline,
+      clamped_to_auth: clamped,
+    },
+  });
+  await notifyProposer(pi, row, EXTENSION_STATUS.ACCEPTED, `The ${actor} accepted your request for more time. The new deadline is ${when(deadline)}.`);
+
+  return { extension: extensionView({ ...row, status: EXTENSION_STATUS.ACCEPTED }), deadline, clamped_to_auth: clamped, payment_intent: pi.id };
+}
+
+// Best-effort, like every notification
+async function notifyProposer(pi, row, outcome, line) {
+  const meta = pi.metadata || {};
+  const to = row.proposed_by === ACTORS.BUYER ? meta.buyerEmail : meta.sellerEmail;
+  const what = meta.group ? ` for ${meta.group}` : "";
+  await sendEmail({
+    to,
+    subject: `FEP: Deadline extension ${outcome}${what}`,
+    text: [line, "", `Order: ${pi.id}`].join("\n"),
+  });
+}
@@ -0,0 +1,335 @@
+// lib/fees.js (ESM, no deps)
+//
+// The one fee engine. A fee schedule says what the buyer pays on top of each
+// ticket and what the platform keeps from the seller; computeFees picks the
+// schedule for a sale and returns a versioned breakdown. Checkout stores that
+// breakdown on the order (PI metadata `fep_fees` + orders.details.fees) and every
+// later step – partial capture, payout, status pages – reads it back with
+// breakdownFromMeta instead of re-deriving it from today's config.
+//
+// Schedules come from FEE_SCHEDULES (JSON array); the most specific match wins,
+// then the higher `priority`. Fields a schedule leaves out come from the default
+// schedule (BUYER_FEE_CENTS, SELLER_FEE_PERCENT, SELLER_FEE_FIXED):
+//   [{ "id": "pro", "version": 2, "match": { "sellerTier": "pro" },
+//      "buyerFeeCents": 250, "sellerFeePercent": 4, "sellerFeeFixedCents": 50 },
+//    { "id": "launch-week", "match": { "group": "Tour 2026", "from": "2026-11-01", "until": "2026-11-08" },
+//      "buyerFeeCents": 0 }]
+// Match keys: sellerTier, eventId, group (case-insensitive), from/until (purchase
+// time, ISO date or unix seconds). Bump a schedule's `version` whenever its
+// numbers change so stored breakdowns stay traceable. A seller's tier is read
+// from their seller record (db.js `sellers.tier`, set via api/admin/sellers.js),
+// never from the listing.
+//
+// Fixed fees are in the sale currency's minor unit (lib/currency.js). A schedule
+// may give them per currency – "buyerFeeCents": { "usd": 350, "gbp": 300, "jpy": 500 } –
+// and a plain number means USD; a currency a schedule leaves out uses the
+// default for that currency (FEE_CURRENCY_DEFAULTS overrides the built-in table).
+// The percentage fee is currency-independent.
+//
+// Promo codes (lib/promos.js) only ever discount the buyer fee; the breakdown
+// keeps the list fee next to the charged one so the discount is visible.
+
+import { DEFAULT_CURRENCY, toMinor } from "./currency.js";
+
+export const FEE_ENGINE_VERSION = 1;
+
+// "5" -> 0.05  // "0.05" -> 0.05
+export function normalizePercent(p) {
+  const n = Number(p);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n >= 1 ? n / 100 : n;
+}
+
+const centsOr = (v, fallback) => (Number.isFinite(Number(v)) && v !== null && v !== "" ? Math.round(Number(v)) : fallback);
+
+// Built-in fixed fees per currency (minor units); USD keeps its env overrides
+const CURRENCY_DEFAULTS = {
+  usd: { buyerFee: centsOr(process.env.BUYER_FEE_CENTS, 350), sellerFeeFixed: centsOr(process.env.SELLER_FEE_FIXED, 75) },
+  cad: { buyerFee: 450, sellerFeeFixed: 100 },
+  gbp: { buyerFee: 300, sellerFeeFixed: 60 },
+  eur: { buyerFee: 350, sellerFeeFixed: 70 },
+  jpy: { buyerFee: 500, sellerFeeFixed: 100 },
+};
+try {
+  const overrides = JSON.parse(process.env.FEE_CURRENCY_DEFAULTS || "{}");
+  for (const [code, fees] of Object.entries(overrides)) {
+    const base = CURRENCY_DEFAULTS[code.toLowerCase()] || CURRENCY_DEFAULTS[DEFAULT_CURRENCY];
+    CURRENCY_DEFAULTS[code.toLowerCase()] = {
+      buyerFee: centsOr(fees?.buyerFee, base.buyerFee),
+      sellerFeeFixed: centsOr(fees?.sellerFeeFixed, base.sellerFeeFixed),
+    };
+  }
+} catch (err) {
+  console.error("[fees] ignoring invalid FEE_CURRENCY_DEFAULTS:", err?.message || err);
+}
+
+const perCurrency = (key) =>
+  Object.fromEntries(Object.entries(CURRENCY_DEFAULTS).map(([code, fees]) => [code, fees[key]]));
+
+export const DEFAULT_SCHEDULE = Object.freeze({
+  id: "default",
+  version: Number(process.env.FEE_DEFAULT_VERSION || 1),
+  buyerFeeCents: perCurrency("buyerFee"),
+  sellerFeePercent: normalizePercent(process.env.SELLER_FEE_PERCENT ?? 0.05),
+  sellerFeeFixedCents: perCurrency("sellerFeeFixed"),
+});
+
+// A schedule's fixed fee in `currency`: per-currency object, plain number (USD only),
+// else the currency default for `key` ("buyerFee" | "sellerFeeFixed")
+function fixedFee(value, currency, key) {
+  if (value && typeof value === "object") {
+    if (value[currency] !== undefined) return centsOr(value[currency], 0);
+  } else if (value !== null && value !== undefined && value !== "" && currency === DEFAULT_CURRENCY) {
+    return centsOr(value, 0);
+  }
+  return CURRENCY_DEFAULTS[currency]?.[key] ?? 0;
+}
+
+function toUnix(v) {
+  if (v === undefined || v === null || v === "") return null;
+  if (Number.isFinite(Number(v))) return Number(v);
+  const ms = Date.parse(String(v));
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+const MATCH_KEYS = ["sellerTier", "eventId", "group", "from", "until"];
+
+// A criterion we can't evaluate would otherwise be dropped, widening the schedule to every sale
+function knownMatch(s) {
+  const unknown = Object.keys(s.match || {}).filter((k) => !MATCH_KEYS.includes(k));
+  if (unknown.length) console.error(`[fees] ignoring fee schedule ${s.id}: unknown match key(s) ${unknown.join(", ")}`);
+  return !unknown.length;
+}
+
+function loadSchedules() {
+  const raw = process.env.FEE_SCHEDULES;
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    if (!Array.isArray(list)) throw new Error("FEE_SCHEDULES must be a JSON array");
+    return list
+      .filter((s) => s && s.id && knownMatch(s))
+      .map((s) => ({
+        id: String(s.id).slice(0, 40),
+        version: Number(s.version || 1),
+        priority: Number(s.priority || 0),
+        match: {
+          sellerTier: s.match?.sellerTier ?? null,
+          eventId: s.match?.eventId ?? null,
+          group: s.match?.group ? String(s.match.group).trim().toLowerCase() : null,
+          from: toUnix(s.match?.from),
+          until: toUnix(s.match?.until),
+        },
+        buyerFeeCents: s.buyerFeeCents ?? null,
+        sellerFeePercent:
+          s.sellerFeePercent !== undefined ? normalizePercent(s.sellerFeePercent) : DEFAULT_SCHEDULE.sellerFeePercent,
+        sellerFeeFixedCents: s.sellerFeeFixedCents ?? null,
+      }));
+  } catch (err) {
+    // A broken override must not take checkout down; the default schedule still applies
+    console.error("[fees] ignoring invalid FEE_SCHEDULES:", err?.message || err);
+    return [];
+  }
+}
+
+const SCHEDULES = loadSchedules();
+
+// Number of criteria a schedule matched, or -1 when any of them doesn't hold
+function specificity(schedule, ctx) {
+  const m = schedule.match;
+  let score = 0;
+  if (m.sellerTier !== null) {
+    if (String(ctx.sellerTier || "") !== String(m.sellerTier)) return -1;
+    score++;
+  }
+  if (m.eventId !== null) {
+    if (String(ctx.eventId || "") !== String(m.eventId)) return -1;
+    score++;
+  }
+  if (m.group !== null) {
+    if (String(ctx.group || "").trim().toLowerCase() !== m.group) return -1;
+    score++;
+  }
+  if (m.from !== null || m.until !== null) {
+    if (m.from !== null && ctx.at < m.from) return -1;
+    if (m.until !== null && ctx.at >= m.until) return -1;
+    score++;
+  }
+  return score;
+}
+
+/**
+ * Schedule that applies to a sale: { sellerTier, eventId, group, at (unix secs) }.
+ */
+export function selectSchedule(ctx = {}) {
+  const at = Number.isFinite(ctx.at) ? ctx.at : Math.floor(Date.now() / 1000);
+  let best = null;
+  let bestScore = -1;
+  for (const s of SCHEDULES) {
+    const score = specificity(s, { ...ctx, at });
+    if (score < 0) continue;
+    if (score > bestScore || (score === bestScore && s.priority > best.priority)) {
+      best = s;
+      bestScore = score;
+    }
+  }
+  return best || DEFAULT_SCHEDULE;
+}
+
+/**
+ * Per-ticket buyer fee after a promo ({ kind: "percent" | "fixed" | "waive_fee", value }).
+ * percent: value is 0-100 off the fee; fixed: value is cents off each ticket's fee.
+ */
+export function discountedBuyerFee(fee, promo) {
+  if (!promo) return fee;
+  switch (promo.kind) {
+    case "waive_fee":
+      return 0;
+    case "percent":
+      return Math.max(0, fee - Math.round((fee * Math.min(100, Math.max(0, promo.value))) / 100));
+    case "fixed":
+      return Math.max(0, fee - Math.max(0, promo.value));
+    default:
+      return fee;
+  }
+}
+
+/**
+ * Fee breakdown for `qty` tickets at `unitAmount` each (all amounts in the
+ * currency's minor unit: cents, pence, yen).
+ * Context picks the schedule: { sellerTier, eventId, group, at }; `promo` is an
+ * already-validated promo code (see lib/promos.js).
+ */
+export function computeFees({ unitAmount, qty, currency = DEFAULT_CURRENCY, promo = null, ...ctx }) {
+  const at = Number.isFinite(ctx.at) ? ctx.at : Math.floor(Date.now() / 1000);
+  const schedule = selectSchedule({ ...ctx, at });
+  const unit = Math.round(Number(unitAmount));
+  const count = Math.max(1, Math.floor(Number(qty) || 1));
+
+  const code = String(currency).toLowerCase();
+  const listFee = fixedFee(schedule.buyerFeeCents, code, "buyerFee");
+  const sellerFixed = fixedFee(schedule.sellerFeeFixedCents, code, "sellerFeeFixed");
+  const buyerFee = discountedBuyerFee(listFee, promo);
+  const sellerFee = Math.round(unit * schedule.sellerFeePercent) + sellerFixed;
+
+  return finish({
+    engine: FEE_ENGINE_VERSION,
+    schedule: schedule.id,
+    schedule_version: schedule.version,
+    currency: code,
+    qty: count,
+    unit_amount: unit,
+    buyer_fee_list_per_ticket: listFee,
+    buyer_fee_per_ticket: buyerFee,
+    promo_code: promo?.code || null,
+    seller_fee_per_ticket: sellerFee,
+    seller_fee_percent: schedule.sellerFeePercent,
+    seller_fee_fixed: sellerFixed,
+    computed_at: at,
+  });
+}
+
+// Totals for the whole order, derived from the per-ticket amounts
+function finish(b) {
+  const item_subtotal = b.unit_amount * b.qty;
+  const buyer_fee_total = b.buyer_fee_per_ticket * b.qty;
+  const buyer_fee_discount_total = (b.buyer_fee_list_per_ticket - b.buyer_fee_per_ticket) * b.qty;
+  const seller_fee_total = b.seller_fee_per_ticket * b.qty;
+  const total = item_subtotal + buyer_fee_total;
+  let application_fee = buyer_fee_total + seller_fee_total;
+  // Stripe requires the application fee to be below the charge
+  if (application_fee >= total) application_fee = Math.max(0, total - 1);
+  return {
+    ...b,
+    item_subtotal,
+    buyer_fee_total,
+    buyer_fee_discount_total,
+    seller_fee_total,
+    application_fee,
+    total,
+    seller_payout: total - application_fee,
+  };
+}
+
+/**
+ * Amounts for `count` of the order's tickets (partial capture / payout).
+ * `full: true` when every ticket is covered; then the order totals are used as-is.
+ */
+export function amountsFor(breakdown, count) {
+  const n = Math.max(0, Math.floor(Number(count) || 0));
+  if (n >= breakdown.qty) {
+    return {
+      full: true,
+      count: n,
+      amountToCapture: breakdown.total,
+      applicationFee: breakdown.application_fee,
+      payoutCents: breakdown.seller_payout,
+    };
+  }
+  const amountToCapture = (breakdown.unit_amount + breakdown.buyer_fee_per_ticket) * n;
+  let applicationFee = (breakdown.buyer_fee_per_ticket + breakdown.seller_fee_per_ticket) * n;
+  if (applicationFee >= amountToCapture) applicationFee = Math.max(0, amountToCapture - 1);
+  return { full: false, count: n, amountToCapture, applicationFee, payoutCents: amountToCapture - applicationFee };
+}
+
+// ---- Storage (Stripe metadata values are capped at 500 chars, so keys are short) ----
+
+const STORED_KEYS = {
+  engine: "e",
+  schedule: "s",
+  schedule_version: "sv",
+  currency: "c",
+  qty: "q",
+  unit_amount: "u",
+  buyer_fee_list_per_ticket: "bl",
+  buyer_fee_per_ticket: "bf",
+  promo_code: "p",
+  seller_fee_per_ticket: "sf",
+  seller_fee_percent: "sp",
+  seller_fee_fixed: "sx",
+  computed_at: "at",
+};
+
+/**
+ * Metadata patch that stores a breakdown on a PaymentIntent / Checkout Session.
+ * Only the inputs are stored; totals are recomputed identically on read.
+ */
+export function feeMetadata(breakdown) {
+  const packed = {};
+  for (const [key, short] of Object.entries(STORED_KEYS)) packed[short] = breakdown[key];
+  return { fep_fees: JSON.stringify(packed) };
+}
+
+/**
+ * Breakdown stored at checkout. Orders created before the fee engine are rebuilt
+ * from their per-ticket metadata echoes (engine 0) so their numbers don't move.
+ */
+export function breakdownFromMeta(meta = {}) {
+  if (meta.fep_fees) {
+    try {
+      const packed = JSON.parse(meta.fep_fees);
+      const b = {};
+      for (const [key, short] of Object.entries(STORED_KEYS)) b[key] = packed[short];
+      b.buyer_fee_list_per_ticket ??= b.buyer_fee_per_ticket;
+      b.promo_code ??= null;
+      return finish(b);
+    } catch {
+      console.warn("[fees] unreadable fep_fees metadata; using legacy fields");
+    }
+  }
+  return finish({
+    engine: 0,
+    schedule: "legacy",
+    schedule_version: 0,
+    currency: meta.currency || DEFAULT_CURRENCY,
+    qty: Math.max(1, parseInt(meta.qty || 1, 10) || 1),
+    unit_amount: toMinor(meta.price || 0, meta.currency || DEFAULT_CURRENCY),
+    buyer_fee_list_per_ticket: Number(meta.buyer_fee_cents_per_ticket || 0),
+    buyer_fee_per_ticket: Number(meta.buyer_fee_cents_per_ticket || 0),
+    promo_code: null,
+    seller_fee_per_ticket: Number(meta.seller_fee_per_ticket_cents || 0),
+    seller_fee_percent: Number(meta.seller_fee_pct || 0),
+    seller_fee_fixed: Number(meta.seller_fee_fixed_cents || 0),
+    computed_at: null,
+  });
+}
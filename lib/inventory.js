@@ -0,0 +1,108 @@
+// lib/inventory.js (ESM, serverless-safe)
+//
+// Webhook-driven inventory ledger. Every change to a listing's `remaining` /
+// `soldSeats` caused by an order goes through here, exactly once per PaymentIntent:
+// - applySale:    checkout completed (authorized) -> decrement remaining, allocate seats
+// - applyRestock: authorization canceled / refunded -> put the sold seats back
+//
+// The ledger row (db.js `inventory_ledger`, keyed by PaymentIntent id + kind) is
+// claimed before the listing is touched, so Stripe redeliveries are no-ops.
+
+import db from "../db.js";
+import { getListing, updateListingWhere, remainingOf } from "./listings-store.js";
+
+const MAX_ATTEMPTS = 5;
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+// Read-modify-write against Supabase with optimistic concurrency on `remaining`
+async function updateRemaining(listingId, mutate) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const listing = await getListing(listingId);
+    if (!listing) return null;
+
+    const { patch, result } = mutate(listing);
+    const updated = await updateListingWhere(listingId, { remaining: listing.remaining ?? null }, patch);
+    if (updated) return result;
+  }
+  throw new Error(`Listing ${listingId} kept changing; inventory update gave up`);
+}
+
+async function runEntry({ paymentIntentId, kind, listingId, qty }, mutate) {
+  const claimed = await db.claimInventoryEntry({ paymentIntentId, kind, listingId, qty, now: nowSecs() });
+  if (!claimed) return { applied: false, duplicate: true };
+
+  try {
+    const result = await updateRemaining(listingId, mutate);
+    if (!result) {
+      // Listing is gone; record the entry so retries don't keep trying
+      await db.completeInventoryEntry(paymentIntentId, kind, { qty: 0, seats: [] });
+      return { applied: false, missingListing: true };
+    }
+    await db.completeInventoryEntry(paymentIntentId, kind, result);
+    return { applied: true, ...result };
+  } catch (err) {
+    // Let a retry (Stripe redelivery) claim it again
+    await db.deleteInventoryEntry(paymentIntentId, kind).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Decrement a listing for a completed checkout. Idempotent per PaymentIntent.
+ */
+export async function applySale({ paymentIntentId, listingId, qty }) {
+  const want = Math.max(0, Math.floor(Number(qty) || 0));
+  if (!paymentIntentId || !listingId || !want) return { applied: false };
+
+  return runEntry({ paymentIntentId, kind: "sale", listingId, qty: want }, (L) => {
+    const before = remainingOf(L);
+    const purchased = Math.min(want, before);
+    const patch = { remaining: before - purchased };
+
+    let seats = [];
+    if (Array.isArray(L.seatNumbers) && L.seatNumbers.length) {
+      const sold = Array.isArray(L.soldSeats) ? L.soldSeats : [];
+      seats = L.seatNumbers.filter((s) => !sold.includes(s)).slice(0, purchased);
+      patch.soldSeats = [...sold, ...seats];
+    }
+    return { patch, result: { qty: purchased, seats } };
+  });
+}
+
+/**
+ * Return a sale's seats to its listing. Only acts if a sale was recorded for
+ * the PaymentIntent, and only once.
+ */
+export async function applyRestock({ paymentIntentId }) {
+  if (!paymentIntentId) return { applied: false };
+  const sale = await db.getInventoryEntry(paymentIntentId, "sale");
+  if (!sale || sale.status !== "applied" || !sale.qty) return { applied: false };
+
+  return runEntry(
+    { paymentIntentId, kind: "restock", listingId: sale.listing_id, qty: sale.qty },
+    (L) => {
+      const before = remainingOf(L);
+      const total = Number(L.qty);
+      const after = Number.isFinite(total) && total > 0 ? Math.min(total, before + sale.qty) : before + sale.qty;
+      const patch = { remaining: after };
+
+      if (Array.isArray(L.soldSeats) && sale.seats?.length) {
+        patch.soldSeats = L.soldSeats.filter((s) => !sale.seats.includes(s));
+      }
+      return { patch, result: { qty: after - before, seats: sale.seats || [] } };
+    }
+  );
+}
+
+/**
+ * Read-only view of what the ledger recorded for a PaymentIntent (for session-status).
+ */
+export async function getSaleEntry(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const [sale, restock] = await Promise.all([
+    db.getInventoryEntry(paymentIntentId, "sale"),
+    db.getInventoryEntry(paymentIntentId, "restock"),
+  ]);
+  if (!sale) return null;
+  return { ...sale, restocked: restock?.status === "applied" };
+}
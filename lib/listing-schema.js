@@ -0,0 +1,243 @@
+// lib/listing-schema.js (ESM, no deps)
+//
+// What a client may write to a listing (api/listings.js POST / PATCH). Only
+// fields in LISTING_FIELDS are stored; each has a type, limits and whether it's
+// required. Server-managed columns (READ_ONLY_FIELDS) are dropped from requests:
+// the owner comes from the seller session, `remaining` is computed here from
+// `qty` and what has sold, and the rest belong to inventory / admin. On PATCH,
+// IMMUTABLE_FIELDS can't change and `qty` can't drop below what has sold.
+// Failures throw ListingValidationError with a message per field, e.g.
+//   { error: "Please fix the highlighted fields", fields: { price: "Must be greater than 0" } }
+
+import { CURRENCIES, DEFAULT_CURRENCY } from "./currency.js";
+
+export const MAX_LISTING_QTY = Number(process.env.MAX_LISTING_QTY || 20);
+// Per-ticket ceiling in a 2-decimal currency's major unit (scaled for zero-decimal ones)
+const MAX_AMOUNT = 100000;
+
+const ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PHONE_RE = /^\+?[0-9 ().-]{6,32}$/;
+
+// name -> { type, required, max (chars / value / items), min, pattern, upper, lower, values }
+export const LISTING_FIELDS = Object.freeze({
+  id: { type: "string", pattern: ID_RE, hint: "Must be 8–64 letters, digits or dashes" },
+  group: { type: "string", required: true, max: 120 },
+  date: { type: "date", required: true },
+  city: { type: "string", required: true, max: 80 },
+  seat: { type: "string", max: 120 },
+  face: { type: "amount", required: true },
+  price: { type: "amount", required: true },
+  qty: { type: "integer", required: true, min: 1, max: MAX_LISTING_QTY },
+  currency: { type: "enum", values: Object.keys(CURRENCIES), lower: true },
+  country: { type: "string", pattern: /^[A-Z]{2}$/, upper: true, hint: "Use a 2-letter country code" },
+  region: { type: "string", max: 80 },
+  organizer: { type: "string", max: 120 },
+  eventId: { type: "string", max: 64 },
+  pay: { type: "string", max: 200 },
+  seller: { type: "string", max: 80 },
+  sellerPhone: { type: "string", required: true, pattern: PHONE_RE, hint: "Enter a phone number" },
+  seatNumbers: { type: "list", max: MAX_LISTING_QTY, itemMax: 20 },
+});
+
+// Set by the server; silently ignored when a client echoes them back
+export const READ_ONLY_FIELDS = [
+  "remaining",
+  "soldSeats",
+  "sellerEmail",
+  "sellerAccountId",
+  "sellerTier",
+  "active",
+  "deleted_at",
+  "created_at",
+  "updated_at",
+  "editToken",
+  "manageCode",
+];
+
+// Fixed once the listing exists
+export const IMMUTABLE_FIELDS = ["id"];
+// Fixed once a ticket has sold: orders in flight are priced / seated by them
+export const SOLD_LOCKED_FIELDS = ["currency", "seatNumbers"];
+
+export class ListingValidationError extends Error {
+  constructor(fields, { message = "Please fix the highlighted fields", statusCode = 422 } = {}) {
+    super(message);
+    this.name = "ListingValidationError";
+    this.statusCode = statusCode;
+    this.fields = fields;
+  }
+
+  toJSON() {
+    return { error: this.message, fields: this.fields };
+  }
+}
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+// Normalized value, or { error } for one field
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case "string": {
+      if (typeof raw !== "string" && typeof raw !== "number") return { error: "Must be text" };
+      let v = String(raw).trim();
+      if (spec.upper) v = v.toUpperCase();
+      if (spec.max && v.length > spec.max) return { error: `Must be ${spec.max} characters or less` };
+      if (spec.pattern && !spec.pattern.test(v)) return { error: spec.hint || "Invalid format" };
+      return { value: v };
+    }
+    case "date": {
+      const v = String(raw).trim();
+      const d = new Date(`${v}T00:00:00Z`);
+      if (!DATE_RE.test(v) || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== v) {
+        return { error: "Use a date like 2025-08-31" };
+      }
+      return { value: v };
+    }
+    case "amount": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(n)) return { error: "Must be a number" };
+      if (n <= 0) return { error: "Must be greater than 0" };
+      return { value: n };
+    }
+    case "integer": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(n)) return { error: "Must be a whole number" };
+      if (spec.min !== undefined && n < spec.min) return { error: `Must be at least ${spec.min}` };
+      if (spec.max !== undefined && n > spec.max) return { error: `Must be ${spec.max} or less` };
+      return { value: n };
+    }
+    case "enum": {
+      let v = String(raw).trim();
+      if (spec.lower) v = v.toLowerCase();
+      if (!spec.values.includes(v)) return { error: `Must be one of: ${spec.values.join(", ")}` };
+      return { value: v };
+    }
+    case "list": {
+      if (!Array.isArray(raw)) return { error: "Must be a list" };
+      if (raw.length > spec.max) return { error: `At most ${spec.max} entries` };
+      const items = raw.map((s) => String(s ?? "").trim());
+      if (items.some((s) => !s || s.length > spec.itemMax)) return { error: `Each entry must be 1–${spec.itemMax} characters` };
+      if (new Set(items).size !== items.length) return { error: "Entries must be unique" };
+      return { value: items };
+    }
+    default:
+      return { error: "Unsupported field" };
+  }
+}
+
+// Validate the given keys of `input`; blank optional fields become null
+function validateFields(input, keys, { requireAll }) {
+  const out = {};
+  const errors = {};
+  for (const key of keys) {
+    const spec = LISTING_FIELDS[key];
+    if (!spec) {
+      errors[key] = "Unknown field";
+      continue;
+    }
+    const raw = input[key];
+    if (isBlank(raw)) {
+      if (spec.required && (requireAll || key in input)) errors[key] = "Required";
+      else if (key in input) out[key] = null;
+      continue;
+    }
+    const { value, error } = coerce(spec, raw);
+    if (error) errors[key] = error;
+    else out[key] = value;
+  }
+  if (requireAll) {
+    for (const [key, spec] of Object.entries(LISTING_FIELDS)) {
+      if (spec.required && !(key in out) && !errors[key]) errors[key] = "Required";
+    }
+  }
+  return { out, errors };
+}
+
+// Limits that depend on the listing's currency (decimals, ceiling)
+function checkAmounts(values, currency, errors) {
+  const decimals = CURRENCIES[currency]?.decimals ?? 2;
+  const max = MAX_AMOUNT * 10 ** (2 - decimals);
+  for (const key of ["face", "price"]) {
+    const n = values[key];
+    if (typeof n !== "number" || errors[key]) continue;
+    if (n > max) errors[key] = `Must be ${max} or less`;
+    else if (Math.abs(n * 10 ** decimals - Math.round(n * 10 ** decimals)) > 1e-6) {
+      errors[key] = decimals ? `At most ${decimals} decimal places` : "Must be a whole amount";
+    }
+  }
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Tickets that left the listing through orders (never negative)
+export function soldCount(listing) {
+  const qty = Number(listing?.qty);
+  const remaining = Number(listing?.remaining ?? listing?.qty);
+  return Number.isFinite(qty) && Number.isFinite(remaining) ? Math.max(0, qty - remaining) : 0;
+}
+
+/**
+ * A new listing from a client body. Resolves the row to insert (without the
+ * owner fields) or throws ListingValidationError.
+ */
+export function validateNewListing(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ListingValidationError({}, { message: "Listing must be an object", statusCode: 400 });
+  }
+  const keys = Object.keys(body).filter((k) => !READ_ONLY_FIELDS.includes(k));
+  const { out, errors } = validateFields(body, keys, { requireAll: true });
+  if (out.seatNumbers?.length && out.qty && out.seatNumbers.length !== out.qty) {
+    errors.seatNumbers = `List exactly ${out.qty} seat number(s), or none`;
+  }
+  checkAmounts(out, out.currency || DEFAULT_CURRENCY, errors);
+  if (Object.keys(errors).length) throw new ListingValidationError(errors);
+
+  return {
+    ...out,
+    currency: out.currency || DEFAULT_CURRENCY,
+    remaining: out.qty,
+  };
+}
+
+/**
+ * The patch for editing `current` with a client body. Keys whose value didn't
+ * change are skipped, so echoing the stored row back is fine. Resolves the
+ * patch (with `remaining` recomputed when `qty` changes) or throws
+ * ListingValidationError.
+ */
+export function validateListingUpdate(current, body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ListingValidationError({}, { message: "Update must be an object", statusCode: 400 });
+  }
+  const keys = Object.keys(body).filter((k) => !READ_ONLY_FIELDS.includes(k) && !sameValue(body[k], current[k]));
+  const { out, errors } = validateFields(body, keys, { requireAll: false });
+
+  const sold = soldCount(current);
+  for (const key of IMMUTABLE_FIELDS) {
+    if (key in out && !sameValue(out[key], current[key])) errors[key] = "Can't be changed";
+  }
+  if (sold > 0) {
+    for (const key of SOLD_LOCKED_FIELDS) {
+      const stored = key === "currency" ? current.currency || DEFAULT_CURRENCY : current[key];
+      if (key in out && !sameValue(out[key], stored)) errors[key] = "Can't be changed after tickets have sold";
+    }
+  }
+  if ("qty" in out && out.qty < sold) {
+    errors.qty = `${sold} ticket(s) already sold; quantity can't go below that`;
+  }
+  const seatNumbers = "seatNumbers" in out ? out.seatNumbers : current.seatNumbers;
+  const qty = out.qty ?? Number(current.qty);
+  if (Array.isArray(seatNumbers) && seatNumbers.length && seatNumbers.length !== qty) {
+    errors.seatNumbers = `List exactly ${qty} seat number(s), or none`;
+  }
+  checkAmounts(out, out.currency || current.currency || DEFAULT_CURRENCY, errors);
+  if (Object.keys(errors).length) throw new ListingValidationError(errors);
+
+  // Drop no-op normalizations ("usd" vs "USD", "5" vs 5)
+  for (const key of Object.keys(out)) {
+    if (sameValue(out[key], current[key])) delete out[key];
+  }
+  if ("qty" in out) out.remaining = out.qty - sold;
+  return out;
+}
@@ -0,0 +1,162 @@
+// lib/listing-search.js (ESM, no deps)
+//
+// Marketplace search for GET /api/listings, turned into a PostgREST query on
+// the Supabase `listings` table:
+//   q         text in group / city / seat (case-insensitive substring)
+//   city      city (case-insensitive, exact)
+//   from, to  event date range, YYYY-MM-DD inclusive
+//   minPrice, maxPrice   per-ticket price range
+//   minQty    at least this many tickets left (`remaining`)
+//   seller    seller email
+//   sort      newest (default) | price_asc | price_desc | date_asc | date_desc
+//   limit     1..200 (default 50)
+//   cursor    `next_cursor` from the previous page
+// Pages are keyset-paginated on (sort column, id), so rows don't shift or repeat
+// when listings are added between requests. Inactive listings are left out.
+
+export const SORTS = Object.freeze({
+  newest: { column: "created_at", dir: "desc" },
+  price_asc: { column: "price", dir: "asc" },
+  price_desc: { column: "price", dir: "desc" },
+  date_asc: { column: "date", dir: "asc" },
+  date_desc: { column: "date", dir: "desc" },
+});
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export class ListingSearchError extends Error {
+  constructor(fields) {
+    super("Invalid search");
+    this.name = "ListingSearchError";
+    this.statusCode = 400;
+    this.fields = fields;
+  }
+
+  toJSON() {
+    return { error: this.message, fields: this.fields };
+  }
+}
+
+// PostgREST value inside a logic tree: double-quoted so , . ( ) : are literal
+const quote = (v) => `"${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+// ilike pattern: user text is literal (PostgREST turns every `*` into a wildcard, so drop them)
+const likeText = (v) => String(v).replace(/\*/g, "").replace(/[\\%_]/g, (c) => `\\${c}`);
+
+export function encodeCursor(row, sort) {
+  const { column } = SORTS[sort];
+  return Buffer.from(JSON.stringify({ s: sort, v: row[column] ?? null, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (c?.s !== sort || c.id === undefined || c.id === null) return null;
+    return c;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate a request's query string. Resolves the normalized search or throws
+ * ListingSearchError with a message per bad parameter.
+ */
+export function parseListingSearch(query = {}) {
+  const errors = {};
+  const text = (key, max) => {
+    const v = String(query[key] ?? "").trim();
+    if (v.length > max) errors[key] = `Must be ${max} characters or less`;
+    return v || null;
+  };
+  const number = (key, { integer = false } = {}) => {
+    if (query[key] === undefined || String(query[key]).trim() === "") return null;
+    const n = Number(query[key]);
+    if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n))) {
+      errors[key] = integer ? "Must be a whole number" : "Must be a number of 0 or more";
+      return null;
+    }
+    return n;
+  };
+  const date = (key) => {
+    const v = String(query[key] ?? "").trim();
+    if (!v) return null;
+    if (!DATE_RE.test(v)) errors[key] = "Use a date like 2025-08-31";
+    return v;
+  };
+
+  const search = {
+    q: text("q", 100),
+    city: text("city", 80),
+    from: date("from"),
+    to: date("to"),
+    minPrice: number("minPrice"),
+    maxPrice: number("maxPrice"),
+    minQty: number("minQty", { integer: true }),
+    seller: text("seller", 254)?.toLowerCase() || null,
+    sort: String(query.sort || "newest"),
+    limit: number("limit", { integer: true }) ?? DEFAULT_LIMIT,
+    cursor: null,
+  };
+  if (!SORTS[search.sort]) errors.sort = `Must be one of: ${Object.keys(SORTS).join(", ")}`;
+  if (search.limit < 1) errors.limit = "Must be at least 1";
+  search.limit = Math.min(search.limit, MAX_LIMIT);
+  if (search.from && search.to && search.from > search.to) errors.to = "Must be on or after from";
+  if (search.minPrice !== null && search.maxPrice !== null && search.minPrice > search.maxPrice) {
+    errors.maxPrice = "Must be at least minPrice";
+  }
+  if (query.cursor && !errors.sort) {
+    search.cursor = decodeCursor(query.cursor, search.sort);
+    if (!search.cursor) errors.cursor = "Invalid or stale cursor; start from the first page";
+  }
+  if (Object.keys(errors).length) throw new ListingSearchError(errors);
+  return search;
+}
+
+// Rows after the cursor row in (column dir nullslast, id dir) order
+function afterCursor({ column, dir }, cursor) {
+  const cmp = dir === "asc" ? "gt" : "lt";
+  const id = `id.${cmp}.${quote(cursor.id)}`;
+  if (cursor.v === null) return `and(${column}.is.null,${id})`;
+  const v = quote(cursor.v);
+  return `or(${column}.${cmp}.${v},and(${column}.eq.${v},${id}),${column}.is.null)`;
+}
+
+/**
+ * PostgREST query string for a parsed search, asking for one extra row so the
+ * caller can tell whether there's a next page.
+ */
+export function listingSearchQuery(search) {
+  const sort = SORTS[search.sort];
+  const params = [["select", "*"], ["active", "not.is.false"]];
+  const logic = [];
+
+  if (search.q) {
+    const like = quote(`*${likeText(search.q)}*`);
+    logic.push(`or(group.ilike.${like},city.ilike.${like},seat.ilike.${like})`);
+  }
+  if (search.city) params.push(["city", `ilike.${likeText(search.city)}`]);
+  if (search.from) params.push(["date", `gte.${search.from}`]);
+  if (search.to) params.push(["date", `lte.${search.to}`]);
+  if (search.minPrice !== null) params.push(["price", `gte.${search.minPrice}`]);
+  if (search.maxPrice !== null) params.push(["price", `lte.${search.maxPrice}`]);
+  if (search.minQty !== null) params.push(["remaining", `gte.${search.minQty}`]);
+  if (search.seller) params.push(["sellerEmail", `eq.${search.seller}`]);
+  if (search.cursor) logic.push(afterCursor(sort, search.cursor));
+
+  if (logic.length) params.push(["and", `(${logic.join(",")})`]);
+  params.push(["order", `${sort.column}.${sort.dir}.nullslast,id.${sort.dir}`]);
+  params.push(["limit", String(search.limit + 1)]);
+  return params.map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join("&");
+}
+
+/**
+ * Trim the extra row off a page. Resolves { rows, next_cursor }.
+ */
+export function pageOf(rows, search) {
+  const more = rows.length > search.limit;
+  const page = more ? rows.slice(0, search.limit) : rows;
+  return { rows: page, next_cursor: more ? encodeCursor(page[page.length - 1], search.sort) : null };
+}
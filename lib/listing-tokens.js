@@ -0,0 +1,126 @@
+// lib/listing-tokens.js (ESM, serverless-safe)
+//
+// Edit tokens behind listing manage links (`/?manage=<token>`). The server mints
+// the token when a listing is created and keeps only its SHA-256 in db.js
+// `listing_edit_tokens`; the seller gets the plaintext once. Changing a listing
+// (api/listings.js PATCH / DELETE, api/listing-token.js) needs either a live
+// token for that listing or the owning seller's session (lib/seller-auth.js).
+// Rotating revokes every token for the listing and issues a new one.
+//
+// Listings created before this kept a plaintext `editToken` column in Supabase.
+// Such a token still works once: it is moved into the hash table and the
+// plaintext (and the `manageCode` derived from it) cleared from the row.
+
+import crypto from "crypto";
+import db from "../db.js";
+import { appUrl } from "./notify.js";
+import { getListing, findListingByEditToken, updateListingWhere } from "./listings-store.js";
+import { sellerSession, isSellerOf } from "./seller-auth.js";
+
+// Never returned by GET /api/listings, never accepted from a client
+export const SECRET_FIELDS = ["editToken", "manageCode"];
+
+export class ListingTokenError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = "ListingTokenError";
+    this.statusCode = statusCode;
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * A listing row with its secret columns removed.
+ */
+export function publicListing(row) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const f of SECRET_FIELDS) delete out[f];
+  return out;
+}
+
+export const manageUrl = (token) => appUrl(`/?manage=${encodeURIComponent(token)}`);
+
+/**
+ * Mint a token for a listing. Resolves the plaintext; only its hash is stored.
+ */
+export async function issueEditToken(listingId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await db.createListingToken({ tokenHash: hashToken(token), listingId, now: nowSecs() });
+  return token;
+}
+
+/**
+ * The listing id a token unlocks, or null when it is unknown or revoked.
+ */
+export async function resolveEditToken(token) {
+  if (!token || typeof token !== "string" || token.length > 200) return null;
+  const hash = hashToken(token);
+  const row = await db.getListingToken(hash);
+  if (row) return row.revoked_at ? null : row.listing_id;
+
+  const legacy = await findListingByEditToken(token);
+  if (!legacy) return null;
+  await db.createListingToken({ tokenHash: hash, listingId: legacy.id, now: nowSecs() });
+  try {
+    await updateListingWhere(legacy.id, { editToken: token }, { editToken: null, manageCode: null });
+  } catch (e) {
+    // The hash is stored; the stale column is cleared on revoke / rotate
+    console.warn("[listing-tokens] clearing legacy token failed:", legacy.id, e?.message || e);
+  }
+  return String(legacy.id);
+}
+
+/**
+ * The edit token a request carries: X-Edit-Token header, body.editToken or ?token=.
+ */
+export function requestToken(req) {
+  const header = req.headers?.["x-edit-token"];
+  return String((Array.isArray(header) ? header[0] : header) || req.body?.editToken || req.query?.token || "") || null;
+}
+
+/**
+ * May this request change `listing`? Resolves "session" (the owning seller is
+ * signed in), "token" (it carries a live token for the listing) or null.
+ */
+export async function listingAccess(req, listing) {
+  if (!listing) return null;
+  if (isSellerOf(sellerSession(req), listing.sellerEmail)) return "session";
+  const token = requestToken(req);
+  if (token && (await resolveEditToken(token)) === String(listing.id)) return "token";
+  return null;
+}
+
+/**
+ * Revoke every token for a listing, including a legacy plaintext one. The
+ * owning seller can still manage it from their session.
+ */
+export async function revokeEditTokens(listingId) {
+  const revoked = await db.revokeListingTokens(listingId, nowSecs());
+  const listing = await getListing(listingId);
+  if (listing?.editToken || listing?.manageCode) {
+    await updateListingWhere(listingId, {}, { editToken: null, manageCode: null });
+  }
+  return revoked;
+}
+
+/**
+ * Revoke every token for a listing and issue a fresh one. Resolves the plaintext.
+ */
+export async function rotateEditToken(listingId) {
+  await revokeEditTokens(listingId);
+  return issueEditToken(listingId);
+}
+
+/**
+ * The listing a manage link points at. Throws ListingTokenError (404) when the
+ * token is unknown or revoked, or the listing is gone.
+ */
+export async function listingForToken(token) {
+  const listingId = await resolveEditToken(token);
+  const listing = listingId ? await getListing(listingId) : null;
+  if (!listing) throw new ListingTokenError("This manage link is invalid or has been revoked", { statusCode: 404 });
+  return listing;
+}
@@ -0,0 +1,106 @@
+// lib/listings-store.js (ESM, serverless-safe)
+//
+// - Server-side access to the Supabase `listings` table (same store api/listings.js uses)
+// - Uses the service-role key, so never import this from frontend code
+// - Routes should load listings from here instead of trusting client-posted fields
+
+function supabaseEnv() {
+  const { SUPABASE_URL, SUPABASE_SERVICE_ROLE } = process.env;
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
+    throw new Error("Missing Supabase env vars");
+  }
+  return {
+    base: `${SUPABASE_URL}/rest/v1/listings`,
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE}`,
+      "Content-Type": "application/json",
+    },
+  };
+}
+
+/**
+ * Fetch a single listing row by id. Resolves to null when no row matches.
+ */
+export async function getListing(id) {
+  if (!id) return null;
+  const { base, headers } = supabaseEnv();
+  const url = `${base}?select=*&id=eq.${encodeURIComponent(String(id))}&limit=1`;
+  const r = await fetch(url, { method: "GET", headers });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) {
+    throw new Error(`Supabase listing lookup failed (${r.status}): ${JSON.stringify(data)}`);
+  }
+  return Array.isArray(data) && data.length ? data[0] : null;
+}
+
+/**
+ * Remaining ticket count for a listing (falls back to qty for rows created
+ * before `remaining` was tracked).
+ */
+export function remainingOf(listing) {
+  const n = Number(listing?.remaining ?? listing?.qty ?? 0);
+  return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : 0;
+}
+
+/**
+ * Soft-deleted or deactivated rows are kept for history but can't be bought.
+ */
+export function isListingDeleted(listing) {
+  return !!listing?.deleted_at || listing?.active === false;
+}
+
+/**
+ * Conditional update: PATCH the listing only if every `match` column still has
+ * the given value (optimistic concurrency). Resolves to the updated row, or null
+ * when the row changed underneath us (or doesn't exist).
+ */
+export async function updateListingWhere(id, match, patch) {
+  const { base, headers } = supabaseEnv();
+  const filters = [`id=eq.${encodeURIComponent(String(id))}`];
+  for (const [col, val] of Object.entries(match || {})) {
+    const op = val === null || val === undefined ? "is.null" : `eq.${encodeURIComponent(String(val))}`;
+    filters.push(`${encodeURIComponent(col)}=${op}`);
+  }
+  const r = await fetch(`${base}?${filters.join("&")}`, {
+    method: "PATCH",
+    headers: { ...headers, Prefer: "return=representation" },
+    body: JSON.stringify(patch),
+  });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) {
+    throw new Error(`Supabase listing update failed (${r.status}): ${JSON.stringify(data)}`);
+  }
+  return Array.isArray(data) && data.length ? data[0] : null;
+}
+
+/**
+ * Every listing row for an event (by `eventId`), deleted ones included.
+ */
+export async function listListingsForEvent(eventId) {
+  if (!eventId) return [];
+  const { base, headers } = supabaseEnv();
+  const url = `${base}?select=*&eventId=eq.${encodeURIComponent(String(eventId))}`;
+  const r = await fetch(url, { method: "GET", headers });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) {
+    throw new Error(`Supabase listing search failed (${r.status}): ${JSON.stringify(data)}`);
+  }
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * The listing whose legacy plaintext `editToken` column equals `token`, or null.
+ * Only used to migrate manage links created before tokens were hashed.
+ */
+export async function findListingByEditToken(token) {
+  if (!token) return null;
+  const { base, headers } = supabaseEnv();
+  const url = `${base}?select=*&editToken=eq.${encodeURIComponent(String(token))}&limit=1`;
+  const r = await fetch(url, { method: "GET", headers });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) {
+    throw new Error(`Supabase listing lookup failed (${r.status}): ${JSON.stringify(data)}`);
+  }
+  return Array.isArray(data) && data.length ? data[0] : null;
+}
@@ -0,0 +1,35 @@
+// lib/multipart.js (ESM, serverless-safe)
+//
+// Buffer a multipart/form-data request with busboy. Routes using this must
+// export `config = { api: { bodyParser: false } }` so the raw stream is intact.
+
+import Busboy from "busboy";
+
+/**
+ * Resolves to { fields, files } where files are
+ * { field, filename, mimeType, buffer, truncated }.
+ * `limits` is passed straight to busboy (e.g. { files: 5, fileSize: 5 * 1024 * 1024 }).
+ */
+export async function parseMultipart(req, limits = undefined) {
+  return await new Promise((resolve, reject) => {
+    const busboy = Busboy({ headers: req.headers, limits });
+    const fields = {};
+    const files = [];
+
+    busboy.on("field", (name, val) => { fields[name] = val; });
+    busboy.on("file", (name, file, info) => {
+      const { filename, mimeType } = info;
+      const chunks = [];
+      let truncated = false;
+      file.on("limit", () => { truncated = true; });
+      file.on("data", (d) => chunks.push(d));
+      file.on("end", () =>
+        files.push({ field: name, filename, mimeType, buffer: Buffer.concat(chunks), truncated })
+      );
+    });
+    busboy.on("error", reject);
+    busboy.on("finish", () => resolve({ fields, files }));
+
+    req.pipe(busboy);
+  });
+}
@@ -0,0 +1,49 @@
+// lib/notify.js (ESM, serverless-safe)
+//
+// Transactional email via Resend (same provider as api/proof-fallback.js).
+// Notifications are best-effort: a failed email is logged, never thrown, so it
+// can't roll back an order change that already happened.
+
+import { Resend } from "resend";
+
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+export const ADMIN_EMAIL =
+  process.env.ADMIN_EMAIL || process.env.PROOF_TO_EMAIL || "alexisdeshong@gfcleaners.com";
+const FROM_EMAIL =
+  process.env.NOTIFY_FROM_EMAIL || process.env.PROOF_FROM_EMAIL || "alexisdeshong@gfcleaners.com"; // verified sender in Resend
+
+/**
+ * Send a plain-text email. `to` may be a string or array; empty recipients are skipped.
+ * Attachments use { filename, content (Buffer), contentType }.
+ * Resolves true when Resend accepted the message.
+ */
+export async function sendEmail({ to, subject, text, attachments }) {
+  const recipients = (Array.isArray(to) ? to : [to]).map((t) => String(t || "").trim()).filter(Boolean);
+  if (!recipients.length) return false;
+  if (!resend) {
+    console.warn("[notify] RESEND_API_KEY not set; skipping email", { subject, to: recipients });
+    return false;
+  }
+  try {
+    await resend.emails.send({
+      from: FROM_EMAIL,
+      to: recipients,
+      subject,
+      text,
+      ...(attachments?.length ? { attachments } : {}),
+    });
+    return true;
+  } catch (err) {
+    console.warn("[notify] email failed:", subject, err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * Base URL for links in emails (order page, etc.).
+ */
+export function appUrl(path = "/") {
+  const base = (process.env.APP_BASE_URL || "").replace(/\/$/, "");
+  return `${base}${path}`;
+}
@@ -0,0 +1,149 @@
+// lib/order-state.js (ESM, no deps)
+//
+// The escrow order state machine. `fep_status` (PaymentIntent metadata) and the
+// orders table both hold one of ORDER_STATES; every endpoint that changes it
+// asks this module first, so the rules live in one place.
+//
+// Each action lists the states it may start from, the state it leads to (or the
+// allowed targets, when the caller picks one), and which actors may trigger it. Illegal moves throw OrderStateError (409, or 403
+// when the actor isn't allowed), which routes turn into a uniform JSON body.
+
+export const ORDER_STATES = Object.freeze({
+  PENDING: "pending",
+  AUTHORIZED: "authorized",
+  SENT: "sent",
+  ISSUE_REPORTED: "issue_reported",
+  ON_HOLD: "on_hold",
+  DISPUTE: "dispute",
+  CAPTURED: "captured",
+  CANCELED: "canceled",
+  REFUNDED: "refunded",
+  EXPIRED: "expired",
+});
+
+export const ACTORS = Object.freeze({
+  BUYER: "buyer",
+  SELLER: "seller",
+  CRON: "cron",
+  ADMIN: "admin",
+  WEBHOOK: "webhook",
+});
+
+const S = ORDER_STATES;
+const A = ACTORS;
+
+// Funds are authorized and the order is moving normally
+export const ACTIVE_STATES = Object.freeze([S.AUTHORIZED, S.SENT]);
+// Something is wrong; money must not move automatically in the buyer's disfavor
+export const HOLD_STATES = Object.freeze([S.ISSUE_REPORTED, S.ON_HOLD, S.DISPUTE]);
+export const FINAL_STATES = Object.freeze([S.CAPTURED, S.CANCELED, S.REFUNDED, S.EXPIRED]);
+const OPEN_STATES = [S.PENDING, ...ACTIVE_STATES, ...HOLD_STATES];
+
+export const TRANSITIONS = Object.freeze({
+  authorize:     { from: [S.PENDING],                       to: S.AUTHORIZED,     actors: [A.WEBHOOK] },
+  // From `sent` too: multi-ticket orders are marked one ticket at a time
+  mark_sent:     { from: ACTIVE_STATES,                     to: S.SENT,           actors: [A.SELLER] },
+  report_issue:  { from: ACTIVE_STATES,                     to: S.ISSUE_REPORTED, actors: [A.BUYER] },
+  accept_issue:  { from: [S.ISSUE_REPORTED],                to: S.CANCELED,       actors: [A.SELLER] },
+  contest_issue: { from: [S.ISSUE_REPORTED],                to: S.DISPUTE,        actors: [A.SELLER] },
+  place_hold:    { from: [...ACTIVE_STATES, S.ISSUE_REPORTED], to: S.ON_HOLD,     actors: [A.ADMIN] },
+  open_dispute:  { from: [...ACTIVE_STATES, S.ISSUE_REPORTED, S.ON_HOLD, S.CAPTURED], to: S.DISPUTE, actors: [A.WEBHOOK, A.ADMIN] },
+  confirm:       { from: ACTIVE_STATES,                     to: S.CAPTURED,       actors: [A.BUYER] },
+  auto_release:  { from: ACTIVE_STATES,                     to: S.CAPTURED,       actors: [A.CRON] },
+  cancel:        { from: [S.AUTHORIZED],                    to: S.CANCELED,       actors: [A.BUYER] },
+  // Only an unanswered issue report auto-cancels; holds and disputes wait for an admin
+  auto_cancel:   { from: [S.ISSUE_REPORTED],                to: S.CANCELED,       actors: [A.CRON] },
+  admin_cancel:  { from: [...ACTIVE_STATES, ...HOLD_STATES], to: S.CANCELED,      actors: [A.ADMIN] },
+  admin_release: { from: [...ACTIVE_STATES, ...HOLD_STATES], to: S.CAPTURED,      actors: [A.ADMIN] },
+  admin_refund:  { from: [S.CAPTURED, S.DISPUTE],           to: S.REFUNDED,       actors: [A.ADMIN] },
+  // Partial refund: captures the reduced amount, or refunds part of a captured charge
+  partial_refund: { from: [...ACTIVE_STATES, ...HOLD_STATES, S.CAPTURED], to: S.CAPTURED, actors: [A.ADMIN] },
+  // Lift a hold back to where the order was (caller picks authorized or sent)
+  resume:        { from: HOLD_STATES,                       to: [S.AUTHORIZED, S.SENT], actors: [A.ADMIN] },
+  // New confirm deadline; the state itself doesn't change (target = current state)
+  extend_deadline: { from: ACTIVE_STATES,                   to: [S.AUTHORIZED, S.SENT], actors: [A.ADMIN] },
+  // Same, agreed between buyer and seller (lib/extensions.js): one proposes, the other accepts
+  agree_extension: { from: ACTIVE_STATES,                   to: [S.AUTHORIZED, S.SENT], actors: [A.BUYER, A.SELLER] },
+  // Stripe reports the outcome; the webhook mirrors it from any open state
+  sync_captured: { from: OPEN_STATES,                       to: S.CAPTURED,       actors: [A.WEBHOOK] },
+  sync_canceled: { from: OPEN_STATES,                       to: S.CANCELED,       actors: [A.WEBHOOK] },
+  sync_refunded: { from: [...OPEN_STATES, S.CAPTURED],      to: S.REFUNDED,       actors: [A.WEBHOOK] },
+  // Card-network dispute outcome: won keeps the capture, lost means the funds were withdrawn
+  dispute_won:   { from: [S.DISPUTE],                       to: S.CAPTURED,       actors: [A.WEBHOOK] },
+  dispute_lost:  { from: [S.DISPUTE],                       to: S.REFUNDED,       actors: [A.WEBHOOK] },
+  expire:        { from: [S.PENDING],                       to: S.EXPIRED,        actors: [A.WEBHOOK] },
+});
+
+export class OrderStateError extends Error {
+  constructor(message, { statusCode = 409, state = null, action = null } = {}) {
+    super(message);
+    this.name = "OrderStateError";
+    this.statusCode = statusCode;
+    this.state = state;
+    this.action = action;
+  }
+
+  toJSON() {
+    return { error: this.message, state: this.state, action: this.action };
+  }
+}
+
+/**
+ * Current state of an order from its PaymentIntent. Falls back to the PI's own
+ * status for intents created before fep_status was set consistently.
+ */
+export function stateOf(pi) {
+  const fep = String(pi?.metadata?.fep_status || "");
+  if (Object.values(S).includes(fep)) return fep;
+  switch (pi?.status) {
+    case "requires_capture": return S.AUTHORIZED;
+    case "succeeded": return S.CAPTURED;
+    case "canceled": return S.CANCELED;
+    default: return S.PENDING;
+  }
+}
+
+/**
+ * True when `actor` may perform `action` from `state`.
+ */
+export function canTransition(state, action, actor) {
+  const t = TRANSITIONS[action];
+  return !!t && t.from.includes(state) && t.actors.includes(actor);
+}
+
+/**
+ * Validate a move and return the next state, or throw OrderStateError.
+ * `target` picks the destination for actions with several allowed targets.
+ */
+export function transition(state, action, actor, target = undefined) {
+  const t = TRANSITIONS[action];
+  if (!t) throw new OrderStateError(`Unknown order action '${action}'`, { statusCode: 400, state, action });
+  if (!t.actors.includes(actor)) {
+    throw new OrderStateError(`A ${actor} cannot ${action.replace(/_/g, " ")} this order`, {
+      statusCode: 403,
+      state,
+      action,
+    });
+  }
+  if (!t.from.includes(state)) {
+    throw new OrderStateError(`Cannot ${action.replace(/_/g, " ")}: order is '${state}'`, { state, action });
+  }
+  if (Array.isArray(t.to)) {
+    const to = target ?? t.to[0];
+    if (!t.to.includes(to)) {
+      throw new OrderStateError(`Cannot ${action.replace(/_/g, " ")} to '${to}'`, { statusCode: 400, state, action });
+    }
+    return to;
+  }
+  return t.to;
+}
+
+/**
+ * Actions `actor` could take right now (for UI flags).
+ */
+export function availableActions(state, actor) {
+  return Object.keys(TRANSITIONS).filter((action) => canTransition(state, action, actor));
+}
+
+export const isHoldState = (state) => HOLD_STATES.includes(state);
+export const isFinalState = (state) => FINAL_STATES.includes(state);
@@ -0,0 +1,137 @@
+// lib/orders.js (ESM, serverless-safe)
+//
+// Order ledger on top of db.js: one `orders` row per checkout plus an
+// append-only `order_events` history of every lifecycle step.
+// Stripe PaymentIntent metadata stays the source of truth for money; these
+// writes are best-effort and never fail the request that triggered them.
+
+import db from "../db.js";
+
+export const ORDER_EVENTS = Object.freeze({
+  CHECKOUT_CREATED: "checkout_created",
+  AUTHORIZED: "authorized",
+  SENT: "sent",
+  ISSUE_REPORTED: "issue_reported",
+  ISSUE_ACCEPTED: "issue_accepted",
+  ISSUE_CONTESTED: "issue_contested",
+  CONFIRMED: "confirmed",
+  TICKETS_CONFIRMED: "tickets_confirmed",
+  CAPTURED: "captured",
+  AUTO_RELEASED: "auto_released",
+  AUTO_CANCELED: "auto_canceled",
+  CANCELED: "canceled",
+  EXPIRED: "expired",
+  ADMIN_RELEASED: "admin_released",
+  ADMIN_CANCELED: "admin_canceled",
+  ADMIN_REFUNDED: "admin_refunded",
+  ADMIN_PARTIAL_REFUND: "admin_partial_refund",
+  DEADLINE_EXTENDED: "deadline_extended",
+  EXTENSION_PROPOSED: "extension_proposed",
+  EXTENSION_DECLINED: "extension_declined",
+  DISPUTE_OPENED: "dispute_opened",
+  DISPUTE_UPDATED: "dispute_updated",
+  DISPUTE_CLOSED: "dispute_closed",
+  REFUNDED: "refunded",
+  FUNDS_HELD: "funds_held",
+  REMINDER_SENT: "reminder_sent",
+  ACTION_LINKS_SENT: "action_links_sent",
+});
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Find the order for a Checkout Session id and/or PaymentIntent id.
+ */
+export async function findOrder({ sessionId, paymentIntentId } = {}) {
+  if (sessionId) {
+    const row = await db.getOrder(sessionId);
+    if (row) return row;
+  }
+  if (paymentIntentId) return db.getOrderByPaymentIntent(paymentIntentId);
+  return null;
+}
+
+/**
+ * Create the order row when Checkout starts. Order id = Checkout Session id.
+ */
+export async function createOrder({ sessionId, actor = "buyer", details, ...fields }) {
+  try {
+    const now = nowSecs();
+    await db.createOrder({ id: sessionId, status: "pending", details, createdAt: now, ...fields });
+    await db.appendOrderEvent({
+      orderId: sessionId,
+      type: ORDER_EVENTS.CHECKOUT_CREATED,
+      actor,
+      status: fields.status || "pending",
+      data: { listingId: fields.listingId, qty: fields.qty, amount: fields.amount },
+      createdAt: now,
+    });
+  } catch (err) {
+    console.warn("[orders] createOrder failed:", err?.message || err);
+  }
+}
+
+/**
+ * Record a lifecycle step: updates the order row (status, any extra fields) and
+ * appends an event. Orders that predate the ledger are created on first sight,
+ * keyed by session id when known, else by PaymentIntent id.
+ * Resolves to the updated order row, or null if the write failed.
+ */
+export async function recordOrderEvent({
+  sessionId,
+  paymentIntentId,
+  type,
+  actor,
+  status,
+  data,
+  fields = {},
+  details,
+}) {
+  try {
+    const now = nowSecs();
+    let order = await findOrder({ sessionId, paymentIntentId });
+    if (!order) {
+      const id = sessionId || paymentIntentId;
+      if (!id) return null;
+      await db.createOrder({ id, paymentIntentId, status, createdAt: now, ...fields });
+      order = await db.getOrder(id);
+    }
+
+    const updated = await db.updateOrder(order.id, {
+      ...fields,
+      ...(paymentIntentId && !order.payment_intent_id ? { paymentIntentId } : {}),
+      ...(status ? { status } : {}),
+      details,
+      updatedAt: now,
+    });
+    await db.appendOrderEvent({
+      orderId: order.id,
+      type,
+      actor,
+      status: status || order.status,
+      data,
+      createdAt: now,
+    });
+    return updated;
+  } catch (err) {
+    console.warn(`[orders] recordOrderEvent(${type}) failed:`, err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Full history for an order: the row plus its events, oldest first.
+ */
+export async function getOrderHistory({ sessionId, paymentIntentId }) {
+  const order = await findOrder({ sessionId, paymentIntentId });
+  if (!order) return null;
+  return { order, events: await db.listOrderEvents(order.id) };
+}
+
+/**
+ * A seller's orders from the ledger, newest first.
+ */
+export async function listSellerOrders(sellerEmail, { limit = 100 } = {}) {
+  if (!sellerEmail) return [];
+  return db.listOrdersBySeller(sellerEmail, limit);
+}
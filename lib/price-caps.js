@@ -0,0 +1,180 @@
+// lib/price-caps.js (ESM, no deps)
+//
+// Resale price caps. Resale law differs by state and country, and some artists
+// or organizers set their own terms, so the cap for a listing comes from rules
+// keyed by venue location and event/organizer:
+//   PRICE_CAP_RULES = [
+//     { "id": "ny", "match": { "country": "US", "region": "NY" }, "kind": "percent", "value": 10 },
+//     { "id": "fr", "match": { "country": "FR" }, "kind": "face_value" },
+//     { "id": "uk-fixed", "match": { "country": "GB" }, "kind": "fixed", "value": { "gbp": 2000 } },
+//     { "id": "artist-x", "match": { "organizer": "Artist X Touring" }, "kind": "face_value" }]
+// Kinds: percent (value = % over face), fixed (value = max markup per ticket in
+// minor units, per currency or a plain number in the rule's `currency`, default
+// usd), face_value (no markup at all), none (no cap).
+// Match keys: country, region (state/province), city, eventId, organizer, group –
+// all case-insensitive. Every matching rule applies, so the strictest one wins
+// (a state law and an artist's face-value policy both bind the seller). When
+// nothing matches, the platform default applies (PRICE_CAP_DEFAULT_PCT, 15%).
+//
+// Checked server-side when listings are created or edited (api/listings.js) and
+// at checkout (lib/quote.js); api/price-cap.js exposes the limit to the form.
+
+import { DEFAULT_CURRENCY, normalizeCurrency, toMinor, fromMinor, formatMoney } from "./currency.js";
+
+export const CAP_KINDS = Object.freeze({
+  PERCENT: "percent",
+  FIXED: "fixed",
+  FACE_VALUE: "face_value",
+  NONE: "none",
+});
+
+// Listing fields a rule can match on
+export const MATCH_KEYS = ["country", "region", "city", "eventId", "organizer", "group"];
+
+const norm = (v) => String(v ?? "").trim().toLowerCase();
+
+export const DEFAULT_RULE = Object.freeze({
+  id: "default",
+  kind: CAP_KINDS.PERCENT,
+  value: Number(process.env.PRICE_CAP_DEFAULT_PCT ?? 15),
+  currency: null,
+  match: {},
+});
+
+function loadRules() {
+  const raw = process.env.PRICE_CAP_RULES;
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    if (!Array.isArray(list)) throw new Error("PRICE_CAP_RULES must be a JSON array");
+    return list
+      .filter((r) => r && r.id && Object.values(CAP_KINDS).includes(r.kind))
+      .map((r) => {
+        const match = {};
+        for (const key of MATCH_KEYS) {
+          if (r.match?.[key] !== undefined && r.match[key] !== null && r.match[key] !== "") match[key] = norm(r.match[key]);
+        }
+        return {
+          id: String(r.id).slice(0, 40),
+          kind: r.kind,
+          value: r.value ?? null,
+          currency: r.currency ? norm(r.currency) : DEFAULT_CURRENCY,
+          match,
+        };
+      });
+  } catch (err) {
+    // A broken override must not take listings down; the default cap still applies
+    console.error("[price-caps] ignoring invalid PRICE_CAP_RULES:", err?.message || err);
+    return [];
+  }
+}
+
+const RULES = loadRules();
+
+function matches(rule, ctx) {
+  return Object.entries(rule.match).every(([key, want]) => norm(ctx[key]) === want);
+}
+
+/**
+ * Rules that bind a listing ({ country, region, city, eventId, organizer, group }),
+ * or [DEFAULT_RULE] when none match.
+ */
+export function rulesFor(ctx = {}) {
+  const found = RULES.filter((r) => matches(r, ctx));
+  return found.length ? found : [DEFAULT_RULE];
+}
+
+// Highest allowed price (minor units) under one rule, or null for no limit
+function ruleMax(rule, faceMinor, currency) {
+  switch (rule.kind) {
+    case CAP_KINDS.NONE:
+      return null;
+    case CAP_KINDS.FACE_VALUE:
+      return faceMinor;
+    case CAP_KINDS.PERCENT:
+      return Math.round(faceMinor * (1 + Math.max(0, Number(rule.value) || 0) / 100));
+    case CAP_KINDS.FIXED: {
+      const v = rule.value;
+      const markup =
+        v && typeof v === "object" ? v[currency] : rule.currency === currency ? v : undefined;
+      // A fixed rule written for another currency can't be converted here: hold to face value
+      const n = Number(markup);
+      return faceMinor + (Number.isFinite(n) && markup !== null && markup !== "" ? Math.max(0, Math.round(n)) : 0);
+    }
+    default:
+      return faceMinor;
+  }
+}
+
+/**
+ * Human-readable limit, e.g. "+10% over face value", "face value only".
+ */
+export function describeRule(rule, currency = DEFAULT_CURRENCY) {
+  switch (rule.kind) {
+    case CAP_KINDS.NONE:
+      return "no resale price cap";
+    case CAP_KINDS.FACE_VALUE:
+      return "face value only";
+    case CAP_KINDS.PERCENT:
+      return `+${Number(rule.value) || 0}% over face value`;
+    case CAP_KINDS.FIXED: {
+      const max = ruleMax(rule, 0, currency);
+      return max ? `at most ${formatMoney(max, currency)} over face value` : "face value only";
+    }
+    default:
+      return "face value only";
+  }
+}
+
+/**
+ * The cap for a listing (or draft). Resolves
+ *   { rule: { id, kind, value, description }, rules: [ids], currency,
+ *     face_minor, max_minor, max_price }
+ * max_* are null when the listing has no face value or no rule caps it.
+ */
+export function priceCapFor(listing = {}) {
+  const currency = normalizeCurrency(listing.currency);
+  const rules = rulesFor(listing);
+  const faceMinor =
+    listing.face !== undefined && listing.face !== null && String(listing.face).trim() !== ""
+      ? toMinor(listing.face, currency)
+      : null;
+
+  // Strictest rule wins ("none" only when nothing else applies). Without a face
+  // value there's nothing to compare, but the form still needs to show the rule.
+  const basis = faceMinor ?? 10000;
+  let binding = rules[0];
+  let bindingMax = ruleMax(binding, basis, currency);
+  for (const rule of rules.slice(1)) {
+    const max = ruleMax(rule, basis, currency);
+    if (max !== null && (bindingMax === null || max < bindingMax)) {
+      binding = rule;
+      bindingMax = max;
+    }
+  }
+  const maxMinor = faceMinor === null ? null : bindingMax;
+
+  return {
+    rule: { id: binding.id, kind: binding.kind, value: binding.value, description: describeRule(binding, currency) },
+    rules: rules.map((r) => r.id),
+    currency,
+    face_minor: faceMinor,
+    max_minor: maxMinor,
+    max_price: maxMinor === null ? null : fromMinor(maxMinor, currency),
+  };
+}
+
+/**
+ * Why a listing's price breaks its cap, or null when it's within it (or has no
+ * face value to compare against).
+ */
+export function priceCapViolation(listing = {}) {
+  const cap = priceCapFor(listing);
+  if (cap.max_minor === null) return null;
+  const priceMinor = toMinor(listing.price, cap.currency);
+  if (priceMinor === null || priceMinor <= cap.max_minor) return null;
+  return {
+    ...cap,
+    message: `Listing price exceeds the resale cap (${cap.rule.description}; max ${formatMoney(cap.max_minor, cap.currency)})`,
+  };
+}
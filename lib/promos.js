@@ -0,0 +1,211 @@
+// lib/promos.js (ESM, serverless-safe)
+//
+// Promo codes for buyer-fee discounts (fan-club promotions, tour launches).
+// Codes live in db.js `promo_codes`; each checkout that uses one reserves a
+// `promo_redemptions` row, which moves like an inventory hold:
+//   "reserved" -> "redeemed" (checkout completed) | "released" (expired / canceled)
+// Usage limits count redeemed rows plus reservations that haven't lapsed, so an
+// abandoned checkout gives its use back on its own.
+// The discount itself is applied by the fee engine (lib/fees.js).
+
+import crypto from "crypto";
+import db from "../db.js";
+import { normalizeCurrency, DEFAULT_CURRENCY, CurrencyError } from "./currency.js";
+
+export const PROMO_KINDS = Object.freeze({
+  PERCENT: "percent",     // value = percent (1-100) off the buyer fee
+  FIXED: "fixed",         // value = minor units off each ticket's buyer fee (one currency)
+  WAIVE_FEE: "waive_fee", // no buyer fee at all
+});
+
+export class PromoError extends Error {
+  constructor(message, { statusCode = 400, code = null } = {}) {
+    super(message);
+    this.name = "PromoError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+export const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+const CODE_RE = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * Look up a code and check it applies to this sale ({ eventId, group, currency }).
+ * Resolves { code, kind, value } for computeFees. Usage limits are checked
+ * when the use is reserved (reservePromo), not here.
+ */
+export async function validatePromo(rawCode, { eventId, group, currency } = {}) {
+  const code = normalizeCode(rawCode);
+  if (!CODE_RE.test(code)) throw new PromoError("Invalid promo code", { code });
+
+  const row = await db.getPromoCode(code);
+  const now = nowSecs();
+  if (!row || !row.active) throw new PromoError("Promo code not found", { statusCode: 404, code });
+  if (row.starts_at && now < Number(row.starts_at)) throw new PromoError("Promo code is not active yet", { code });
+  if (row.expires_at && now >= Number(row.expires_at)) throw new PromoError("Promo code has expired", { code });
+
+  // Per-event scoping: a code tied to an event/group only works on its listings
+  if (row.event_id && String(row.event_id) !== String(eventId || "")) {
+    throw new PromoError("Promo code doesn't apply to this event", { code });
+  }
+  if (row.group_name && String(row.group_name).trim().toLowerCase() !== String(group || "").trim().toLowerCase()) {
+    throw new PromoError("Promo code doesn't apply to this event", { code });
+  }
+  // An amount off only makes sense in the currency it was written in
+  const saleCurrency = String(currency || DEFAULT_CURRENCY).toLowerCase();
+  if (row.kind === PROMO_KINDS.FIXED && (row.currency || DEFAULT_CURRENCY) !== saleCurrency) {
+    throw new PromoError(`Promo code only applies to ${String(row.currency || DEFAULT_CURRENCY).toUpperCase()} listings`, { code });
+  }
+
+  return {
+    code,
+    kind: row.kind,
+    value: Number(row.value || 0),
+    maxRedemptions: row.max_redemptions ?? null,
+    maxPerBuyer: row.max_per_buyer ?? null,
+  };
+}
+
+/**
+ * Reserve one use of a validated promo until `expiresAt` (the checkout hold's expiry).
+ * Resolves the redemption id; throws PromoError (409) when the code is used up.
+ */
+export async function reservePromo(promo, { buyerEmail, discountCents, expiresAt }) {
+  const id = `promo_${crypto.randomUUID()}`;
+  const result = await db.reservePromoRedemption({
+    id,
+    code: promo.code,
+    buyerEmail: String(buyerEmail || "").trim().toLowerCase() || null,
+    discountCents,
+    maxRedemptions: promo.maxRedemptions,
+    maxPerBuyer: promo.maxPerBuyer,
+    expiresAt,
+    now: nowSecs(),
+  });
+  if (!result.ok) {
+    throw new PromoError(
+      result.reason === "buyer_limit" ? "You've already used this promo code" : "Promo code has been fully redeemed",
+      { statusCode: 409, code: promo.code }
+    );
+  }
+  return id;
+}
+
+/**
+ * Link the redemption to its Checkout Session / PaymentIntent.
+ */
+export async function attachPromoRedemption(redemptionId, { sessionId, paymentIntentId }) {
+  if (!redemptionId) return;
+  await db.attachPromoRedemption(redemptionId, { sessionId, paymentIntentId });
+}
+
+/**
+ * Checkout completed: the reserved use counts for good. Idempotent.
+ */
+export async function redeemPromo(redemptionId) {
+  if (!redemptionId) return false;
+  return db.setPromoRedemptionStatus(redemptionId, "redeemed", ["reserved"], nowSecs());
+}
+
+/**
+ * Session expired / authorization canceled: give the use back. Idempotent.
+ */
+export async function releasePromo(redemptionId) {
+  if (!redemptionId) return false;
+  return db.setPromoRedemptionStatus(redemptionId, "released", ["reserved", "redeemed"], nowSecs());
+}
+
+// ---- Admin ----
+
+function toUnix(v) {
+  if (v === undefined || v === null || v === "") return null;
+  if (Number.isFinite(Number(v))) return Math.floor(Number(v));
+  const ms = Date.parse(String(v));
+  if (!Number.isFinite(ms)) throw new PromoError(`Invalid date '${v}'`);
+  return Math.floor(ms / 1000);
+}
+
+function optionalCount(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw new PromoError(`${field} must be a positive integer`);
+  return n;
+}
+
+/**
+ * Create a code. Input: { code, kind, value, currency (fixed only), eventId, group,
+ * startsAt, expiresAt, maxRedemptions, maxPerBuyer, note }. Throws PromoError for
+ * bad input or a taken code.
+ */
+export async function createPromo(input = {}) {
+  const code = normalizeCode(input.code);
+  if (!CODE_RE.test(code)) throw new PromoError("code must be 3-32 letters, digits, '-' or '_'");
+  if (!Object.values(PROMO_KINDS).includes(input.kind)) {
+    throw new PromoError(`kind must be one of ${Object.values(PROMO_KINDS).join(", ")}`);
+  }
+
+  let value = 0;
+  if (input.kind !== PROMO_KINDS.WAIVE_FEE) {
+    value = Number(input.value);
+    const max = input.kind === PROMO_KINDS.PERCENT ? 100 : Infinity;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw new PromoError(input.kind === PROMO_KINDS.PERCENT ? "value must be 1-100 (percent)" : "value must be positive cents");
+    }
+  }
+
+  let currency = null;
+  if (input.kind === PROMO_KINDS.FIXED) {
+    try {
+      currency = normalizeCurrency(input.currency);
+    } catch (err) {
+      if (err instanceof CurrencyError) throw new PromoError(err.message);
+      throw err;
+    }
+  }
+
+  const startsAt = toUnix(input.startsAt);
+  const expiresAt = toUnix(input.expiresAt);
+  if (startsAt && expiresAt && expiresAt <= startsAt) throw new PromoError("expiresAt must be after startsAt");
+
+  const created = await db.createPromoCode({
+    code,
+    kind: input.kind,
+    value,
+    currency,
+    eventId: input.eventId ? String(input.eventId) : null,
+    group: input.group ? String(input.group).trim() : null,
+    startsAt,
+    expiresAt,
+    maxRedemptions: optionalCount(input.maxRedemptions, "maxRedemptions"),
+    maxPerBuyer: optionalCount(input.maxPerBuyer, "maxPerBuyer"),
+    note: input.note ? String(input.note).slice(0, 500) : null,
+    now: nowSecs(),
+  });
+  if (!created) throw new PromoError("Promo code already exists", { statusCode: 409, code });
+  return db.getPromoCode(code);
+}
+
+/**
+ * Change a code's active flag, expiry or usage limit. Resolves the row or null.
+ */
+export async function updatePromo(rawCode, { active, expiresAt, maxRedemptions } = {}) {
+  return db.updatePromoCode(normalizeCode(rawCode), {
+    active: typeof active === "boolean" ? active : null,
+    expiresAt: expiresAt === undefined ? undefined : toUnix(expiresAt),
+    maxRedemptions: maxRedemptions === undefined ? undefined : optionalCount(maxRedemptions, "maxRedemptions"),
+    now: nowSecs(),
+  });
+}
+
+/**
+ * Every code with its current usage ({ redeemed, reserved }).
+ */
+export async function listPromos() {
+  const now = nowSecs();
+  const rows = await db.listPromoCodes();
+  return Promise.all(rows.map(async (row) => ({ ...row, usage: await db.promoUsage(row.code, now) })));
+}
@@ -0,0 +1,101 @@
+// lib/quote.js (ESM, no deps)
+//
+// What a sale costs: price checks, the fee breakdown and the exact Checkout line
+// items. create-checkout-session charges whatever buildQuote returns and
+// api/fee-quote.js shows it beforehand, so a preview can't drift from the charge.
+
+import { computeFees } from "./fees.js";
+import { normalizeCurrency, toMinor, formatMoney, CurrencyError } from "./currency.js";
+import { priceCapViolation } from "./price-caps.js";
+
+export const MAX_QTY_PER_ORDER = Number(process.env.MAX_QTY_PER_ORDER ?? 10);
+
+export class QuoteError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = "QuoteError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * qty – strictly clamp to sensible range (1..MAX_QTY_PER_ORDER).
+ */
+export function clampQty(qty) {
+  let qtyInt = Number(qty);
+  if (!Number.isFinite(qtyInt)) qtyInt = parseInt(String(qty), 10);
+  return Math.max(1, Math.min(MAX_QTY_PER_ORDER, Number.isFinite(qtyInt) ? Math.floor(qtyInt) : 1));
+}
+
+/**
+ * Quote `qty` tickets of a listing (or listing-shaped draft: price, face, group,
+ * date, city, seat, currency, country, region, organizer, sellerTier, eventId). `promo` is a validated promo
+ * code (lib/promos.js). Throws QuoteError for an unsellable price or currency.
+ * Resolves { qty, currency, unitAmount, fees, lineItems } – amounts in the listing
+ * currency's minor unit; lineItems are Stripe price_data items.
+ */
+export function buildQuote(listing, qty, { at, promo = null } = {}) {
+  const { group, date, city, seat, price } = listing;
+  const qtyInt = clampQty(qty);
+
+  let currency;
+  try {
+    currency = normalizeCurrency(listing.currency);
+  } catch (err) {
+    if (err instanceof CurrencyError) throw new QuoteError(err.message);
+    throw err;
+  }
+
+  const unitAmount = toMinor(price, currency);
+  if (unitAmount === null || unitAmount <= 0) {
+    throw new QuoteError("Listing has an invalid price");
+  }
+
+  // Resale cap for the venue's jurisdiction / event (lib/price-caps.js), if a face value is known
+  const violation = priceCapViolation({ ...listing, currency });
+  if (violation) throw new QuoteError(violation.message);
+
+  const fees = computeFees({
+    unitAmount,
+    qty: qtyInt,
+    currency,
+    sellerTier: listing.sellerTier,
+    eventId: listing.eventId,
+    group,
+    at,
+    promo,
+  });
+
+  const name = String(group || "Ticket");
+  const descParts = [];
+  if (date) descParts.push(String(date));
+  if (city) descParts.push(String(city));
+  if (seat) descParts.push(String(seat));
+  const description = descParts.join(" • ");
+
+  const lineItems = [
+    {
+      price_data: {
+        currency,
+        unit_amount: unitAmount,
+        product_data: { name, description }
+      },
+      quantity: qtyInt
+    },
+    {
+      price_data: {
+        currency,
+        unit_amount: fees.buyer_fee_per_ticket,
+        product_data: {
+          name: fees.promo_code ? `Service Fee (per ticket, ${fees.promo_code})` : "Service Fee (per ticket)",
+          description: fees.buyer_fee_discount_total
+            ? `Covers escrow and platform services – promo saves ${formatMoney(fees.buyer_fee_discount_total, currency)}`
+            : "Covers escrow and platform services"
+        }
+      },
+      quantity: qtyInt
+    }
+  ].filter((li) => li.price_data.unit_amount > 0); // fee-free schedules have no fee line
+
+  return { qty: qtyInt, currency, unitAmount, fees, lineItems };
+}
@@ -0,0 +1,138 @@
+// lib/reminders.js (ESM, serverless-safe)
+//
+// Escrow deadline reminders, sent by cron-auto-release before it acts:
+//   - buyer:  "confirm or report an issue – funds release in Nh"   (REMINDER_BUYER_HOURS, default "24")
+//   - seller: "you haven't marked every ticket sent yet"          (REMINDER_SELLER_HOURS, default "48,24")
+// Offsets are hours before fep_confirm_deadline, comma-separated. Each (order,
+// offset) is claimed in db.js `reminders` before the email goes out, so a
+// reminder is sent once however often the cron runs; a failed send gives the
+// claim back for the next run.
+
+import db from "../db.js";
+import { findOrder, recordOrderEvent, ORDER_EVENTS } from "./orders.js";
+import { stateOf, ACTIVE_STATES, ORDER_STATES, ACTORS } from "./order-state.js";
+import { isDeadlineFrozen } from "./deadlines.js";
+import { ticketState } from "./tickets.js";
+import { sendEmail } from "./notify.js";
+import { actionLinkLines, ACTIONS } from "./action-tokens.js";
+
+function parseOffsets(raw, fallback) {
+  const list = String(raw ?? fallback)
+    .split(",")
+    .map((h) => Number(h.trim()))
+    .filter((h) => Number.isFinite(h) && h > 0);
+  return [...new Set(list)].sort((a, b) => b - a);
+}
+
+export const REMINDER_OFFSETS = Object.freeze({
+  buyer: parseOffsets(process.env.REMINDER_BUYER_HOURS, "24"),
+  seller: parseOffsets(process.env.REMINDER_SELLER_HOURS, "48,24"),
+});
+
+const kindOf = (role, hours) => `${role}:${hours}h`;
+
+/**
+ * Reminders whose window has opened for this order:
+ * [{ role: "buyer" | "seller", to, kinds: ["buyer:24h"], hours_left }].
+ */
+export function dueReminders(pi, now) {
+  const meta = pi?.metadata || {};
+  const state = stateOf(pi);
+  const deadline = Number(meta.fep_confirm_deadline || 0);
+  if (!ACTIVE_STATES.includes(state) || isDeadlineFrozen(meta) || !deadline || deadline <= now) return [];
+
+  const left = deadline - now;
+  const hoursLeft = Math.max(1, Math.round(left / 3600));
+  const windows = (role) => REMINDER_OFFSETS[role].filter((h) => left <= h * 3600).map((h) => kindOf(role, h));
+
+  const out = [];
+  const buyerKinds = windows("buyer");
+  if (buyerKinds.length && meta.buyerEmail) {
+    out.push({ role: "buyer", to: meta.buyerEmail, kinds: buyerKinds, hours_left: hoursLeft });
+  }
+  const { qty, sent } = ticketState(meta);
+  const unsent = state === ORDER_STATES.AUTHORIZED || sent.length < qty;
+  const sellerKinds = unsent ? windows("seller") : [];
+  if (sellerKinds.length && meta.sellerEmail) {
+    out.push({ role: "seller", to: meta.sellerEmail, kinds: sellerKinds, hours_left: hoursLeft, unsent: qty - sent.length });
+  }
+  return out;
+}
+
+function reminderEmail(pi, reminder, sessionId) {
+  const meta = pi.metadata || {};
+  const order = { sessionId, paymentIntentId: pi.id };
+  const what = meta.group ? ` for ${meta.group}` : "";
+  if (reminder.role === "buyer") {
+    return {
+      subject: `FEP: Confirm your tickets${what} – funds release in ${reminder.hours_left}h`,
+      text: [
+        `Your payment${what} is held in escrow. In about ${reminder.hours_left} hour(s) it is released to the seller automatically.`,
+        "",
+        "If your tickets arrived, confirm receipt. If something is wrong, report an issue before then and the release pauses.",
+        "",
+        ...(sessionId ? actionLinkLines("buyer", order, [ACTIONS.BUYER_CONFIRM, ACTIONS.BUYER_REPORT]) : []),
+        `Order: ${pi.id}`,
+      ].join("\n"),
+    };
+  }
+  return {
+    subject: `FEP: You haven't marked your tickets sent${what}`,
+    text: [
+      `${reminder.unsent} ticket(s) on order ${pi.id}${what} are not marked as sent yet.`,
+      `The buyer's confirmation window closes in about ${reminder.hours_left} hour(s).`,
+      "",
+      "Transfer the tickets and mark them sent so the buyer can confirm and you get paid.",
+      "",
+      ...(sessionId ? actionLinkLines("seller", order) : []),
+    ].join("\n"),
+  };
+}
+
+/**
+ * Send the due reminders for one order. With `dryRun`, nothing is claimed or
+ * sent; the result says what would go out. Resolves
+ * [{ role, to, kinds, hours_left, status: "sent" | "already_sent" | "failed" | "would_send" }].
+ */
+export async function sendDueReminders(pi, now, { dryRun = false } = {}) {
+  const due = dueReminders(pi, now);
+  if (!due.length) return [];
+
+  const results = [];
+  let sessionId = null;
+  const already = dryRun ? new Set((await db.listReminders(pi.id)).map((r) => r.kind)) : null;
+  for (const reminder of due) {
+    if (dryRun) {
+      const pending = reminder.kinds.filter((k) => !already.has(k));
+      results.push({ ...reminder, kinds: pending.length ? pending : reminder.kinds, status: pending.length ? "would_send" : "already_sent" });
+      continue;
+    }
+
+    // Claim every opened window, send one email for all of them
+    const claimed = [];
+    for (const kind of reminder.kinds) {
+      if (await db.claimReminder({ paymentIntentId: pi.id, kind, recipient: reminder.to, now })) claimed.push(kind);
+    }
+    if (!claimed.length) {
+      results.push({ ...reminder, status: "already_sent" });
+      continue;
+    }
+
+    if (sessionId === null) sessionId = (await findOrder({ paymentIntentId: pi.id }))?.id || "";
+    const sent = await sendEmail({ to: reminder.to, ...reminderEmail(pi, reminder, sessionId) });
+    if (!sent) {
+      for (const kind of claimed) await db.deleteReminder(pi.id, kind);
+      results.push({ ...reminder, kinds: claimed, status: "failed" });
+      continue;
+    }
+
+    await recordOrderEvent({
+      paymentIntentId: pi.id,
+      type: ORDER_EVENTS.REMINDER_SENT,
+      actor: ACTORS.CRON,
+      data: { role: reminder.role, kinds: claimed, hours_left: reminder.hours_left },
+    });
+    results.push({ ...reminder, kinds: claimed, status: "sent" });
+  }
+  return results;
+}
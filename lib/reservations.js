@@ -0,0 +1,106 @@
+// lib/reservations.js (ESM, serverless-safe)
+//
+// Time-limited inventory holds for tickets sitting in Stripe Checkout.
+// - create-checkout-session places a hold that expires with the Checkout Session
+// - the webhook converts it on checkout.session.completed
+// - expired sessions / canceled intents release it so the tickets go back on sale
+//
+// A hold lives in one of: "held" -> "converted" | "released".
+// Only active holds ("held" and not yet expired) count against a listing's remaining seats;
+// once converted, the sale itself has decremented `remaining` (see lib/inventory.js).
+
+import crypto from "crypto";
+import db from "../db.js";
+
+// Stripe Checkout sessions must expire between 30 minutes and 24 hours from creation
+export const HOLD_MINUTES = Math.max(30, Math.min(Number(process.env.HOLD_MINUTES || 30), 24 * 60));
+// Kept clear of both bounds, since Stripe measures from when it receives the request
+// (latency, clock skew); the hold below expires in step with the session
+export const EXPIRY_MARGIN_SECS = 3 * 60;
+const MAX_SESSION_SECS = 24 * 3600 - EXPIRY_MARGIN_SECS;
+// Grace so a buyer finishing right at expiry isn't raced by a new checkout
+export const HOLD_GRACE_SECS = 5 * 60;
+
+export class ReservationError extends Error {
+  constructor(message, { statusCode = 409, available = null } = {}) {
+    super(message);
+    this.name = "ReservationError";
+    this.statusCode = statusCode;
+    this.available = available;
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Seats that can still be put in a new hold: listing remaining minus active holds.
+ */
+export async function availableQuantity(listingId, remaining) {
+  const held = await db.heldQuantity(listingId, nowSecs());
+  return Math.max(0, remaining - held);
+}
+
+/**
+ * Place a hold on `qty` seats of a listing. `remaining` is the listing's current
+ * remaining count. Returns { holdId, sessionExpiresAt } where sessionExpiresAt is
+ * the unix time to pass as the Checkout Session's `expires_at`.
+ * Throws ReservationError (409) when not enough seats are free.
+ */
+export async function placeHold({ listingId, qty, remaining }) {
+  const now = nowSecs();
+  const sessionExpiresAt = now + Math.min(HOLD_MINUTES * 60 + EXPIRY_MARGIN_SECS, MAX_SESSION_SECS);
+  const holdId = `hold_${crypto.randomUUID()}`;
+
+  const result = await db.createHold({
+    id: holdId,
+    listingId,
+    qty,
+    available: remaining,
+    expiresAt: sessionExpiresAt + HOLD_GRACE_SECS,
+    now,
+  });
+
+  if (!result.ok) {
+    const available = Math.max(0, remaining - result.held);
+    throw new ReservationError(
+      available > 0
+        ? `Only ${available} ticket(s) available right now`
+        : "All remaining tickets are currently held by other buyers",
+      { available }
+    );
+  }
+
+  return { holdId, sessionExpiresAt };
+}
+
+/**
+ * Link the hold to the Checkout Session created for it (for lookups/debugging).
+ */
+export async function attachSession(holdId, sessionId) {
+  if (!holdId || !sessionId) return;
+  await db.attachHoldSession(holdId, sessionId);
+}
+
+/**
+ * Checkout completed: the held seats become a sale. Idempotent.
+ */
+export async function convertHold(holdId) {
+  if (!holdId) return false;
+  return db.setHoldStatus(holdId, "converted", ["held"], nowSecs());
+}
+
+/**
+ * Session expired / checkout abandoned / authorization canceled: give the seats back. Idempotent.
+ * (A converted hold's seats come back through the inventory ledger's restock instead.)
+ */
+export async function releaseHold(holdId) {
+  if (!holdId) return false;
+  return db.setHoldStatus(holdId, "released", ["held", "converted"], nowSecs());
+}
+
+/**
+ * Active holds on a listing (checkouts that could still complete).
+ */
+export async function activeHolds(listingId) {
+  return db.listActiveHolds(listingId, nowSecs());
+}
@@ -0,0 +1,185 @@
+// lib/seller-auth.js (ESM, serverless-safe)
+//
+// Seller sessions. A seller asks for a magic link (api/auth/magic-link.js); the
+// emailed link (api/auth/verify.js) consumes a one-time token from db.js
+// `seller_login_tokens` and sets a signed, expiring session cookie:
+//   fep_seller=<base64url({ email, iat, exp })>.<base64url(HMAC-SHA256)>
+// signed with SELLER_SESSION_SECRET. Seller-only routes call requireSeller().
+// The seller's Stripe Connect account is stored against their email in db.js
+// `sellers`, so routes look it up instead of trusting the browser.
+
+import crypto from "crypto";
+import db from "../db.js";
+import { sendEmail, appUrl } from "./notify.js";
+
+export const SESSION_COOKIE = "fep_seller";
+export const SESSION_DAYS = Number(process.env.SELLER_SESSION_DAYS ?? 14);
+export const MAGIC_LINK_MINUTES = Number(process.env.MAGIC_LINK_MINUTES ?? 15);
+// Magic links per email per hour
+const MAGIC_LINK_LIMIT = Number(process.env.MAGIC_LINK_LIMIT ?? 5);
+
+const SECRET =
+  process.env.SELLER_SESSION_SECRET ||
+  (() => {
+    // Sessions won't survive a cold start; fine for local dev only
+    console.warn("[seller-auth] SELLER_SESSION_SECRET not set; using a per-process secret");
+    return crypto.randomBytes(32).toString("hex");
+  })();
+
+export class AuthError extends Error {
+  constructor(message, { statusCode = 400 } = {}) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const sign = (payload) => crypto.createHmac("sha256", SECRET).update(payload).digest("base64url");
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Only same-app paths, so a login link can't bounce to another site. Browsers
+// read `\` as `/` and drop tabs / newlines, so `/\evil.example` would be
+// protocol-relative: reject those outright, then make sure the path resolves
+// on our own origin.
+const LOCAL_ORIGIN = "http://fep.invalid";
+export const safeNextPath = (next) => {
+  const path = String(next || "/");
+  if (!path.startsWith("/") || path.startsWith("//") || /[\\\x00-\x1f\x7f]/.test(path)) return "/";
+  try {
+    const url = new URL(path, LOCAL_ORIGIN);
+    return url.origin === LOCAL_ORIGIN ? `${url.pathname}${url.search}${url.hash}` : "/";
+  } catch {
+    return "/";
+  }
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Email a one-time login link. `next` is an app path to land on afterwards.
+ * Throws AuthError for a bad address or too many requests.
+ */
+export async function sendMagicLink(rawEmail, { next = "/" } = {}) {
+  const email = normalizeEmail(rawEmail);
+  if (!EMAIL_RE.test(email) || email.length > 254) throw new AuthError("Enter a valid email address");
+
+  const now = nowSecs();
+  if ((await db.countLoginTokens(email, now - 3600)) >= MAGIC_LINK_LIMIT) {
+    throw new AuthError("Too many login links requested; try again later", { statusCode: 429 });
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await db.createLoginToken({ tokenHash: hashToken(token), email, expiresAt: now + MAGIC_LINK_MINUTES * 60, now });
+
+  const link = appUrl(`/api/auth/verify?token=${encodeURIComponent(token)}&next=${encodeURIComponent(safeNextPath(next))}`);
+  return sendEmail({
+    to: email,
+    subject: "FEP: Your seller login link",
+    text: [
+      "Use this link to log in to FandomEntryPass as a seller:",
+      "",
+      link,
+      "",
+      `It works once and expires in ${MAGIC_LINK_MINUTES} minutes. If you didn't ask for it, ignore this email.`,
+    ].join("\n"),
+  });
+}
+
+/**
+ * Trade a magic-link token for a seller. Resolves the seller row; throws
+ * AuthError (401) when the token is unknown, used or expired.
+ */
+export async function verifyMagicLink(token) {
+  const now = nowSecs();
+  const row = token ? await db.consumeLoginToken(hashToken(token), now) : null;
+  if (!row) throw new AuthError("This login link is invalid or has expired", { statusCode: 401 });
+  return db.recordSellerLogin(row.email, now);
+}
+
+function cookieAttrs(maxAge) {
+  const secure = process.env.NODE_ENV === "production" || String(process.env.APP_BASE_URL || "").startsWith("https:");
+  return `Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? "; Secure" : ""}`;
+}
+
+/**
+ * Set the session cookie for `email`.
+ */
+export function startSession(res, email) {
+  const iat = nowSecs();
+  const payload = Buffer.from(JSON.stringify({ email: normalizeEmail(email), iat, exp: iat + SESSION_DAYS * 86400 })).toString("base64url");
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=${payload}.${sign(payload)}; ${cookieAttrs(SESSION_DAYS * 86400)}`);
+}
+
+/**
+ * Clear the session cookie.
+ */
+export function endSession(res) {
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; ${cookieAttrs(0)}`);
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers?.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return v.join("=");
+  }
+  return "";
+}
+
+/**
+ * The signed-in seller ({ email, iat, exp }), or null.
+ */
+export function sellerSession(req) {
+  const [payload, sig] = readCookie(req, SESSION_COOKIE).split(".");
+  if (!payload || !sig) return null;
+  const a = Buffer.from(sig);
+  const b = Buffer.from(sign(payload));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!session?.email || !(Number(session.exp) > nowSecs())) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gate a seller route. Sends 401 and resolves null when nobody is signed in.
+ */
+export function requireSeller(req, res) {
+  const session = sellerSession(req);
+  if (session) return session;
+  res.status(401).json({ error: "Seller login required" });
+  return null;
+}
+
+/**
+ * True when the signed-in seller is the one named on an order / listing.
+ */
+export const isSellerOf = (session, sellerEmail) =>
+  !!session && !!sellerEmail && normalizeEmail(sellerEmail) === session.email;
+
+/**
+ * The seller's stored Connect account id, or null.
+ */
+export async function sellerAccountId(email) {
+  return (await db.getSeller(normalizeEmail(email)))?.connect_account_id || null;
+}
+
+/**
+ * The seller's fee tier (lib/fees.js schedules), or null.
+ */
+export async function sellerTier(email) {
+  if (!email) return null;
+  return (await db.getSeller(normalizeEmail(email)))?.tier || null;
+}
+
+/**
+ * Tie a Connect account to a seller (first one wins). Resolves the account id on file.
+ */
+export async function linkSellerAccount(email, accountId) {
+  return (await db.setSellerConnectAccount(normalizeEmail(email), accountId, nowSecs()))?.connect_account_id || null;
+}
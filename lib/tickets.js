@@ -0,0 +1,70 @@
+// lib/tickets.js (ESM, no deps)
+//
+// Per-ticket fulfillment for multi-ticket orders. Tickets are numbered 1..qty and
+// tracked in PaymentIntent metadata as comma lists:
+//   fep_tickets_sent       tickets the seller has transferred
+//   fep_tickets_confirmed  tickets the buyer has received
+// Capture then covers only the confirmed tickets (see captureAmounts); Stripe
+// releases the uncaptured remainder of the authorization back to the buyer.
+
+import { breakdownFromMeta, amountsFor } from "./fees.js";
+
+export class TicketSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TicketSelectionError";
+    this.statusCode = 400;
+  }
+}
+
+const parseList = (s) =>
+  String(s || "")
+    .split(",")
+    .map((n) => parseInt(n, 10))
+    .filter((n) => Number.isInteger(n) && n > 0);
+
+export const formatTickets = (list) => [...new Set(list)].sort((a, b) => a - b).join(",");
+
+export const allTickets = (qty) => Array.from({ length: qty }, (_, i) => i + 1);
+
+/**
+ * { qty, sent, confirmed } for an order. Orders marked sent before per-ticket
+ * tracking count every ticket as sent.
+ */
+export function ticketState(meta) {
+  const qty = Math.max(1, parseInt(meta?.qty || 1, 10) || 1);
+  let sent = parseList(meta?.fep_tickets_sent).filter((n) => n <= qty);
+  if (!sent.length && meta?.fep_sent_at) sent = allTickets(qty);
+  const confirmed = parseList(meta?.fep_tickets_confirmed).filter((n) => n <= qty);
+  return { qty, sent, confirmed };
+}
+
+/**
+ * Validate a client-supplied ticket selection (array of 1-based numbers).
+ * Omitted selection means every ticket.
+ */
+export function parseSelection(tickets, qty) {
+  if (tickets === undefined || tickets === null) return allTickets(qty);
+  if (!Array.isArray(tickets) || !tickets.length) {
+    throw new TicketSelectionError("tickets must be a non-empty array of ticket numbers");
+  }
+  const out = [];
+  for (const t of tickets) {
+    const n = Number(t);
+    if (!Number.isInteger(n) || n < 1 || n > qty) {
+      throw new TicketSelectionError(`Invalid ticket number '${t}' (order has ${qty})`);
+    }
+    out.push(n);
+  }
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+
+/**
+ * Amounts for capturing `count` of an order's tickets, in cents, from the fee
+ * breakdown stored at checkout: each ticket's share is its price plus the
+ * per-ticket buyer fee, and the seller fee is charged only on fulfilled tickets.
+ * Resolves `full: true` when every ticket is covered (capture without an amount).
+ */
+export function captureAmounts(meta, count) {
+  return amountsFor(breakdownFromMeta(meta), count);
+}
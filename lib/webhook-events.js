@@ -0,0 +1,70 @@
+// lib/webhook-events.js (ESM, serverless-safe)
+//
+// Log of every verified Stripe webhook event, keyed by event id, with its
+// processing outcome. The webhook claims an event before handling it, so a
+// redelivery of something already processed is skipped, and a failure is kept
+// (with the full payload) for api/admin/webhook-events.js to replay.
+// Unlike the order ledger these writes are NOT best-effort: if the log is
+// down the webhook answers 500 and Stripe retries later.
+
+import db from "../db.js";
+
+export const WEBHOOK_EVENT_STATUS = Object.freeze({
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+});
+
+// A "processing" row older than this is treated as a crashed attempt
+const STALE_SECS = Number(process.env.WEBHOOK_STALE_SECS || 300);
+
+// Automatic replays give up after this many attempts; an admin can still replay by id
+export const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10);
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Record a freshly verified event and decide whether to handle it.
+ * Resolves { process: true, attempts } for a new, failed or stale event, otherwise
+ * { process: false, status } (already processed, or another delivery is on it).
+ */
+export async function beginWebhookEvent(event) {
+  const now = nowSecs();
+  const inserted = await db.insertWebhookEvent({ id: event.id, type: event.type, payload: event, now });
+  if (inserted) return { process: true, attempts: 1 };
+
+  const claimed = await db.claimWebhookEvent(event.id, { now, staleBefore: now - STALE_SECS });
+  if (claimed) return { process: true, attempts: claimed.attempts };
+
+  const row = await db.getWebhookEvent(event.id);
+  return { process: false, status: row?.status || WEBHOOK_EVENT_STATUS.PROCESSED };
+}
+
+/**
+ * Take a logged event for a replay. Resolves the row (payload = Stripe event) or null
+ * when it isn't replayable. `force` replays an event that already succeeded.
+ */
+export async function claimForReplay(id, { force = false } = {}) {
+  const now = nowSecs();
+  return db.claimWebhookEvent(id, { now, staleBefore: now - STALE_SECS, force });
+}
+
+/**
+ * Store the outcome of an attempt: pass the error when it failed.
+ */
+export async function finishWebhookEvent(id, err = null) {
+  await db.finishWebhookEvent(id, {
+    status: err ? WEBHOOK_EVENT_STATUS.FAILED : WEBHOOK_EVENT_STATUS.PROCESSED,
+    error: err ? String(err?.message || err).slice(0, 2000) : null,
+    now: nowSecs(),
+  });
+}
+
+/**
+ * Logged events, newest first (or oldest first when filtering by status).
+ */
+export async function listWebhookEvents({ status, limit = 50 } = {}) {
+  return db.listWebhookEvents({ status: status || null, limit });
+}
+
+export const getWebhookEvent = (id) => db.getWebhookEvent(id);
@@ -0,0 +1,51 @@
+// test/action-tokens.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+
+delete process.env.DATABASE_URL;
+process.env.ACTION_TOKEN_SECRET = "test-action-secret";
+
+const { issueActionToken, verifyActionToken, ActionTokenError, ACTIONS } = await import("../lib/action-tokens.js");
+
+const MODULE_URL = new URL("../lib/action-tokens.js", import.meta.url).href;
+
+// Import the module in a fresh process with `env`; resolves the exit status and stderr
+function importWith(env) {
+  const childEnv = { ...process.env };
+  delete childEnv.ACTION_TOKEN_SECRET;
+  delete childEnv.NODE_ENV;
+  delete childEnv.VERCEL_ENV;
+  Object.assign(childEnv, env);
+  const run = spawnSync(process.execPath, ["--input-type=module", "-e", `await import(${JSON.stringify(MODULE_URL)})`], {
+    env: childEnv,
+    encoding: "utf8",
+    timeout: 30000,
+  });
+  return { status: run.status, stderr: run.stderr };
+}
+
+test("a token works for its own action and order only", () => {
+  const order = { sessionId: "cs_test_1", paymentIntentId: "pi_1" };
+  const token = issueActionToken({ action: ACTIONS.BUYER_CONFIRM, ...order });
+  assert.equal(verifyActionToken(token, { action: ACTIONS.BUYER_CONFIRM, ...order }).act, ACTIONS.BUYER_CONFIRM);
+  assert.throws(() => verifyActionToken(token, { action: ACTIONS.BUYER_CANCEL, ...order }), ActionTokenError);
+  assert.throws(() => verifyActionToken(token, { action: ACTIONS.BUYER_CONFIRM, sessionId: "cs_test_2" }), ActionTokenError);
+  assert.throws(() => verifyActionToken(`${token}x`, { action: ACTIONS.BUYER_CONFIRM, ...order }), ActionTokenError);
+});
+
+test("production refuses to start without ACTION_TOKEN_SECRET", () => {
+  for (const env of [{ NODE_ENV: "production" }, { VERCEL_ENV: "production" }]) {
+    const run = importWith(env);
+    assert.notEqual(run.status, 0, JSON.stringify(env));
+    assert.match(run.stderr, /ACTION_TOKEN_SECRET must be set in production/);
+  }
+});
+
+test("local development falls back to a per-process secret", () => {
+  const run = importWith({});
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stderr, /per-process secret/);
+  assert.equal(importWith({ NODE_ENV: "production", ACTION_TOKEN_SECRET: "set" }).status, 0);
+});
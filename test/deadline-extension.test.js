@@ -0,0 +1,60 @@
+// test/deadline-extension.test.js
+// Who may propose a new confirm deadline (api/deadline-extension.js). Every case
+// here is refused before the handler talks to Stripe.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+delete process.env.DATABASE_URL;
+process.env.ACTION_TOKEN_SECRET = "test-action-secret";
+process.env.SELLER_SESSION_SECRET = "test-session-secret";
+
+const { default: handler } = await import("../api/deadline-extension.js");
+const { issueActionToken, ACTIONS } = await import("../lib/action-tokens.js");
+
+const SESSION_ID = "cs_test_a1b2c3";
+
+async function propose(body, headers = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(k, v) {
+      this.headers[k] = v;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await handler({ method: "POST", headers, query: {}, body: { sessionId: SESSION_ID, hours: 48, reason: "Venue delayed transfers", ...body } }, res);
+  return res;
+}
+
+test("a buyer proposal without the emailed link is refused", async () => {
+  const res = await propose({ role: "buyer" });
+  assert.equal(res.statusCode, 401);
+});
+
+test("a buyer proposal with another action's or another order's link is refused", async () => {
+  const confirmToken = issueActionToken({ action: ACTIONS.BUYER_CONFIRM, sessionId: SESSION_ID, paymentIntentId: "pi_1" });
+  assert.equal((await propose({ role: "buyer" }, { "x-action-token": confirmToken })).statusCode, 403);
+
+  const otherOrder = issueActionToken({ action: ACTIONS.BUYER_EXTEND, sessionId: "cs_test_other", paymentIntentId: "pi_2" });
+  assert.equal((await propose({ role: "buyer", token: otherOrder })).statusCode, 403);
+});
+
+test("a seller proposal needs a seller session", async () => {
+  const res = await propose({ role: "seller" });
+  assert.equal(res.statusCode, 401);
+});
+
+test("roles other than buyer and seller are rejected", async () => {
+  for (const role of [undefined, "", "admin", "webhook"]) {
+    const res = await propose({ role });
+    assert.equal(res.statusCode, 400, `role ${role}`);
+  }
+});
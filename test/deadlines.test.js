@@ -0,0 +1,114 @@
+// test/deadlines.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Pin the windows before lib/deadlines.js reads them
+Object.assign(process.env, {
+  ESCROW_HOURS: "72",
+  DEADLINE_AFTER_EVENT_HOURS: "24",
+  DEADLINE_AFTER_SENT_HOURS: "72",
+  AUTH_VALIDITY_DAYS: "7",
+  AUTH_EXPIRY_MARGIN_HOURS: "12",
+  AUTH_GUARD_HOURS: "36",
+});
+
+const {
+  DEADLINE_POLICIES: P,
+  computeConfirmDeadline,
+  recalcDeadline,
+  eventTimeOf,
+  authExpiryOf,
+  clampToAuth,
+  freezeDeadline,
+  resumeDeadline,
+  authRisk,
+} = await import("../lib/deadlines.js");
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const T0 = 1_800_000_000; // authorization time
+const AUTH_EXPIRES = T0 + 7 * DAY;
+const AUTH_LIMIT = AUTH_EXPIRES - 12 * HOUR;
+
+test("without an event or a send, the escrow window runs from authorization", () => {
+  assert.deepEqual(computeConfirmDeadline({ authorizedAt: T0 }), { deadline: T0 + 72 * HOUR, policy: P.AUTHORIZATION });
+});
+
+test("a known event date decides the deadline, even when it is sooner than the escrow window", () => {
+  const eventAt = T0 + DAY;
+  assert.deepEqual(computeConfirmDeadline({ authorizedAt: T0, eventAt }), { deadline: eventAt + 24 * HOUR, policy: P.EVENT });
+});
+
+test("the latest of the event and send deadlines wins", () => {
+  const eventAt = T0 + 2 * DAY;
+  const late = computeConfirmDeadline({ authorizedAt: T0, eventAt, sentAt: T0 + DAY });
+  assert.deepEqual(late, { deadline: T0 + 4 * DAY, policy: P.SENT });
+  const early = computeConfirmDeadline({ authorizedAt: T0, eventAt, sentAt: T0 });
+  assert.deepEqual(early, { deadline: eventAt + 24 * HOUR, policy: P.EVENT });
+});
+
+test("a recalculation never moves the deadline earlier", () => {
+  const current = T0 + 5 * DAY;
+  const { deadline, policy } = computeConfirmDeadline({ authorizedAt: T0, sentAt: T0, current });
+  assert.equal(deadline, current);
+  assert.equal(policy, P.SENT);
+});
+
+test("nothing is set past the authorization's validity", () => {
+  const far = computeConfirmDeadline({ authorizedAt: T0, eventAt: T0 + 30 * DAY, authExpiresAt: AUTH_EXPIRES });
+  assert.deepEqual(far, { deadline: AUTH_LIMIT, policy: P.AUTH_LIMIT });
+  assert.equal(clampToAuth(T0 + 30 * DAY, { fep_auth_expires_at: String(AUTH_EXPIRES) }), AUTH_LIMIT);
+  assert.equal(clampToAuth(T0 + DAY, { fep_auth_expires_at: String(AUTH_EXPIRES) }), T0 + DAY);
+  assert.equal(clampToAuth(T0 + 30 * DAY, {}), T0 + 30 * DAY);
+});
+
+test("recalcDeadline reads the order metadata and skips frozen orders", () => {
+  const meta = { fep_event_at: String(T0 + DAY), fep_auth_expires_at: String(AUTH_EXPIRES) };
+  assert.deepEqual(recalcDeadline(meta, { authorizedAt: T0 }), {
+    fep_confirm_deadline: String(T0 + 2 * DAY),
+    fep_deadline_policy: P.EVENT,
+    fep_auth_expires_at: String(AUTH_EXPIRES),
+  });
+  assert.equal(recalcDeadline(meta, { authorizedAt: T0, sentAt: T0 + 2 * DAY }).fep_deadline_policy, P.SENT);
+  assert.deepEqual(recalcDeadline({ ...meta, fep_deadline_frozen_at: String(T0) }, { authorizedAt: T0 }), {});
+});
+
+test("event times: a bare date counts as the end of that day (UTC)", () => {
+  assert.equal(eventTimeOf({ date: "2026-11-20" }), Date.parse("2026-11-20T23:59:59Z") / 1000);
+  assert.equal(eventTimeOf({ eventAt: "2026-11-20T19:30:00Z", date: "2026-11-20" }), Date.parse("2026-11-20T19:30:00Z") / 1000);
+  assert.equal(eventTimeOf({ eventAt: T0 }), T0);
+  assert.equal(eventTimeOf({ date: "" }), null);
+  assert.equal(eventTimeOf({ date: "someday" }), null);
+});
+
+test("authorization expiry prefers Stripe's capture_before, then metadata, then the default validity", () => {
+  const charge = { created: T0, payment_method_details: { card: { capture_before: T0 + 5 * DAY } } };
+  assert.equal(authExpiryOf({ latest_charge: charge }), T0 + 5 * DAY);
+  assert.equal(authExpiryOf({ created: T0, metadata: { fep_auth_expires_at: String(T0 + 6 * DAY) } }), T0 + 6 * DAY);
+  assert.equal(authExpiryOf({ created: T0, metadata: {} }), AUTH_EXPIRES);
+  assert.equal(authExpiryOf({ created: T0, metadata: { fep_funds_held: "1" } }), null);
+});
+
+test("freezing keeps the time left and resuming gives it back, clamped to the authorization", () => {
+  const meta = { fep_confirm_deadline: String(T0 + 3 * DAY), fep_auth_expires_at: String(AUTH_EXPIRES) };
+  const frozen = freezeDeadline(meta, T0 + DAY);
+  assert.deepEqual(frozen, {
+    fep_confirm_deadline: "",
+    fep_deadline_frozen_at: String(T0 + DAY),
+    fep_frozen_remaining_secs: String(2 * DAY),
+  });
+  const held = { ...meta, ...frozen };
+  assert.deepEqual(freezeDeadline(held, T0 + 2 * DAY), {});
+  assert.equal(resumeDeadline(held, T0 + 2 * DAY).fep_confirm_deadline, String(T0 + 4 * DAY));
+  assert.equal(resumeDeadline(held, T0 + 6 * DAY).fep_confirm_deadline, String(AUTH_LIMIT));
+  assert.deepEqual(resumeDeadline(meta, T0), {});
+});
+
+test("authRisk flags authorizations inside the guard window", () => {
+  const pi = { status: "requires_capture", created: T0, metadata: {} };
+  assert.equal(authRisk(pi, T0 + DAY).at_risk, false);
+  assert.equal(authRisk(pi, AUTH_EXPIRES - 36 * HOUR).at_risk, true);
+  assert.equal(authRisk(pi, AUTH_EXPIRES).expired, true);
+  assert.equal(authRisk({ ...pi, status: "succeeded" }, AUTH_EXPIRES).at_risk, false);
+});
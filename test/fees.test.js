@@ -0,0 +1,169 @@
+// test/fees.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Pin the defaults and the schedules before lib/fees.js reads them
+process.env.BUYER_FEE_CENTS = "350";
+process.env.SELLER_FEE_PERCENT = "5";
+process.env.SELLER_FEE_FIXED = "75";
+delete process.env.FEE_CURRENCY_DEFAULTS;
+process.env.FEE_SCHEDULES = JSON.stringify([
+  { id: "launch-week", match: { group: "Tour 2026", from: "2026-11-01", until: "2026-11-08" }, buyerFeeCents: 0 },
+  { id: "tour-night", version: 3, priority: 1, match: { group: "Tour 2026", eventId: "evt_1" }, buyerFeeCents: { usd: 200, gbp: 150 } },
+  { id: "at-cost", match: { eventId: "evt_charity" }, sellerFeePercent: 100 },
+  { id: "pro", version: 2, match: { sellerTier: "pro" }, buyerFeeCents: 250, sellerFeePercent: 4, sellerFeeFixedCents: 50 },
+  { id: "venue-size", match: { venueSize: "arena" }, buyerFeeCents: 1 },
+]);
+
+delete process.env.DATABASE_URL;
+
+const { computeFees, selectSchedule, amountsFor, feeMetadata, breakdownFromMeta, discountedBuyerFee } = await import(
+  "../lib/fees.js"
+);
+
+const { default: db } = await import("../db.js");
+const { sellerTier } = await import("../lib/seller-auth.js");
+const { buildQuote } = await import("../lib/quote.js");
+
+const at = (iso) => Math.floor(Date.parse(iso) / 1000);
+const BEFORE_LAUNCH = at("2026-10-01T12:00:00Z");
+
+test("default schedule breakdown, with the percentage fee rounded per ticket", () => {
+  const b = computeFees({ unitAmount: 1999, qty: 2, at: BEFORE_LAUNCH });
+  assert.equal(b.schedule, "default");
+  assert.equal(b.buyer_fee_per_ticket, 350);
+  // 5% of 1999 = 99.95 -> 100, plus the fixed 75
+  assert.equal(b.seller_fee_per_ticket, 175);
+  assert.equal(b.item_subtotal, 3998);
+  assert.equal(b.buyer_fee_total, 700);
+  assert.equal(b.total, 4698);
+  assert.equal(b.application_fee, 1050);
+  assert.equal(b.seller_payout, 3648);
+  assert.equal(b.total, b.application_fee + b.seller_payout);
+});
+
+test("amounts are rounded to whole minor units and qty to whole tickets", () => {
+  const b = computeFees({ unitAmount: 1234.6, qty: 2.9, at: BEFORE_LAUNCH });
+  assert.equal(b.unit_amount, 1235);
+  assert.equal(b.qty, 2);
+  // 5% of 1235 = 61.75 -> 62
+  assert.equal(b.seller_fee_per_ticket, 137);
+  assert.equal(computeFees({ unitAmount: 1000, qty: 0 }).qty, 1);
+});
+
+test("zero-decimal and other currencies use their own fixed fees", () => {
+  const jpy = computeFees({ unitAmount: 5000, qty: 1, currency: "JPY", at: BEFORE_LAUNCH });
+  assert.equal(jpy.currency, "jpy");
+  assert.equal(jpy.buyer_fee_per_ticket, 500);
+  assert.equal(jpy.seller_fee_per_ticket, 350);
+
+  const gbp = computeFees({ unitAmount: 4000, qty: 1, currency: "gbp", at: BEFORE_LAUNCH });
+  assert.equal(gbp.buyer_fee_per_ticket, 300);
+  assert.equal(gbp.seller_fee_per_ticket, 260);
+});
+
+test("the most specific matching schedule wins", () => {
+  const launch = at("2026-11-03T00:00:00Z");
+  assert.equal(selectSchedule({ group: "tour 2026 ", at: launch }).id, "launch-week");
+  assert.equal(selectSchedule({ group: "Tour 2026", at: at("2026-11-08T00:00:00Z") }).id, "default");
+  assert.equal(selectSchedule({ group: "Tour 2026", eventId: "evt_1", at: BEFORE_LAUNCH }).id, "tour-night");
+  // Group + window ties with group + event; the higher priority breaks it
+  assert.equal(selectSchedule({ group: "Tour 2026", eventId: "evt_1", at: launch }).id, "tour-night");
+  assert.equal(selectSchedule({ group: "Other", at: launch }).id, "default");
+});
+
+test("a seller tier picks its own schedule", () => {
+  assert.equal(selectSchedule({ sellerTier: "pro", at: BEFORE_LAUNCH }).id, "pro");
+  assert.equal(selectSchedule({ sellerTier: "basic", at: BEFORE_LAUNCH }).id, "default");
+  assert.equal(selectSchedule({ at: BEFORE_LAUNCH }).id, "default");
+
+  const b = computeFees({ unitAmount: 2000, qty: 1, sellerTier: "pro", at: BEFORE_LAUNCH });
+  assert.equal(b.schedule, "pro");
+  assert.equal(b.schedule_version, 2);
+  assert.equal(b.buyer_fee_per_ticket, 250);
+  // 4% of 2000 plus the schedule's fixed 50
+  assert.equal(b.seller_fee_per_ticket, 130);
+});
+
+test("checkout quotes use the tier on the seller record, not the listing's", async () => {
+  await db.setSellerTier("pro@example.com", "pro", BEFORE_LAUNCH);
+  const listing = { price: 20, face: 20, currency: "usd", sellerEmail: "Pro@Example.com", sellerTier: "basic" };
+  const { fees } = buildQuote({ ...listing, sellerTier: await sellerTier(listing.sellerEmail) }, 1, { at: BEFORE_LAUNCH });
+  assert.equal(fees.schedule, "pro");
+  assert.equal(await sellerTier("nobody@example.com"), null);
+});
+
+test("schedules matching on keys the engine doesn't know are ignored", () => {
+  assert.equal(selectSchedule({ venueSize: "arena", at: BEFORE_LAUNCH }).id, "default");
+});
+
+test("a schedule's plain-number fee is USD only; per-currency fees fall back to defaults", () => {
+  const launch = at("2026-11-03T00:00:00Z");
+  assert.equal(computeFees({ unitAmount: 1000, qty: 1, group: "Tour 2026", at: launch }).buyer_fee_per_ticket, 0);
+  assert.equal(
+    computeFees({ unitAmount: 1000, qty: 1, currency: "gbp", group: "Tour 2026", at: launch }).buyer_fee_per_ticket,
+    300
+  );
+  const night = { group: "Tour 2026", eventId: "evt_1", at: launch };
+  const usd = computeFees({ unitAmount: 1000, qty: 1, ...night });
+  assert.equal(usd.buyer_fee_per_ticket, 200);
+  assert.equal(usd.schedule_version, 3);
+  assert.equal(computeFees({ unitAmount: 1000, qty: 1, currency: "gbp", ...night }).buyer_fee_per_ticket, 150);
+  assert.equal(computeFees({ unitAmount: 1000, qty: 1, currency: "eur", ...night }).buyer_fee_per_ticket, 350);
+});
+
+test("the application fee stays below the charge", () => {
+  const b = computeFees({ unitAmount: 100, qty: 1, eventId: "evt_charity", at: BEFORE_LAUNCH });
+  assert.equal(b.total, 450);
+  assert.equal(b.application_fee, 449);
+  assert.equal(b.seller_payout, 1);
+});
+
+test("promos only discount the buyer fee and keep the list fee visible", () => {
+  assert.equal(discountedBuyerFee(350, { kind: "percent", value: 33 }), 234);
+  assert.equal(discountedBuyerFee(350, { kind: "percent", value: 150 }), 0);
+  assert.equal(discountedBuyerFee(350, { kind: "fixed", value: 500 }), 0);
+  assert.equal(discountedBuyerFee(350, { kind: "waive_fee" }), 0);
+  assert.equal(discountedBuyerFee(350, null), 350);
+
+  const b = computeFees({ unitAmount: 2000, qty: 2, promo: { code: "HALF", kind: "percent", value: 50 }, at: BEFORE_LAUNCH });
+  assert.equal(b.buyer_fee_list_per_ticket, 350);
+  assert.equal(b.buyer_fee_per_ticket, 175);
+  assert.equal(b.buyer_fee_discount_total, 350);
+  assert.equal(b.promo_code, "HALF");
+  assert.equal(b.seller_fee_per_ticket, 175);
+});
+
+test("amountsFor splits a partial capture per ticket", () => {
+  const b = computeFees({ unitAmount: 1999, qty: 3, at: BEFORE_LAUNCH });
+  assert.deepEqual(amountsFor(b, 1), { full: false, count: 1, amountToCapture: 2349, applicationFee: 525, payoutCents: 1824 });
+  assert.deepEqual(amountsFor(b, 3), {
+    full: true,
+    count: 3,
+    amountToCapture: b.total,
+    applicationFee: b.application_fee,
+    payoutCents: b.seller_payout,
+  });
+});
+
+test("a stored breakdown reads back identically", () => {
+  const b = computeFees({ unitAmount: 4550, qty: 2, currency: "eur", promo: { code: "X", kind: "fixed", value: 100 }, at: BEFORE_LAUNCH });
+  const meta = feeMetadata(b);
+  assert.ok(meta.fep_fees.length <= 500);
+  assert.deepEqual(breakdownFromMeta(meta), b);
+});
+
+test("orders from before the fee engine are rebuilt from legacy metadata", () => {
+  const b = breakdownFromMeta({
+    price: "20.00",
+    qty: "2",
+    buyer_fee_cents_per_ticket: "350",
+    seller_fee_per_ticket_cents: "175",
+  });
+  assert.equal(b.engine, 0);
+  assert.equal(b.schedule, "legacy");
+  assert.equal(b.unit_amount, 2000);
+  assert.equal(b.total, 4700);
+  assert.equal(b.application_fee, 1050);
+});
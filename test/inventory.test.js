@@ -0,0 +1,118 @@
+// test/inventory.test.js
+// applySale / applyRestock against the in-memory db.js store and a stand-in for
+// the Supabase listings endpoint (GET by id, conditional PATCH).
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+delete process.env.DATABASE_URL;
+process.env.SUPABASE_URL = "https://supabase.test";
+process.env.SUPABASE_SERVICE_ROLE = "service-role";
+
+const listings = new Map();
+let patches = 0;
+
+globalThis.fetch = async (url, init = {}) => {
+  const u = new URL(url);
+  const id = (u.searchParams.get("id") || "").replace(/^eq\./, "");
+  const row = listings.get(id);
+  const json = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+  if ((init.method || "GET") === "GET") return json(200, row ? [row] : []);
+  if (init.method === "PATCH") {
+    patches++;
+    const want = u.searchParams.get("remaining");
+    const stale = want !== null && (want === "is.null" ? row?.remaining != null : `eq.${row?.remaining}` !== want);
+    if (!row || stale) return json(200, []);
+    Object.assign(row, JSON.parse(init.body));
+    return json(200, [row]);
+  }
+  return json(405, { error: "unexpected request" });
+};
+
+const { applySale, applyRestock, getSaleEntry } = await import("../lib/inventory.js");
+
+let seq = 0;
+const newPi = () => `pi_test_${++seq}`;
+
+beforeEach(() => {
+  listings.clear();
+  listings.set("L1", { id: "L1", qty: 4, remaining: 4, seatNumbers: ["A1", "A2", "A3", "A4"], soldSeats: [] });
+  listings.set("L2", { id: "L2", qty: 3, remaining: 3 });
+  patches = 0;
+});
+
+test("applySale decrements remaining and allocates seats once per PaymentIntent", async () => {
+  const pi = newPi();
+  const first = await applySale({ paymentIntentId: pi, listingId: "L1", qty: 2 });
+  assert.deepEqual(first, { applied: true, qty: 2, seats: ["A1", "A2"] });
+
+  const replay = await applySale({ paymentIntentId: pi, listingId: "L1", qty: 2 });
+  assert.deepEqual(replay, { applied: false, duplicate: true });
+  assert.equal(listings.get("L1").remaining, 2);
+  assert.deepEqual(listings.get("L1").soldSeats, ["A1", "A2"]);
+  assert.equal(patches, 1);
+});
+
+test("applySale never sells more than is left", async () => {
+  const sale = await applySale({ paymentIntentId: newPi(), listingId: "L2", qty: 5 });
+  assert.equal(sale.qty, 3);
+  assert.equal(listings.get("L2").remaining, 0);
+});
+
+test("applySale ignores empty requests and records a missing listing", async () => {
+  assert.deepEqual(await applySale({ paymentIntentId: newPi(), listingId: "L1", qty: 0 }), { applied: false });
+  const pi = newPi();
+  assert.deepEqual(await applySale({ paymentIntentId: pi, listingId: "gone", qty: 1 }), { applied: false, missingListing: true });
+  assert.deepEqual(await applySale({ paymentIntentId: pi, listingId: "gone", qty: 1 }), { applied: false, duplicate: true });
+});
+
+test("applySale retries when the listing changes underneath it", async () => {
+  const L2 = listings.get("L2");
+  let raced = false;
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    // Another sale lands between our read and our conditional write
+    if (init?.method === "PATCH" && !raced) {
+      raced = true;
+      L2.remaining = 2;
+    }
+    return realFetch(url, init);
+  };
+  try {
+    const sale = await applySale({ paymentIntentId: newPi(), listingId: "L2", qty: 1 });
+    assert.equal(sale.applied, true);
+    assert.equal(L2.remaining, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test("applyRestock returns a sale's seats once", async () => {
+  const pi = newPi();
+  await applySale({ paymentIntentId: pi, listingId: "L1", qty: 2 });
+
+  const restock = await applyRestock({ paymentIntentId: pi });
+  assert.deepEqual(restock, { applied: true, qty: 2, seats: ["A1", "A2"] });
+  assert.deepEqual(await applyRestock({ paymentIntentId: pi }), { applied: false, duplicate: true });
+
+  const L1 = listings.get("L1");
+  assert.equal(L1.remaining, 4);
+  assert.deepEqual(L1.soldSeats, []);
+  assert.equal((await getSaleEntry(pi)).restocked, true);
+});
+
+test("applyRestock does nothing without a recorded sale", async () => {
+  assert.deepEqual(await applyRestock({ paymentIntentId: newPi() }), { applied: false });
+  assert.equal(patches, 0);
+});
+
+test("applyRestock never raises remaining above qty", async () => {
+  const pi = newPi();
+  await applySale({ paymentIntentId: pi, listingId: "L2", qty: 2 });
+  // The seller raised remaining by hand in the meantime
+  listings.get("L2").remaining = 3;
+  const restock = await applyRestock({ paymentIntentId: pi });
+  assert.equal(restock.qty, 0);
+  assert.equal(listings.get("L2").remaining, 3);
+});
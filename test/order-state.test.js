@@ -0,0 +1,101 @@
+// test/order-state.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ORDER_STATES as S,
+  ACTORS as A,
+  FINAL_STATES,
+  TRANSITIONS,
+  OrderStateError,
+  stateOf,
+  canTransition,
+  transition,
+} from "../lib/order-state.js";
+
+const rejects = (fn, statusCode) =>
+  assert.throws(fn, (err) => err instanceof OrderStateError && err.statusCode === statusCode);
+
+test("the normal escrow path", () => {
+  let state = S.PENDING;
+  state = transition(state, "authorize", A.WEBHOOK);
+  assert.equal(state, S.AUTHORIZED);
+  state = transition(state, "mark_sent", A.SELLER);
+  assert.equal(state, S.SENT);
+  // Multi-ticket orders are marked one ticket at a time
+  assert.equal(transition(state, "mark_sent", A.SELLER), S.SENT);
+  assert.equal(transition(state, "confirm", A.BUYER), S.CAPTURED);
+  assert.equal(transition(state, "auto_release", A.CRON), S.CAPTURED);
+});
+
+test("issue reports freeze the order until someone resolves it", () => {
+  const reported = transition(S.SENT, "report_issue", A.BUYER);
+  assert.equal(reported, S.ISSUE_REPORTED);
+  rejects(() => transition(reported, "confirm", A.BUYER), 409);
+  rejects(() => transition(reported, "auto_release", A.CRON), 409);
+  assert.equal(transition(reported, "accept_issue", A.SELLER), S.CANCELED);
+  assert.equal(transition(reported, "contest_issue", A.SELLER), S.DISPUTE);
+  assert.equal(transition(reported, "auto_cancel", A.CRON), S.CANCELED);
+  rejects(() => transition(S.ON_HOLD, "auto_cancel", A.CRON), 409);
+});
+
+test("wrong actor is a 403, wrong state a 409, unknown action a 400", () => {
+  rejects(() => transition(S.AUTHORIZED, "confirm", A.SELLER), 403);
+  rejects(() => transition(S.AUTHORIZED, "mark_sent", A.BUYER), 403);
+  rejects(() => transition(S.SENT, "cancel", A.BUYER), 409);
+  rejects(() => transition(S.PENDING, "confirm", A.BUYER), 409);
+  rejects(() => transition(S.AUTHORIZED, "teleport", A.ADMIN), 400);
+
+  const err = (() => {
+    try {
+      transition(S.CAPTURED, "cancel", A.BUYER);
+    } catch (e) {
+      return e;
+    }
+  })();
+  assert.deepEqual(err.toJSON(), { error: "Cannot cancel: order is 'captured'", state: S.CAPTURED, action: "cancel" });
+});
+
+test("final states only move through webhook sync, refunds and disputes", () => {
+  for (const state of FINAL_STATES) {
+    for (const [action, t] of Object.entries(TRANSITIONS)) {
+      if (!t.from.includes(state)) continue;
+      assert.ok(
+        state === S.CAPTURED && ["admin_refund", "partial_refund", "open_dispute", "sync_refunded"].includes(action),
+        `${action} leaves final state ${state}`
+      );
+    }
+  }
+});
+
+test("actions with several targets let the caller pick a listed one", () => {
+  assert.equal(transition(S.ON_HOLD, "resume", A.ADMIN), S.AUTHORIZED);
+  assert.equal(transition(S.ON_HOLD, "resume", A.ADMIN, S.SENT), S.SENT);
+  rejects(() => transition(S.ON_HOLD, "resume", A.ADMIN, S.CAPTURED), 400);
+  assert.equal(transition(S.SENT, "agree_extension", A.BUYER, S.SENT), S.SENT);
+});
+
+test("webhook sync mirrors Stripe from any open state", () => {
+  for (const state of [S.PENDING, S.AUTHORIZED, S.SENT, S.ISSUE_REPORTED, S.ON_HOLD, S.DISPUTE]) {
+    assert.equal(transition(state, "sync_canceled", A.WEBHOOK), S.CANCELED);
+    assert.equal(transition(state, "sync_captured", A.WEBHOOK), S.CAPTURED);
+  }
+  assert.equal(transition(S.CAPTURED, "sync_refunded", A.WEBHOOK), S.REFUNDED);
+  rejects(() => transition(S.CANCELED, "sync_captured", A.WEBHOOK), 409);
+});
+
+test("canTransition agrees with transition", () => {
+  assert.equal(canTransition(S.AUTHORIZED, "cancel", A.BUYER), true);
+  assert.equal(canTransition(S.SENT, "cancel", A.BUYER), false);
+  assert.equal(canTransition(S.AUTHORIZED, "cancel", A.SELLER), false);
+  assert.equal(canTransition(S.AUTHORIZED, "nope", A.ADMIN), false);
+});
+
+test("stateOf prefers fep_status and falls back to the PaymentIntent status", () => {
+  assert.equal(stateOf({ status: "requires_capture", metadata: { fep_status: "sent" } }), S.SENT);
+  assert.equal(stateOf({ status: "requires_capture", metadata: { fep_status: "bogus" } }), S.AUTHORIZED);
+  assert.equal(stateOf({ status: "succeeded", metadata: {} }), S.CAPTURED);
+  assert.equal(stateOf({ status: "canceled" }), S.CANCELED);
+  assert.equal(stateOf({ status: "requires_payment_method" }), S.PENDING);
+  assert.equal(stateOf(null), S.PENDING);
+});
@@ -0,0 +1,28 @@
+// test/reservations.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+delete process.env.DATABASE_URL;
+delete process.env.HOLD_MINUTES;
+
+const { default: db } = await import("../db.js");
+const { placeHold, HOLD_MINUTES, HOLD_GRACE_SECS, ReservationError } = await import("../lib/reservations.js");
+
+const nowSecs = () => Math.floor(Date.now() / 1000);
+
+test("the Checkout expiry clears Stripe's 30-minute minimum and the hold outlives it", async () => {
+  const before = nowSecs();
+  const { holdId, sessionExpiresAt } = await placeHold({ listingId: "L-expiry", qty: 1, remaining: 2 });
+  assert.equal(HOLD_MINUTES, 30);
+  assert.ok(sessionExpiresAt - before >= 30 * 60 + 60, "at least a minute of margin over 30 minutes");
+  assert.ok(sessionExpiresAt - nowSecs() < 24 * 3600);
+
+  const hold = await db.getHold(holdId);
+  assert.equal(Number(hold.expires_at), sessionExpiresAt + HOLD_GRACE_SECS);
+});
+
+test("holds count against what's left", async () => {
+  await placeHold({ listingId: "L-count", qty: 2, remaining: 3 });
+  await assert.rejects(placeHold({ listingId: "L-count", qty: 2, remaining: 3 }), (err) => err instanceof ReservationError && err.available === 1);
+});